@@ -2,36 +2,59 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const scheduler = require('./utils/scheduler');
 const TwitterScraper = require('./services/twitterScraper');
+const { SourceUnavailableError } = require('./services/twitterScraper');
 const DiscordNotifier = require('./services/discordNotifier');
 const TweetStorage = require('./services/tweetStorage');
 const FilterEngine = require('./services/filterEngine');
 const AirtableLogger = require('./services/airtableLogger');
 const NotionLogger = require('./services/notionLogger');
 const AdminDashboard = require('./services/adminDashboard');
+const ThreadExpander = require('./services/threadExpander');
+const ProfileEnricher = require('./services/profileEnricher');
+const ExtractionCanary = require('./services/extractionCanary');
+const Outbox = require('./services/outbox');
 const rateLimiter = require('./services/rateLimiter');
 
 class PodhaTwitterListener {
   constructor() {
-    this.twitterScraper = new TwitterScraper();
-    this.discordNotifier = new DiscordNotifier();
     this.tweetStorage = new TweetStorage();
-    this.filterEngine = new FilterEngine();
+    this.twitterScraper = new TwitterScraper({ tweetStorage: this.tweetStorage });
+    this.threadExpander = new ThreadExpander(this.twitterScraper, this.tweetStorage);
+    this.profileEnricher = new ProfileEnricher(this.twitterScraper, this.tweetStorage);
+    this.discordNotifier = new DiscordNotifier();
+    this.extractionCanary = new ExtractionCanary(this.tweetStorage, this.discordNotifier);
+    this.filterEngine = new FilterEngine(this.tweetStorage);
     this.airtableLogger = new AirtableLogger();
     this.notionLogger = new NotionLogger();
+    this.outbox = new Outbox(this.tweetStorage);
     this.adminDashboard = null;
     this.isRunning = false;
+    this.searchConcurrency = parseInt(process.env.SEARCH_CONCURRENCY) || 3;
   }
 
   async initialize() {
     try {
+      await this.tweetStorage.initialize();
+      await this.filterEngine.loadFilters();
       await this.twitterScraper.initialize();
       
       // Start rate limiter cleanup
       rateLimiter.startCleanup();
+
+      // Send through the outbox, starting with what an earlier run left
+      this.discordNotifier.attachOutbox(this.outbox);
+      this.airtableLogger.attachOutbox(this.outbox);
+      this.notionLogger.attachOutbox(this.outbox);
+      await this.outbox.deliverDue();
+      this.outbox.start();
       
       // Start admin dashboard if enabled
       if (process.env.ADMIN_ENABLED === 'true') {
-        this.adminDashboard = new AdminDashboard();
+        this.adminDashboard = new AdminDashboard({
+          tweetStorage: this.tweetStorage,
+          filterEngine: this.filterEngine,
+          outbox: this.outbox
+        });
         await this.adminDashboard.start();
       }
       
@@ -52,47 +75,29 @@ class PodhaTwitterListener {
     logger.info('Starting Twitter listening workflow...');
 
     try {
-      const queries = this.filterEngine.getSearchQueries();
-      const allTweets = [];
-
-      for (const query of queries) {
-        logger.info(`Searching for: ${query}`);
-        const tweets = await this.twitterScraper.searchTweets(query);
-        allTweets.push(...tweets);
-        
-        // Add delay between queries to avoid rate limiting
-        await this.delay(parseInt(process.env.REQUEST_DELAY_MS) || 2000);
-      }
+      // Pick up filters and watched accounts changed since the last run
+      await this.filterEngine.loadFilters();
+      await this.filterEngine.loadWatchlist();
+      await this.outbox.deliverDue();
+      const { tweets: allTweets } = await this.searchFilters(this.filterEngine.getActiveFilters());
+      const { tweets: watchedTweets } = await this.checkWatchlist(this.filterEngine.getWatchlist());
+      const { tweets: feedTweets } = await this.readFeeds();
 
-      // Remove duplicates and filter out already seen tweets
-      const uniqueTweets = this.removeDuplicates(allTweets);
-      const newTweets = await this.filterNewTweets(uniqueTweets);
+      // Remove duplicates and tweets already delivered. Authors are
+      // enriched first so filters can check their follower counts.
+      const uniqueTweets = this.removeDuplicates([...allTweets, ...watchedTweets, ...feedTweets]);
+      const unseenTweets = await this.profileEnricher.enrichAll(await this.filterNewTweets(uniqueTweets));
+      const newTweets = this.filterEngine.applyFilters(unseenTweets);
 
       if (newTweets.length === 0) {
         logger.info('No new tweets found');
         return;
       }
 
-      // Send to Discord
-      for (const tweet of newTweets) {
-        // Check Discord rate limit
-        await rateLimiter.waitForLimit('discord');
-        
-        await this.discordNotifier.sendTweet(tweet);
-        await this.tweetStorage.markAsSent(tweet.id);
-        
-        // Log to external services
-        if (this.airtableLogger.enabled) {
-          await this.airtableLogger.logTweet(tweet);
-        }
-        if (this.notionLogger.enabled) {
-          await this.notionLogger.logTweet(tweet);
-        }
-        
-        await this.delay(1000); // Delay between Discord messages
-      }
+      await this.threadExpander.expandAll(newTweets, uniqueTweets);
+      const deliveries = await this.deliverTweets(newTweets);
 
-      logger.info(`Successfully processed ${newTweets.length} new tweets`);
+      logger.info(`Processed ${newTweets.length} new tweets: ${deliveries.delivered} delivered, ${deliveries.queued} queued for retry, ${deliveries.failed} failed, ${deliveries.suppressed} suppressed`);
     } catch (error) {
       logger.error('Workflow execution failed:', error);
       throw error;
@@ -101,6 +106,152 @@ class PodhaTwitterListener {
     }
   }
 
+  // Search each filter's queries from its stored cursor, up to
+  // searchConcurrency queries at a time, collecting the queries no source
+  // could serve rather than failing the whole run. A filter's cursor only
+  // advances when all of its queries were served in full, back to the
+  // cursor; otherwise the tweets in between would never be fetched.
+  async searchFilters(filters) {
+    const jobs = [];
+    const unavailable = [];
+
+    for (const filter of filters) {
+      const cursor = filter.id ? await this.tweetStorage.getSearchCursor(filter.id) : null;
+      this.filterEngine.getFilterQueries(filter).forEach(query => jobs.push({ filter, cursor, query, tweets: [], served: true }));
+    }
+
+    await this.runConcurrently(jobs, this.searchConcurrency, async job => {
+      logger.info(`Searching for: ${job.query}${job.cursor ? ` (since ${job.cursor.last_tweet_id})` : ''}`);
+      try {
+        const result = await this.twitterScraper.searchTweets(job.query, job.cursor);
+        job.tweets = result.tweets;
+        job.served = result.complete;
+      } catch (error) {
+        if (!(error instanceof SourceUnavailableError)) throw error;
+        logger.warn(`Source unavailable for query: ${job.query}`);
+        unavailable.push(job.query);
+        job.served = false;
+      }
+
+      // Add delay between queries to avoid rate limiting
+      await this.delay(parseInt(process.env.REQUEST_DELAY_MS) || 2000);
+    });
+
+    const tweets = [];
+    for (const filter of filters) {
+      const filterJobs = jobs.filter(job => job.filter === filter);
+      const filterTweets = filterJobs.flatMap(job => job.tweets);
+
+      tweets.push(...filterTweets);
+      if (filter.id && filterJobs.every(job => job.served)) {
+        await this.tweetStorage.advanceSearchCursor(filter.id, filterTweets);
+      }
+    }
+
+    if (unavailable.length > 0) {
+      await this.discordNotifier.sendSystemNotification(
+        `Source unavailable for ${unavailable.length} of ${jobs.length} queries:\n${unavailable.join('\n')}`,
+        'warning'
+      );
+    }
+
+    try {
+      await this.extractionCanary.check();
+    } catch (error) {
+      logger.warn(`Extraction canary check failed: ${error.message}`);
+    }
+
+    return { tweets, unavailable };
+  }
+
+  // Read the timeline of each watched account, up to searchConcurrency at a
+  // time, keeping the posts newer than the account's timeline cursor. The
+  // first check of an account only sets its cursor, so adding an account
+  // does not alert on its backlog.
+  async checkWatchlist(watchlist) {
+    const tweets = [];
+    const unavailable = [];
+
+    await this.runConcurrently(watchlist, this.searchConcurrency, async user => {
+      logger.info(`Checking timeline of @${user.username}`);
+      try {
+        const result = await this.twitterScraper.fetchTimeline(user.username);
+        const cursor = user.timeline_last_tweet_id;
+
+        if (cursor) {
+          tweets.push(...result.tweets.filter(tweet => !/^\d+$/.test(String(tweet.id)) || BigInt(tweet.id) > BigInt(cursor)));
+        } else {
+          logger.info(`First check of @${user.username}: skipping its ${result.tweets.length} existing posts`);
+        }
+        await this.tweetStorage.advanceTimelineCursor(user.username, result.tweets);
+      } catch (error) {
+        if (!(error instanceof SourceUnavailableError)) throw error;
+        logger.warn(`Source unavailable for the timeline of @${user.username}`);
+        unavailable.push(`@${user.username}`);
+      }
+
+      await this.delay(parseInt(process.env.REQUEST_DELAY_MS) || 2000);
+    });
+
+    if (unavailable.length > 0) {
+      await this.discordNotifier.sendSystemNotification(
+        `Source unavailable for ${unavailable.length} of ${watchlist.length} watched timelines:\n${unavailable.join('\n')}`,
+        'warning'
+      );
+    }
+
+    return { tweets, unavailable };
+  }
+
+  // Read each standing RSS feed (RSS_FEEDS), keeping the items published
+  // since its last read; filters then decide which of them to send. The
+  // first read of a feed only records where it is, like a watched account.
+  async readFeeds() {
+    const feeds = this.twitterScraper.listFeeds();
+    const tweets = [];
+    const unavailable = [];
+
+    for (const feed of feeds) {
+      try {
+        const result = await this.twitterScraper.fetchFeed(feed);
+        const cursor = await this.tweetStorage.getFeedCursor(feed.url);
+
+        if (!cursor) {
+          logger.info(`First read of feed ${feed.name}: skipping its ${result.tweets.length} existing items`);
+        } else {
+          // Undated items are left to the sent-tweet check
+          tweets.push(...result.tweets.filter(tweet => !cursor.last_item_at || !tweet.timestamp ||
+            new Date(tweet.timestamp) > new Date(cursor.last_item_at)));
+        }
+        await this.tweetStorage.advanceFeedCursor(feed.url, result.tweets);
+      } catch (error) {
+        if (!(error instanceof SourceUnavailableError)) throw error;
+        logger.warn(`Feed unavailable: ${feed.name}`);
+        unavailable.push(`feed ${feed.name}`);
+      }
+    }
+
+    if (unavailable.length > 0) {
+      await this.discordNotifier.sendSystemNotification(
+        `${unavailable.length} of ${feeds.length} RSS feeds could not be read:\n${unavailable.join('\n')}`,
+        'warning'
+      );
+    }
+
+    return { tweets, unavailable };
+  }
+
+  // Runs worker over the items with at most limit of them in flight
+  async runConcurrently(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        await worker(items[next++]);
+      }
+    });
+    await Promise.all(lanes);
+  }
+
   removeDuplicates(tweets) {
     const seen = new Set();
     return tweets.filter(tweet => {
@@ -112,15 +263,58 @@ class PodhaTwitterListener {
     });
   }
 
+  // Drop the tweets that were delivered, are being delivered, were
+  // dead-lettered or were suppressed, and store the rest as discovered.
+  // Tweets that matched no filter before are looked at again.
   async filterNewTweets(tweets) {
-    const newTweets = [];
+    const newTweets = await this.tweetStorage.filterUnsettled(tweets);
+    for (const tweet of newTweets) {
+      await this.tweetStorage.saveTweet(tweet, { keepExisting: true });
+    }
+    return newTweets;
+  }
+
+  // Queue each matched tweet's Discord alert and its Airtable and Notion
+  // records in the outbox, then deliver what is due. The tweet's status
+  // follows its Discord alert: queued until the outbox has sent it,
+  // delivered, failed once dead-lettered, or suppressed when no webhook is
+  // configured. Resolves to the count of each.
+  async deliverTweets(tweets) {
+    for (const tweet of tweets) {
+      await this.tweetStorage.saveTweet(tweet, { status: 'matched' });
+    }
+
     for (const tweet of tweets) {
-      const wasSent = await this.tweetStorage.wasSent(tweet.id);
-      if (!wasSent) {
-        newTweets.push(tweet);
+      // Queued first, so the outbox worker cannot deliver it before
+      await this.tweetStorage.updateTweetStatus(tweet.id, 'queued');
+
+      // Anything but queued was sent straight away, or not at all
+      const result = await this.discordNotifier.sendTweet(tweet);
+      let status = 'queued';
+      if (!result.queued) {
+        status = result.success ? 'delivered' : result.skipped ? 'suppressed' : 'failed';
+        await this.tweetStorage.recordNotification({
+          tweetId: tweet.id,
+          channel: 'discord',
+          status: result.success ? 'delivered' : result.skipped ? 'skipped' : 'failed',
+          error: result.error,
+          httpStatus: result.httpStatus
+        });
+        await this.tweetStorage.updateTweetStatus(tweet.id, status);
       }
+
+      await this.airtableLogger.logTweet(tweet, status);
+      await this.notionLogger.logTweet(tweet, status);
     }
-    return newTweets;
+
+    await this.outbox.deliverDue();
+
+    const counts = { delivered: 0, queued: 0, failed: 0, suppressed: 0 };
+    const statuses = await this.tweetStorage.getTweetStatuses(tweets.map(tweet => tweet.id));
+    statuses.forEach(status => {
+      if (status in counts) counts[status]++;
+    });
+    return counts;
   }
 
   delay(ms) {
@@ -144,6 +338,10 @@ class PodhaTwitterListener {
   async stop() {
     scheduler.stop();
     await this.twitterScraper.cleanup();
+
+    // One last attempt at what is due; the rest waits for the next start
+    this.outbox.stop();
+    await this.outbox.deliverDue().catch(error => logger.error('Outbox delivery failed:', error));
     await this.tweetStorage.close();
     
     if (this.adminDashboard) {
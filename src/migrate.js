@@ -0,0 +1,78 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Migrator = require('./services/migrator');
+
+// Schema migrations of the database at DATABASE_PATH (see services/migrator):
+//   node src/migrate.js status   list applied and pending migrations
+//   node src/migrate.js up       apply the pending ones (the listener also
+//                                does this on start-up)
+function open(dbPath, mode) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, mode, err => err ? reject(err) : resolve(db));
+  });
+}
+
+function format(dbPath, status) {
+  const lines = [
+    `Database: ${dbPath}`,
+    `Schema version: ${status.current} (latest ${status.latest}, ${status.pending.length} pending)`
+  ];
+
+  status.migrations.forEach(migration => {
+    const version = String(migration.version).padStart(3, '0');
+    lines.push(`  [${migration.applied ? 'x' : ' '}] ${version}_${migration.name}${migration.applied ? `  applied ${migration.appliedAt}` : ''}`);
+  });
+  status.unknown.forEach(row => {
+    lines.push(`  [?] ${String(row.version).padStart(3, '0')}_${row.name}  applied ${row.applied_at}, not in this code`);
+  });
+  if (status.tooNew) {
+    lines.push('The database is newer than this code; the listener will refuse to start.');
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  const dbPath = process.env.DATABASE_PATH || './data/tweets.db';
+
+  if (!['status', 'up'].includes(command)) {
+    console.error('Usage: node src/migrate.js [status|up]');
+    process.exit(2);
+  }
+
+  if (command === 'status' && !fs.existsSync(dbPath)) {
+    const pending = new Migrator(null).load();
+    console.log(`No database at ${dbPath} yet; ${pending.length} migrations will be applied when it is created.`);
+    return;
+  }
+
+  if (command === 'up') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  const db = await open(dbPath, command === 'status' ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+  const migrator = new Migrator(db);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Database is up to date');
+    }
+
+    const status = await migrator.status();
+    console.log(format(dbPath, status));
+    process.exitCode = status.tooNew ? 1 : 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
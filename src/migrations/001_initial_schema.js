@@ -0,0 +1,216 @@
+// The schema as it stood before versioned migrations. Its tables are
+// created only where missing, so databases from older versions are adopted
+// as they are; 002 brings their columns up to date.
+module.exports = {
+  async up(migration) {
+    const createTweetsTable = `
+      CREATE TABLE IF NOT EXISTS tweets (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        likes INTEGER DEFAULT 0,
+        retweets INTEGER DEFAULT 0,
+        replies INTEGER DEFAULT 0,
+        url TEXT,
+        hashtags TEXT,
+        mentions TEXT,
+        media_urls TEXT,
+        is_retweet BOOLEAN DEFAULT 0,
+        retweet_count INTEGER DEFAULT 0,
+        quote_count INTEGER DEFAULT 0,
+        reply_count INTEGER DEFAULT 0,
+        bookmark_count INTEGER DEFAULT 0,
+        lang TEXT,
+        source TEXT,
+        in_reply_to_status_id TEXT,
+        in_reply_to_user_id TEXT,
+        geo TEXT,
+        coordinates TEXT,
+        place TEXT,
+        contributors TEXT,
+        is_quote_status BOOLEAN DEFAULT 0,
+        quoted_status_id TEXT,
+        quoted_status TEXT,
+        possibly_sensitive BOOLEAN DEFAULT 0,
+        filter_level TEXT,
+        withheld_copyright BOOLEAN DEFAULT 0,
+        withheld_in_countries TEXT,
+        withheld_scope TEXT,
+        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notified BOOLEAN DEFAULT 0,
+        sentiment_score REAL,
+        category TEXT,
+        priority INTEGER DEFAULT 1
+      )
+    `;
+
+    const createUsersTable = `
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        display_name TEXT,
+        description TEXT,
+        followers_count INTEGER DEFAULT 0,
+        following_count INTEGER DEFAULT 0,
+        tweets_count INTEGER DEFAULT 0,
+        verified BOOLEAN DEFAULT 0,
+        profile_image_url TEXT,
+        banner_url TEXT,
+        location TEXT,
+        website TEXT,
+        created_at DATETIME,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createKeywordsTable = `
+      CREATE TABLE IF NOT EXISTS keywords (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        keyword TEXT UNIQUE NOT NULL,
+        category TEXT,
+        priority INTEGER DEFAULT 1,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createNotificationsTable = `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tweet_id TEXT NOT NULL,
+        notification_type TEXT NOT NULL,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        success BOOLEAN DEFAULT 1,
+        error_message TEXT,
+        FOREIGN KEY (tweet_id) REFERENCES tweets (id)
+      )
+    `;
+
+    const createAnalyticsTable = `
+      CREATE TABLE IF NOT EXISTS analytics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date DATE NOT NULL,
+        tweets_processed INTEGER DEFAULT 0,
+        notifications_sent INTEGER DEFAULT 0,
+        errors_count INTEGER DEFAULT 0,
+        avg_sentiment REAL,
+        top_keywords TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createFiltersTable = `
+      CREATE TABLE IF NOT EXISTS filters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        query TEXT NOT NULL,
+        description TEXT,
+        enabled BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createFilterHistoryTable = `
+      CREATE TABLE IF NOT EXISTS filter_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filter_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        name TEXT,
+        query TEXT,
+        description TEXT,
+        enabled BOOLEAN,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // One row per source attempt for a query, to track source reliability
+    const createSourceRunsTable = `
+      CREATE TABLE IF NOT EXISTS source_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        tweet_count INTEGER DEFAULT 0,
+        error TEXT,
+        duration_ms INTEGER,
+        completeness REAL,
+        proxy TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Newest tweet seen per filter, so the next run only searches past it
+    const createSearchCursorsTable = `
+      CREATE TABLE IF NOT EXISTS search_cursors (
+        filter_id INTEGER PRIMARY KEY,
+        last_tweet_id TEXT NOT NULL,
+        last_tweet_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Newest item seen per standing RSS feed (see PodhaTwitterListener.readFeeds)
+    const createFeedCursorsTable = `
+      CREATE TABLE IF NOT EXISTS feed_cursors (
+        feed TEXT PRIMARY KEY,
+        last_item_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createEntityTables = [
+      `CREATE TABLE IF NOT EXISTS tweet_hashtags (
+        tweet_id TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, tag)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tweet_mentions (
+        tweet_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, username)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tweet_cashtags (
+        tweet_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, symbol)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tweet_urls (
+        tweet_id TEXT NOT NULL,
+        url TEXT,
+        expanded_url TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, expanded_url)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tweet_media (
+        tweet_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        type TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, url)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tweet_addresses (
+        tweet_id TEXT NOT NULL,
+        address TEXT NOT NULL,
+        chain TEXT NOT NULL,
+        PRIMARY KEY (tweet_id, address)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_tweet_hashtags_tag ON tweet_hashtags (tag)',
+      'CREATE INDEX IF NOT EXISTS idx_tweet_mentions_username ON tweet_mentions (username)',
+      'CREATE INDEX IF NOT EXISTS idx_tweet_cashtags_symbol ON tweet_cashtags (symbol)',
+      'CREATE INDEX IF NOT EXISTS idx_tweet_urls_domain ON tweet_urls (domain)',
+      'CREATE INDEX IF NOT EXISTS idx_tweet_media_type ON tweet_media (type)',
+      'CREATE INDEX IF NOT EXISTS idx_tweet_addresses_address ON tweet_addresses (address)'
+    ];
+
+    const statements = [
+      createTweetsTable, createUsersTable, createKeywordsTable, createNotificationsTable,
+      createAnalyticsTable, createFiltersTable, createFilterHistoryTable, createSourceRunsTable,
+      createSearchCursorsTable, createFeedCursorsTable, ...createEntityTables
+    ];
+
+    for (const sql of statements) {
+      await migration.run(sql);
+    }
+  }
+};
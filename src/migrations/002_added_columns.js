@@ -0,0 +1,44 @@
+// Columns added to existing tables before versioned migrations, which used
+// to be ALTERed in on every start. Databases that already have some of them
+// only gain the missing ones.
+const TWEET_COLUMNS = {
+  view_count: 'INTEGER',
+  extraction_method: 'TEXT',
+  confidence: 'REAL',
+  is_synthetic: 'BOOLEAN DEFAULT 0',
+  conversation_id: 'TEXT',
+  retweeted_by: 'TEXT',
+  author_id: 'TEXT',
+  // JSON array of the filter names the tweet matched (see FilterEngine.applyFilters)
+  matched_filters: 'TEXT'
+};
+
+// Watchlist settings and timeline cursor of the accounts followed by
+// timeline (see PodhaTwitterListener.checkWatchlist), and profile
+// enrichment (see ProfileEnricher)
+const USER_COLUMNS = {
+  watched: 'BOOLEAN DEFAULT 0',
+  watch_mode: "TEXT DEFAULT 'all'",
+  watch_keywords: 'TEXT',
+  watch_category: 'TEXT',
+  watch_note: 'TEXT',
+  watched_at: 'DATETIME',
+  timeline_last_tweet_id: 'TEXT',
+  timeline_checked_at: 'DATETIME',
+  verified_type: 'TEXT',
+  profile_source: 'TEXT',
+  profile_fetched_at: 'DATETIME'
+};
+
+const SOURCE_RUN_COLUMNS = {
+  completeness: 'REAL',
+  proxy: 'TEXT'
+};
+
+module.exports = {
+  async up(migration) {
+    await migration.addColumns('tweets', TWEET_COLUMNS);
+    await migration.addColumns('users', USER_COLUMNS);
+    await migration.addColumns('source_runs', SOURCE_RUN_COLUMNS);
+  }
+};
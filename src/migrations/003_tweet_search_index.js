@@ -0,0 +1,33 @@
+// Full-text index over the text of stored tweets (see
+// TweetStorage.searchTweets). It reads from the tweets table, and triggers
+// keep it in step with inserts, edits and deletes. saveTweet upserts, so a
+// tweet seen again fires the update trigger when its text changed.
+module.exports = {
+  async up(migration) {
+    await migration.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
+        text, content='tweets', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+      )
+    `);
+
+    await migration.run(`
+      CREATE TRIGGER IF NOT EXISTS tweets_fts_insert AFTER INSERT ON tweets BEGIN
+        INSERT INTO tweets_fts (rowid, text) VALUES (new.rowid, new.text);
+      END
+    `);
+    await migration.run(`
+      CREATE TRIGGER IF NOT EXISTS tweets_fts_delete AFTER DELETE ON tweets BEGIN
+        INSERT INTO tweets_fts (tweets_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+      END
+    `);
+    await migration.run(`
+      CREATE TRIGGER IF NOT EXISTS tweets_fts_update AFTER UPDATE OF text ON tweets BEGIN
+        INSERT INTO tweets_fts (tweets_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+        INSERT INTO tweets_fts (rowid, text) VALUES (new.rowid, new.text);
+      END
+    `);
+
+    // Index the tweets stored so far
+    await migration.run("INSERT INTO tweets_fts (tweets_fts) VALUES ('rebuild')");
+  }
+};
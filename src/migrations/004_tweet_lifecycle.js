@@ -0,0 +1,23 @@
+// Where each stored tweet is in the pipeline (see TweetStorage
+// TWEET_STATUSES), and one notifications row per delivery attempt on each
+// channel. Tweets already sent count as delivered.
+module.exports = {
+  async up(migration) {
+    await migration.addColumns('tweets', {
+      status: "TEXT DEFAULT 'discovered'",
+      status_updated_at: 'DATETIME',
+      delivered_at: 'DATETIME'
+    });
+    await migration.run("UPDATE tweets SET status = 'delivered', delivered_at = processed_at WHERE notified = 1");
+    await migration.run('CREATE INDEX IF NOT EXISTS idx_tweets_status ON tweets (status)');
+
+    // notification_type is the channel; status is delivered, failed or skipped
+    await migration.addColumns('notifications', {
+      status: 'TEXT',
+      http_status: 'INTEGER',
+      duration_ms: 'INTEGER'
+    });
+    await migration.run("UPDATE notifications SET status = CASE WHEN success = 1 THEN 'delivered' ELSE 'failed' END WHERE status IS NULL");
+    await migration.run('CREATE INDEX IF NOT EXISTS idx_notifications_tweet_id ON notifications (tweet_id)');
+  }
+};
@@ -0,0 +1,25 @@
+// Messages and records waiting to go out to Discord, Airtable and Notion
+// (see Outbox). payload is the JSON the channel sends as it is; status is
+// pending, sending, delivered or dead.
+module.exports = {
+  async up(migration) {
+    await migration.run(`
+      CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        tweet_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        last_http_status INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME
+      )
+    `);
+    await migration.run('CREATE INDEX IF NOT EXISTS idx_outbox_status_next_attempt ON outbox (status, next_attempt_at)');
+  }
+};
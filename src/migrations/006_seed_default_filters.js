@@ -0,0 +1,46 @@
+// Seeds the default filters, once. A database whose filters were ever
+// created, edited or deleted keeps what it has, so deleting the last filter
+// does not bring the defaults back. The rows are the defaults as this
+// migration shipped, kept here so later changes to the app's defaults do not
+// change what it inserts.
+const SEED_FILTERS = [
+  {
+    name: 'Podha RWA',
+    query: 'filter:blue_verified min_faves:3 Podha AND ("RWA" OR "Real World Assets" OR "Yield")',
+    description: 'Podha Protocol mentions with RWA keywords'
+  },
+  {
+    name: 'Solana Smart Vaults',
+    query: 'filter:blue_verified min_faves:3 Solana AND ("Smart Vaults" OR "Safe Yield" OR "Podha")',
+    description: 'Solana mentions with Smart Vaults and Podha keywords'
+  },
+  {
+    name: 'Bitcoin Tokenized Treasury',
+    query: 'filter:blue_verified min_faves:3 Bitcoin AND ("tokenized treasury" OR "credit protocol" OR "RWA on-chain")',
+    description: 'Bitcoin mentions with tokenized treasury keywords'
+  },
+  {
+    name: 'DeFi Custodial',
+    query: 'filter:blue_verified min_faves:3 DeFi AND ("custodial vault" OR "delta neutral")',
+    description: 'DeFi mentions with custodial and delta neutral keywords'
+  }
+];
+
+module.exports = {
+  async up(migration) {
+    const { filters } = await migration.get('SELECT COUNT(*) AS filters FROM filters');
+    const { changes } = await migration.get('SELECT COUNT(*) AS changes FROM filter_history');
+    if (filters > 0 || changes > 0) return;
+
+    for (const filter of SEED_FILTERS) {
+      const { lastID } = await migration.run(
+        'INSERT INTO filters (name, query, description, enabled) VALUES (?, ?, ?, 1)',
+        [filter.name, filter.query, filter.description]
+      );
+      await migration.run(
+        "INSERT INTO filter_history (filter_id, action, name, query, description, enabled) VALUES (?, 'created', ?, ?, ?, 1)",
+        [lastID, filter.name, filter.query, filter.description]
+      );
+    }
+  }
+};
@@ -3,6 +3,9 @@ const AirtableLogger = require('./services/airtableLogger');
 const NotionLogger = require('./services/notionLogger');
 const credentialManager = require('./services/credentialManager');
 const rateLimiter = require('./services/rateLimiter');
+const nitterPool = require('./services/nitterPool');
+const accountPool = require('./services/accountPool');
+const proxyPool = require('./services/proxyPool');
 const logger = require('./utils/logger');
 
 class N8nIntegration {
@@ -18,6 +21,8 @@ class N8nIntegration {
       status: 'error',
       tweetsFound: 0,
       tweetsProcessed: 0,
+      deliveries: null,
+      unavailableQueries: [],
       error: null,
       executionTime: 0,
       airtableData: null,
@@ -45,19 +50,17 @@ class N8nIntegration {
       const tweets = [];
       
       this.listener.runWorkflow = async function() {
-        const queries = this.filterEngine.getSearchQueries();
-        const allTweets = [];
-
-        for (const query of queries) {
-          logger.info(`Searching for: ${query}`);
-          const queryTweets = await this.twitterScraper.searchTweets(query);
-          allTweets.push(...queryTweets);
-          
-          await this.delay(parseInt(process.env.REQUEST_DELAY_MS) || 2000);
-        }
-
-        const uniqueTweets = this.removeDuplicates(allTweets);
-        const newTweets = await this.filterNewTweets(uniqueTweets);
+        await this.filterEngine.loadFilters();
+        await this.filterEngine.loadWatchlist();
+        await this.outbox.deliverDue();
+        const { tweets: allTweets, unavailable } = await this.searchFilters(this.filterEngine.getActiveFilters());
+        const watched = await this.checkWatchlist(this.filterEngine.getWatchlist());
+        const feeds = await this.readFeeds();
+        result.unavailableQueries = [...unavailable, ...watched.unavailable, ...feeds.unavailable];
+
+        const uniqueTweets = this.removeDuplicates([...allTweets, ...watched.tweets, ...feeds.tweets]);
+        const unseenTweets = await this.profileEnricher.enrichAll(await this.filterNewTweets(uniqueTweets));
+        const newTweets = this.filterEngine.applyFilters(unseenTweets);
         
         tweets.push(...newTweets);
         result.tweetsFound = newTweets.length;
@@ -67,55 +70,26 @@ class N8nIntegration {
           return;
         }
 
-        // Process tweets
-        for (const tweet of newTweets) {
-          await this.discordNotifier.sendTweet(tweet);
-          await this.tweetStorage.markAsSent(tweet.id, tweet);
-          result.tweetsProcessed++;
-          
-          await this.delay(1000);
-        }
+        await this.threadExpander.expandAll(newTweets, uniqueTweets);
 
-        logger.info(`Successfully processed ${newTweets.length} new tweets`);
+        // Queue for Discord, Airtable and Notion and deliver
+        result.deliveries = await this.deliverTweets(newTweets);
+        result.tweetsProcessed = result.deliveries.delivered;
+
+        logger.info(`Processed ${newTweets.length} new tweets: ${result.deliveries.delivered} delivered, ${result.deliveries.queued} queued for retry, ${result.deliveries.failed} failed, ${result.deliveries.suppressed} suppressed`);
       };
 
       // Run the workflow
       await this.listener.runWorkflow();
 
-      // Log to external services if configured
-      if (tweets.length > 0) {
-        // Prepare data for Airtable
-        if (this.airtableLogger.enabled) {
-          result.airtableData = {
-            records: tweets.map(tweet => ({
-              fields: {
-                'Tweet ID': tweet.id,
-                'Author': tweet.author,
-                'Text': tweet.text,
-                'URL': tweet.url,
-                'Timestamp': tweet.timestamp,
-                'Sent At': new Date().toISOString(),
-                'Source': tweet.source,
-                'Likes': tweet.likes || 0,
-                'Retweets': tweet.retweets || 0,
-                'Status': 'Sent'
-              }
-            }))
-          };
-
-          // Log each tweet to Airtable
-          for (const tweet of tweets) {
-            await this.airtableLogger.logTweet(tweet);
-          }
-        }
-
-        // Prepare data for Notion
-        if (this.notionLogger.enabled) {
-          // Log each tweet to Notion
-          for (const tweet of tweets) {
-            await this.notionLogger.logTweet(tweet);
-          }
-        }
+      // The tweets were queued for Airtable as they were delivered; the
+      // records are returned for the n8n workflow as well, with each
+      // tweet's status after the run
+      if (tweets.length > 0 && this.airtableLogger.enabled) {
+        const statuses = await this.listener.tweetStorage.getTweetStatuses(tweets.map(tweet => String(tweet.id)));
+        result.airtableData = {
+          records: tweets.map(tweet => this.airtableLogger.stampRecord(this.airtableLogger.buildRecord(tweet), statuses.get(String(tweet.id))))
+        };
       }
 
       result.status = 'success';
@@ -126,10 +100,10 @@ class N8nIntegration {
       result.error = error.message;
       result.executionTime = Date.now() - startTime;
 
-      // Log error to external services
-      if (this.airtableLogger.enabled) {
-        await this.airtableLogger.logError(error, { context: 'n8n_workflow' });
-      }
+      // Log error to external services, through the listener's outbox
+      // when it got far enough to attach it
+      await this.listener.airtableLogger.logError(error, { context: 'n8n_workflow' })
+        .catch(logError => logger.error('Failed to log error to Airtable:', logError));
     } finally {
       await this.listener.stop();
     }
@@ -167,6 +141,13 @@ class N8nIntegration {
   async healthCheck() {
     try {
       const stats = await this.listener.tweetStorage.getStats();
+      const sources = {
+        chain: await this.listener.twitterScraper.health(),
+        reliability: await this.listener.tweetStorage.getSourceStats(),
+        nitterInstances: nitterPool.getStatus(),
+        xAccounts: accountPool.getStatus().map(({ history, ...account }) => account),
+        proxies: proxyPool.getStatus().proxies
+      };
       const rateLimits = {
         twitter: rateLimiter.getStatus('twitter'),
         discord: rateLimiter.getStatus('discord'),
@@ -176,6 +157,7 @@ class N8nIntegration {
       return {
         status: 'healthy',
         stats,
+        sources,
         rateLimits,
         services: {
           airtable: this.airtableLogger.enabled,
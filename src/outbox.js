@@ -0,0 +1,60 @@
+require('dotenv').config();
+const TweetStorage = require('./services/tweetStorage');
+const Outbox = require('./services/outbox');
+
+// Messages waiting in the outbox at DATABASE_PATH (see services/outbox):
+//   node src/outbox.js status              counts and dead-lettered items
+//   node src/outbox.js replay 12 15        queue dead items 12 and 15 again
+//   node src/outbox.js replay --all        queue every dead item again
+// Replayed items are sent by the listener's outbox worker.
+const USAGE = 'Usage: node src/outbox.js [status|replay <id>...|replay --all]';
+
+function format(counts, deadLetters) {
+  const lines = [
+    `Outbox: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`
+  ];
+
+  deadLetters.forEach(item => {
+    const error = item.last_error ? `${item.last_http_status ? `HTTP ${item.last_http_status}: ` : ''}${item.last_error}` : 'no error recorded';
+    const tweet = item.tweet_id ? ` tweet ${item.tweet_id}` : '';
+    lines.push(`  #${item.id} ${item.channel} ${item.kind}${tweet}, ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}, dead since ${item.updated_at}: ${error}`);
+  });
+
+  return lines.join('\n');
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const all = args.length === 1 && args[0] === '--all';
+  const ids = args.map(Number);
+
+  if (!['status', 'replay'].includes(command) ||
+      (command === 'replay' && !all && (ids.length === 0 || !ids.every(Number.isInteger)))) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const tweetStorage = new TweetStorage();
+
+  try {
+    await tweetStorage.initialize();
+
+    if (command === 'replay') {
+      const replayed = await new Outbox(tweetStorage).replay(all ? null : ids);
+      console.log(`Queued ${replayed.length} dead-lettered items again`);
+    }
+
+    const counts = await tweetStorage.getOutboxCounts();
+    const deadLetters = await tweetStorage.getOutbox({ status: 'dead', limit: 100 });
+    console.log(format(counts, deadLetters));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await tweetStorage.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,189 @@
+const logger = require('../utils/logger');
+const credentialManager = require('./credentialManager');
+const rateLimiter = require('./rateLimiter');
+
+// Outcomes of a search run with an account:
+//   ok            the search was answered
+//   rate_limited  X answered 429 or "Rate limit exceeded"
+//   locked        X locked or suspended the account
+//   captcha       X put a challenge in front of the account
+//   login_failed  the account could not sign in
+//   error         anything else, e.g. a timeout
+const RATE_LIMIT_COOLDOWN_MS = 15 * 60 * 1000;
+const MAX_RATE_LIMIT_COOLDOWN_MS = 4 * 60 * 60 * 1000;
+const ERROR_COOLDOWN_MS = 5 * 60 * 1000;
+const ERRORS_BEFORE_COOLDOWN = 3;
+const HISTORY_SIZE = 20;
+
+// The X accounts the Puppeteer source searches with. Each account keeps its
+// own session (see sessionManager) and its own x_account budget in
+// rateLimiter. Searches go to the available accounts in turn; an account
+// that is rate limited, errors repeatedly or fails to sign in cools down,
+// and one that is locked or challenged is out of rotation for
+// ACCOUNT_LOCKOUT_HOURS.
+class AccountPool {
+  constructor() {
+    this.accounts = [];
+    this.nextIndex = 0;
+    this.configure();
+  }
+
+  // TWITTER_ACCOUNTS is a JSON list of { username, password, email, cookie,
+  // proxy }, read through CredentialManager so it can be stored encrypted.
+  // proxy pins the account's browser to one proxy (see proxyPool). Without
+  // it, TWITTER_USERNAME/TWITTER_PASSWORD/TWITTER_EMAIL/TWITTER_COOKIE make
+  // a single account.
+  configure(accounts = null) {
+    this.lockoutMs = (parseFloat(process.env.ACCOUNT_LOCKOUT_HOURS) || 24) * 60 * 60 * 1000;
+    const configured = accounts || this.readAccounts();
+
+    this.accounts = configured
+      .filter(account => account.cookie || (account.username && account.password))
+      .map((account, index) => ({
+        // Cookie-only accounts have no handle to key their session by
+        username: account.username || (index === 0 ? 'default' : `account-${index + 1}`),
+        password: account.password || null,
+        email: account.email || null,
+        cookie: account.cookie || null,
+        proxy: account.proxy || null,
+        status: 'active',
+        coolingUntil: null,
+        failures: 0,
+        rateLimits: 0,
+        searches: 0,
+        lastError: null,
+        lastUsedAt: null,
+        history: []
+      }));
+    this.nextIndex = 0;
+  }
+
+  readAccounts() {
+    const list = credentialManager.getCredential('TWITTER_ACCOUNTS');
+    if (list) {
+      try {
+        return JSON.parse(list);
+      } catch (error) {
+        logger.error(`TWITTER_ACCOUNTS is not valid JSON: ${error.message}`);
+        return [];
+      }
+    }
+
+    return [{
+      username: credentialManager.getCredential('TWITTER_USERNAME'),
+      password: credentialManager.getCredential('TWITTER_PASSWORD'),
+      email: credentialManager.getCredential('TWITTER_EMAIL'),
+      cookie: credentialManager.getCredential('TWITTER_COOKIE')
+    }];
+  }
+
+  // Next account with search budget left, or null when every account is
+  // cooling down or has used up its budget
+  async acquire(exclude = []) {
+    const now = Date.now();
+    const available = this.accounts.filter(account =>
+      !exclude.includes(account.username) && !this.isCoolingDown(account, now)
+    );
+
+    for (let i = 0; i < available.length; i++) {
+      const account = available[(this.nextIndex + i) % available.length];
+      if (await rateLimiter.checkLimit('x_account', account.username)) {
+        this.nextIndex = (this.nextIndex + i + 1) % available.length;
+        account.lastUsedAt = new Date(now).toISOString();
+        return account;
+      }
+    }
+
+    return null;
+  }
+
+  record(username, outcome, details = {}) {
+    const account = this.accounts.find(candidate => candidate.username === username);
+    if (!account) return;
+
+    if (outcome === 'ok') {
+      account.searches++;
+      account.failures = 0;
+      account.rateLimits = 0;
+      return;
+    }
+
+    account.lastError = details.error || outcome;
+    let cooldown = null;
+
+    switch (outcome) {
+      case 'rate_limited':
+        account.rateLimits++;
+        cooldown = Math.min(RATE_LIMIT_COOLDOWN_MS * Math.pow(2, account.rateLimits - 1), MAX_RATE_LIMIT_COOLDOWN_MS);
+        break;
+      case 'locked':
+      case 'captcha':
+        cooldown = this.lockoutMs;
+        break;
+      case 'login_failed':
+        cooldown = RATE_LIMIT_COOLDOWN_MS;
+        break;
+      default:
+        account.failures++;
+        if (account.failures >= ERRORS_BEFORE_COOLDOWN) {
+          cooldown = ERROR_COOLDOWN_MS;
+          account.failures = 0;
+        }
+        break;
+    }
+
+    if (cooldown) this.coolDown(account, outcome, cooldown);
+  }
+
+  coolDown(account, reason, duration) {
+    account.status = reason === 'locked' || reason === 'captcha' ? reason : 'cooling_down';
+    account.coolingUntil = Date.now() + duration;
+    account.history.unshift({
+      reason,
+      error: account.lastError,
+      at: new Date().toISOString(),
+      until: new Date(account.coolingUntil).toISOString()
+    });
+    account.history.splice(HISTORY_SIZE);
+
+    logger.warn(`X account ${account.username} out of rotation for ${Math.round(duration / 60000)} min after ${reason}: ${account.lastError}`);
+  }
+
+  isCoolingDown(account, now = Date.now()) {
+    if (account.coolingUntil && account.coolingUntil > now) return true;
+
+    if (account.coolingUntil) {
+      account.status = 'active';
+      account.coolingUntil = null;
+    }
+    return false;
+  }
+
+  getStatus() {
+    const now = Date.now();
+
+    return this.accounts.map(account => {
+      const coolingDown = this.isCoolingDown(account, now);
+      const budget = rateLimiter.getStatus('x_account', account.username);
+
+      return {
+        username: account.username,
+        status: account.status,
+        available: !coolingDown && budget.currentRequests < budget.maxRequests,
+        coolingUntil: coolingDown ? new Date(account.coolingUntil).toISOString() : null,
+        searches: account.searches,
+        budgetUsed: budget.currentRequests,
+        budgetMax: budget.maxRequests,
+        lastError: account.lastError,
+        lastUsedAt: account.lastUsedAt,
+        history: account.history
+      };
+    });
+  }
+
+  get size() {
+    return this.accounts.length;
+  }
+}
+
+module.exports = new AccountPool();
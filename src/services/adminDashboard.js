@@ -4,13 +4,22 @@ const logger = require('../utils/logger');
 const FilterEngine = require('./filterEngine');
 const TweetStorage = require('./tweetStorage');
 const DiscordNotifier = require('./discordNotifier');
+const Outbox = require('./outbox');
+const nitterPool = require('./nitterPool');
+const accountPool = require('./accountPool');
+const proxyPool = require('./proxyPool');
 
 class AdminDashboard {
-  constructor() {
+  // The listener passes in its own storage, filter engine and outbox so
+  // both share one set of filters; run standalone, the dashboard opens its
+  // own
+  constructor(options = {}) {
     this.app = express();
     this.port = process.env.ADMIN_PORT || 3000;
-    this.filterEngine = new FilterEngine();
-    this.tweetStorage = new TweetStorage();
+    this.ownsStorage = !options.tweetStorage;
+    this.tweetStorage = options.tweetStorage || new TweetStorage();
+    this.filterEngine = options.filterEngine || new FilterEngine(this.tweetStorage);
+    this.outbox = options.outbox || new Outbox(this.tweetStorage);
     this.discordNotifier = new DiscordNotifier();
     
     this.setupMiddleware();
@@ -30,12 +39,27 @@ class AdminDashboard {
     this.app.get('/', async (req, res) => {
       try {
         const stats = await this.tweetStorage.getStats();
-        const filters = this.filterEngine.getFilters();
+        const filters = await this.filterEngine.loadFilters();
+        const watchlist = await this.filterEngine.loadWatchlist();
+        const sourceStats = await this.tweetStorage.getSourceStats();
+        const tweetStatuses = await this.tweetStorage.getStatusCounts();
+        const deliveries = await this.tweetStorage.getNotifications({ limit: 20 });
+        const outboxCounts = await this.tweetStorage.getOutboxCounts();
+        const deadLetters = await this.tweetStorage.getOutbox({ status: 'dead', limit: 20 });
         
         res.render('dashboard', {
           title: 'Podha Twitter Listener Dashboard',
           stats,
-          filters
+          filters,
+          watchlist,
+          sourceStats,
+          tweetStatuses,
+          deliveries,
+          outboxCounts,
+          deadLetters,
+          nitterInstances: nitterPool.getStatus(),
+          xAccounts: accountPool.getStatus(),
+          proxies: proxyPool.getStatus()
         });
       } catch (error) {
         logger.error('Dashboard error:', error);
@@ -55,14 +79,118 @@ class AdminDashboard {
       }
     });
 
+    // Stored tweets carrying an entity, e.g. ?type=cashtag&value=PODHA or
+    // ?type=url&value=docs.podha.xyz
+    this.app.get('/api/tweets/by-entity', async (req, res) => {
+      const { type, value } = req.query;
+      if (!TweetStorage.ENTITY_TYPES.includes(type) || !value) {
+        return res.status(400).json({ error: `type (${TweetStorage.ENTITY_TYPES.join(', ')}) and value are required` });
+      }
+
+      try {
+        const limit = parseInt(req.query.limit) || 50;
+        res.json(await this.tweetStorage.getTweetsByEntity(type, value, limit));
+      } catch (error) {
+        logger.error('API tweets by entity error:', error);
+        res.status(500).json({ error: 'Failed to fetch tweets' });
+      }
+    });
+
+    // Full-text search over stored tweets, e.g. ?q="delta neutral" vault*
+    // &author=podha&from=2025-06-01&to=2025-06-30&filter=Podha RWA
+    this.app.get('/api/tweets/search', async (req, res) => {
+      const { q, author, from, to, filter, sort = 'relevance' } = req.query;
+      if (!q || !TweetStorage.toMatchExpression(q)) {
+        return res.status(400).json({ error: 'q must contain a word to search for' });
+      }
+      const invalidDate = [from, to].find(date => date && isNaN(Date.parse(date)));
+      if (invalidDate) {
+        return res.status(400).json({ error: `Invalid date: ${invalidDate}` });
+      }
+      if (!['relevance', 'newest'].includes(sort)) {
+        return res.status(400).json({ error: 'sort must be relevance or newest' });
+      }
+
+      try {
+        res.json(await this.tweetStorage.searchTweets({
+          query: q, author, from, to, filter, sort, limit: req.query.limit, offset: req.query.offset
+        }));
+      } catch (error) {
+        logger.error('API tweet search error:', error);
+        res.status(500).json({ error: 'Failed to search tweets' });
+      }
+    });
+
+    // Delivery attempts per channel, e.g. ?status=failed or ?tweet_id=...
+    this.app.get('/api/notifications', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 50;
+        const notifications = await this.tweetStorage.getNotifications({
+          tweetId: req.query.tweet_id,
+          channel: req.query.channel,
+          status: req.query.status,
+          limit
+        });
+        res.json({ statuses: await this.tweetStorage.getStatusCounts(), notifications });
+      } catch (error) {
+        logger.error('API notifications error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+      }
+    });
+
+    // Outbox items, e.g. ?status=dead for the dead-lettered ones
+    this.app.get('/api/outbox', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 50;
+        const items = await this.tweetStorage.getOutbox({ status: req.query.status, limit });
+        res.json({ counts: await this.tweetStorage.getOutboxCounts(), items });
+      } catch (error) {
+        logger.error('API outbox error:', error);
+        res.status(500).json({ error: 'Failed to fetch outbox' });
+      }
+    });
+
+    // Queues dead-lettered items again: { ids: [...] }, or all of them
+    // without ids
+    this.app.post('/api/outbox/replay', async (req, res) => {
+      try {
+        const ids = req.body && req.body.ids;
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger))) {
+          return res.status(400).json({ error: 'ids must be a non-empty array of outbox item ids' });
+        }
+
+        const replayed = await this.outbox.replay(ids || null);
+        res.json({ success: true, replayed: replayed.length });
+      } catch (error) {
+        logger.error('API outbox replay error:', error);
+        res.status(500).json({ error: 'Failed to replay outbox items' });
+      }
+    });
+
+    // Most frequent hashtags, cashtags, domains... in recent tweets
+    this.app.get('/api/entities/:type', async (req, res) => {
+      if (!TweetStorage.ENTITY_TYPES.includes(req.params.type)) {
+        return res.status(404).json({ error: `Unknown entity type: ${req.params.type}` });
+      }
+
+      try {
+        const days = parseInt(req.query.days) || 7;
+        const limit = parseInt(req.query.limit) || 20;
+        res.json(await this.tweetStorage.getTopEntities(req.params.type, days, limit));
+      } catch (error) {
+        logger.error('API entities error:', error);
+        res.status(500).json({ error: 'Failed to fetch entities' });
+      }
+    });
+
     // Test filter
     this.app.post('/api/test-filter', async (req, res) => {
       try {
-        const { query } = req.body;
+        const { query } = req.body || {};
         const validation = this.filterEngine.validateQuery(query);
         
         if (!validation.valid) {
-          return res.status(400).json({ error: validation.error });
+          return res.status(400).json({ error: validation.error, position: validation.position });
         }
 
         // Test the filter (mock result for demo)
@@ -79,24 +207,161 @@ class AdminDashboard {
       }
     });
 
+    // List filters
+    this.app.get('/api/filters', async (req, res) => {
+      try {
+        const filters = await this.filterEngine.loadFilters();
+        res.json(filters);
+      } catch (error) {
+        logger.error('List filters error:', error);
+        res.status(500).json({ error: 'Failed to fetch filters' });
+      }
+    });
+
     // Add custom filter
     this.app.post('/api/filters', async (req, res) => {
       try {
-        const { name, query, description } = req.body;
-        
+        const { name, query, description } = req.body || {};
+
+        if (typeof name !== 'string' || !name.trim()) {
+          return res.status(400).json({ error: 'Filter name is required' });
+        }
+        if (typeof query !== 'string') {
+          return res.status(400).json({ error: 'Filter query is required' });
+        }
+
         const validation = this.filterEngine.validateQuery(query);
         if (!validation.valid) {
-          return res.status(400).json({ error: validation.error });
+          return res.status(400).json({ error: validation.error, position: validation.position });
         }
 
-        this.filterEngine.addCustomFilter(name, query, description);
-        res.json({ success: true, message: 'Filter added successfully' });
+        const filter = await this.filterEngine.addCustomFilter(name, query, description);
+        res.status(201).json({ success: true, message: 'Filter added successfully', filter });
       } catch (error) {
+        if (this.isUniqueViolation(error)) {
+          return res.status(409).json({ error: 'A filter with this name already exists' });
+        }
         logger.error('Add filter error:', error);
         res.status(500).json({ error: 'Failed to add filter' });
       }
     });
 
+    // Get a single filter
+    this.app.get('/api/filters/:id', async (req, res) => {
+      try {
+        const filter = await this.tweetStorage.getFilterById(req.params.id);
+        if (!filter) {
+          return res.status(404).json({ error: 'Filter not found' });
+        }
+        res.json(filter);
+      } catch (error) {
+        logger.error('Get filter error:', error);
+        res.status(500).json({ error: 'Failed to fetch filter' });
+      }
+    });
+
+    // Get the edit history of a filter
+    this.app.get('/api/filters/:id/history', async (req, res) => {
+      try {
+        const history = await this.filterEngine.getFilterHistory(req.params.id);
+        res.json(history);
+      } catch (error) {
+        logger.error('Filter history error:', error);
+        res.status(500).json({ error: 'Failed to fetch filter history' });
+      }
+    });
+
+    // Replace a filter
+    this.app.put('/api/filters/:id', async (req, res) => {
+      const { name, query, description = '', enabled = true } = req.body || {};
+
+      if (!name || !query) {
+        return res.status(400).json({ error: 'Filter name and query are required' });
+      }
+
+      await this.saveFilter(req, res, { name, query, description, enabled: !!enabled });
+    });
+
+    // Update some fields of a filter, e.g. { "enabled": false }
+    this.app.patch('/api/filters/:id', async (req, res) => {
+      const { name, query, description, enabled } = req.body || {};
+      const changes = Object.fromEntries(
+        Object.entries({ name, query, description, enabled }).filter(([, value]) => value !== undefined)
+      );
+
+      await this.saveFilter(req, res, changes);
+    });
+
+    // Delete a filter
+    this.app.delete('/api/filters/:id', async (req, res) => {
+      try {
+        const filter = await this.filterEngine.deleteFilter(req.params.id);
+        if (!filter) {
+          return res.status(404).json({ error: 'Filter not found' });
+        }
+        res.json({ success: true, message: 'Filter deleted successfully' });
+      } catch (error) {
+        logger.error('Delete filter error:', error);
+        res.status(500).json({ error: 'Failed to delete filter' });
+      }
+    });
+
+    // Accounts whose timelines are watched
+    this.app.get('/api/watchlist', async (req, res) => {
+      try {
+        res.json(await this.filterEngine.loadWatchlist());
+      } catch (error) {
+        logger.error('List watchlist error:', error);
+        res.status(500).json({ error: 'Failed to fetch watchlist' });
+      }
+    });
+
+    // Watch an account, or change how it is watched:
+    // { username, mode: "all" | "keywords", keywords, category, note }
+    this.app.post('/api/watchlist', async (req, res) => {
+      try {
+        const { username, mode = 'all', keywords = null, category = null, note = null } = req.body;
+        const validation = this.filterEngine.validateWatch({ username, mode, keywords });
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.error, position: validation.position });
+        }
+
+        const user = await this.filterEngine.watchAccount({ username, mode, keywords, category, note });
+        res.status(201).json({ success: true, message: 'Account added to watchlist', user });
+      } catch (error) {
+        logger.error('Watch account error:', error);
+        res.status(500).json({ error: 'Failed to watch account' });
+      }
+    });
+
+    // Stop watching an account
+    this.app.delete('/api/watchlist/:username', async (req, res) => {
+      try {
+        const user = await this.filterEngine.unwatchAccount(req.params.username);
+        if (!user) {
+          return res.status(404).json({ error: 'Account is not on the watchlist' });
+        }
+        res.json({ success: true, message: 'Account removed from watchlist' });
+      } catch (error) {
+        logger.error('Unwatch account error:', error);
+        res.status(500).json({ error: 'Failed to remove account from watchlist' });
+      }
+    });
+
+    // Stored profile of an author (see ProfileEnricher)
+    this.app.get('/api/users/:username', async (req, res) => {
+      try {
+        const user = await this.tweetStorage.getUserProfile(req.params.username.replace(/^@/, ''));
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+      } catch (error) {
+        logger.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+      }
+    });
+
     // Test Discord webhook
     this.app.post('/api/test-discord', async (req, res) => {
       try {
@@ -108,6 +373,35 @@ class AdminDashboard {
       }
     });
 
+    // Which source served each query, and per-source reliability
+    this.app.get('/api/sources', async (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 7;
+        const limit = parseInt(req.query.limit) || 50;
+        const stats = await this.tweetStorage.getSourceStats(days);
+        const runs = await this.tweetStorage.getSourceRuns(limit);
+        res.json({ stats, runs });
+      } catch (error) {
+        logger.error('API sources error:', error);
+        res.status(500).json({ error: 'Failed to fetch source runs' });
+      }
+    });
+
+    // Health of the Nitter instance pool
+    this.app.get('/api/nitter', (req, res) => {
+      res.json(nitterPool.getStatus());
+    });
+
+    // Status, search budget and cool-down history of the X accounts
+    this.app.get('/api/accounts', (req, res) => {
+      res.json(accountPool.getStatus());
+    });
+
+    // Proxies per source and which of them are ejected
+    this.app.get('/api/proxies', (req, res) => {
+      res.json(proxyPool.getStatus());
+    });
+
     // Get system stats
     this.app.get('/api/stats', async (req, res) => {
       try {
@@ -126,9 +420,50 @@ class AdminDashboard {
     });
   }
 
+  // PUT and PATCH: changes holds the fields to set, each checked here
+  async saveFilter(req, res, changes) {
+    try {
+      if (changes.name !== undefined && (typeof changes.name !== 'string' || !changes.name.trim())) {
+        return res.status(400).json({ error: 'Filter name must be a non-empty string' });
+      }
+      if (changes.query !== undefined && typeof changes.query !== 'string') {
+        return res.status(400).json({ error: 'Filter query must be a string' });
+      }
+      if (changes.description !== undefined && changes.description !== null && typeof changes.description !== 'string') {
+        return res.status(400).json({ error: 'Filter description must be a string' });
+      }
+      if (changes.query !== undefined) {
+        const validation = this.filterEngine.validateQuery(changes.query);
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.error, position: validation.position });
+        }
+      }
+      if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+      }
+
+      const filter = await this.filterEngine.updateFilter(req.params.id, changes);
+      if (!filter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      res.json({ success: true, filter });
+    } catch (error) {
+      if (this.isUniqueViolation(error)) {
+        return res.status(409).json({ error: 'A filter with this name already exists' });
+      }
+      logger.error('Update filter error:', error);
+      res.status(500).json({ error: 'Failed to update filter' });
+    }
+  }
+
+  isUniqueViolation(error) {
+    return error && error.message && error.message.includes('UNIQUE constraint failed');
+  }
+
   async start() {
     try {
       await this.tweetStorage.initialize();
+      await this.filterEngine.loadFilters();
       
       this.server = this.app.listen(this.port, () => {
         logger.info(`Admin dashboard running on http://localhost:${this.port}`);
@@ -142,7 +477,9 @@ class AdminDashboard {
   async stop() {
     if (this.server) {
       this.server.close();
-      await this.tweetStorage.close();
+      if (this.ownsStorage) {
+        await this.tweetStorage.close();
+      }
       logger.info('Admin dashboard stopped');
     }
   }
@@ -8,49 +8,99 @@ class AirtableLogger {
     this.tableName = process.env.AIRTABLE_TABLE_NAME || 'Tweets';
     this.baseUrl = `https://api.airtable.com/v0/${this.baseId}/${this.tableName}`;
     this.enabled = !!(this.baseId && this.apiKey);
+    // The provenance columns are opt-in: Airtable refuses records with
+    // fields the table does not have
+    this.provenanceFields = process.env.SINK_PROVENANCE_FIELDS === 'true';
+    this.outbox = null;
     
     if (!this.enabled) {
       logger.warn('Airtable logging disabled - missing credentials');
     }
   }
 
-  async logTweet(tweet) {
-    if (!this.enabled) return;
+  // Queued in the outbox when one is attached, written straight away
+  // otherwise. status is the tweet's status for a record written straight
+  // away; a queued one takes the status the tweet has when it is written.
+  // Resolves to { success, error } rather than throwing.
+  async logTweet(tweet, status) {
+    if (!this.enabled) return { success: false, skipped: true, error: 'Airtable not configured' };
 
-    try {
-      const record = {
-        fields: {
-          'Tweet ID': tweet.id,
-          'Author': tweet.author,
-          'Text': tweet.text,
-          'URL': tweet.url,
-          'Timestamp': tweet.timestamp,
-          'Sent At': new Date().toISOString(),
-          'Source': tweet.source,
-          'Likes': tweet.likes || 0,
-          'Retweets': tweet.retweets || 0,
-          'Status': 'Sent'
-        }
-      };
+    const payload = { table: this.tableName, record: this.buildRecord(tweet) };
+    if (this.outbox) {
+      return this.outbox.enqueue('airtable', 'tweet', payload, tweet.id);
+    }
+
+    const result = await this.deliver({ ...payload, record: this.stampRecord(payload.record, status) });
+    if (result.success) {
+      logger.info(`Tweet logged to Airtable: ${tweet.id}`);
+    }
+    return result;
+  }
 
-      await axios.post(this.baseUrl, record, {
+  // Creates one record from a { table, record } payload. typecast lets
+  // Airtable add a Status option it has not seen yet.
+  async deliver(payload) {
+    try {
+      await axios.post(`https://api.airtable.com/v0/${this.baseId}/${payload.table}`, { ...payload.record, typecast: true }, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         }
       });
 
-      logger.info(`Tweet logged to Airtable: ${tweet.id}`);
+      return { success: true };
     } catch (error) {
-      logger.error('Failed to log tweet to Airtable:', error);
+      logger.error(`Failed to write to the Airtable ${payload.table} table:`, error.message);
+      return { success: false, error: error.message, httpStatus: error.response?.status ?? null };
+    }
+  }
+
+  attachOutbox(outbox) {
+    if (!this.enabled) return;
+
+    this.outbox = outbox;
+    outbox.register('airtable', async (payload, item) => {
+      if (item.kind !== 'tweet') return this.deliver(payload);
+
+      const status = await outbox.tweetStatus(item.tweet_id);
+      return this.deliver({ ...payload, record: this.stampRecord(payload.record, status) });
+    });
+  }
+
+  buildRecord(tweet) {
+    const provenance = tweet.provenance || {};
+    const fields = {
+      'Tweet ID': tweet.id,
+      'Author': tweet.author,
+      'Text': tweet.text,
+      'URL': tweet.url,
+      'Timestamp': tweet.timestamp,
+      'Source': tweet.source,
+      'Likes': tweet.likes ?? null,
+      'Retweets': tweet.retweets ?? null
+    };
+
+    if (this.provenanceFields) {
+      fields['Extraction Method'] = provenance.extraction_method || null;
+      fields['Confidence'] = provenance.confidence ?? null;
+      fields['Synthetic'] = !!provenance.is_synthetic;
     }
+
+    return { fields };
+  }
+
+  // Sent At and Status describe the write, so they are added when the
+  // record is written rather than when it is queued
+  stampRecord(record, status) {
+    return { fields: { ...record.fields, 'Sent At': new Date().toISOString(), 'Status': status || null } };
   }
 
   async logError(error, context = {}) {
     if (!this.enabled) return;
 
-    try {
-      const record = {
+    const payload = {
+      table: 'Errors',
+      record: {
         fields: {
           'Type': 'Error',
           'Message': error.message,
@@ -58,18 +108,15 @@ class AirtableLogger {
           'Context': JSON.stringify(context),
           'Timestamp': new Date().toISOString()
         }
-      };
-
-      await axios.post(`https://api.airtable.com/v0/${this.baseId}/Errors`, record, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      }
+    };
+    if (this.outbox) {
+      await this.outbox.enqueue('airtable', 'error', payload);
+      return;
+    }
 
+    if ((await this.deliver(payload)).success) {
       logger.info('Error logged to Airtable');
-    } catch (logError) {
-      logger.error('Failed to log error to Airtable:', logError);
     }
   }
 
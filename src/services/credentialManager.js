@@ -119,6 +119,7 @@ class CredentialManager {
       'TWITTER_COOKIE',
       'TWITTER_USERNAME',
       'TWITTER_PASSWORD',
+      'TWITTER_EMAIL',
       'AIRTABLE_API_KEY',
       'AIRTABLE_BASE_ID',
       'NOTION_API_KEY',
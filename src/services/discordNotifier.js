@@ -1,10 +1,18 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const rateLimiter = require('./rateLimiter');
+
+// Sends of one message, counting retries after a 429
+const RATE_LIMIT_ATTEMPTS = 3;
 
 class DiscordNotifier {
   constructor() {
     this.webhookUrl = process.env.DISCORD_WEBHOOK_URL;
+    this.outbox = null;
+    this.maxWaitMs = parseInt(process.env.DISCORD_MAX_WAIT_MS) || 60 * 1000;
     this.validateWebhookUrl();
+    // Identifies the webhook's buckets in rateLimiter, without its token
+    this.webhookId = (this.webhookUrl && this.webhookUrl.match(/\/webhooks\/(\d+)/) || [])[1] || 'default';
   }
 
   validateWebhookUrl() {
@@ -18,70 +26,235 @@ class DiscordNotifier {
     return this.sendTweetNotification(tweet);
   }
 
+  // Queued in the outbox when one is attached, sent straight away otherwise
   async sendTweetNotification(tweet) {
     if (!this.webhookUrl) {
       logger.warn('Discord webhook not configured, skipping notification');
-      return { success: false, error: 'Webhook not configured' };
+      return { success: false, skipped: true, error: 'Webhook not configured' };
     }
 
-    try {
-      const embed = {
-        title: '🐦 New Tweet Alert',
-        description: tweet.text,
-        color: 0x1DA1F2,
-        fields: [
-          {
-            name: 'Author',
-            value: `@${tweet.username}`,
-            inline: true
-          },
-          {
-            name: 'Date',
-            value: new Date(tweet.created_at).toLocaleString(),
-            inline: true
-          },
-          {
-            name: 'Engagement',
-            value: `❤️ ${tweet.likes || 0} | 🔄 ${tweet.retweets || 0}`,
-            inline: true
-          }
-        ],
-        footer: {
-          text: 'Podha Twitter Listener',
-          icon_url: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+    const payload = this.buildTweetPayload(tweet);
+    if (this.outbox) {
+      return this.outbox.enqueue('discord', 'tweet', payload, tweet.id);
+    }
+
+    const result = await this.deliver(payload);
+    if (result.success) {
+      logger.info(`Discord notification sent successfully for tweet: ${tweet.id}`);
+    }
+    return result;
+  }
+
+  buildTweetPayload(tweet) {
+    const provenance = tweet.provenance || {};
+    const createdAt = tweet.created_at || tweet.timestamp;
+    const embed = {
+      title: provenance.is_synthetic ? '⚠️ Synthetic Tweet (not real data)' : '🐦 New Tweet Alert',
+      description: tweet.text,
+      color: provenance.is_synthetic ? 0x95a5a6 : 0x1DA1F2,
+      fields: [
+        {
+          name: 'Author',
+          value: this.formatAuthor(tweet),
+          inline: true
         },
-        timestamp: new Date().toISOString()
-      };
+        {
+          name: 'Date',
+          value: createdAt ? new Date(createdAt).toLocaleString() : 'Unknown',
+          inline: true
+        },
+        {
+          name: 'Engagement',
+          value: this.formatEngagement(tweet),
+          inline: true
+        }
+      ],
+      footer: {
+        text: `Podha Twitter Listener · ${this.formatProvenance(provenance)}`,
+        icon_url: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+      },
+      timestamp: new Date().toISOString()
+    };
 
-      if (tweet.url) {
-        embed.url = tweet.url;
-      }
+    if (tweet.url) {
+      embed.url = tweet.url;
+    }
 
-      const payload = {
-        embeds: [embed],
-        username: 'Twitter Bot',
-        avatar_url: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-      };
+    if (tweet.is_retweet && !provenance.is_synthetic) {
+      embed.title = `🔁 Retweeted${tweet.retweeted_by ? ` by ${tweet.retweeted_by}` : ''}`;
+    }
 
-      const response = await axios.post(this.webhookUrl, payload, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
+    if (tweet.is_quote_status && tweet.quoted_status) {
+      embed.fields.push({
+        name: '💬 Quoting',
+        value: this.formatQuote(tweet.quoted_status),
+        inline: false
       });
+    }
 
-      logger.info(`Discord notification sent successfully for tweet: ${tweet.id}`);
-      return { success: true, response: response.data };
+    if (tweet.thread) {
+      embed.fields.push({
+        name: `🧵 Thread context (${tweet.thread.size} tweets)`,
+        value: this.formatThread(tweet.thread),
+        inline: false
+      });
+    }
 
-    } catch (error) {
-      logger.error('Failed to send Discord notification:', {
-        error: error.message,
-        tweet_id: tweet.id,
-        status: error.response?.status,
-        statusText: error.response?.statusText
+    if (tweet.matched_filters && tweet.matched_filters.length > 0) {
+      embed.fields.push({
+        name: 'Matched Filters',
+        value: tweet.matched_filters.join(', '),
+        inline: false
       });
-      return { success: false, error: error.message };
     }
+
+    return {
+      embeds: [embed],
+      username: 'Twitter Bot',
+      avatar_url: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+    };
+  }
+
+  // Posts one message to the webhook, within the rate-limit buckets
+  // Discord reported for it (see recordLimits). A 429 is waited out and
+  // retried, unless the wait is longer than DISCORD_MAX_WAIT_MS; the result
+  // then carries retryAfterMs for the outbox. Resolves to { success, error,
+  // httpStatus, retryAfterMs } rather than throwing.
+  async deliver(payload) {
+    for (let attempt = 1; ; attempt++) {
+      const waitTime = rateLimiter.getWaitTime('discord', this.webhookId);
+      if (waitTime > this.maxWaitMs) {
+        logger.warn(`Discord webhook rate limited for ${Math.ceil(waitTime / 1000)}s, not waiting`);
+        return { success: false, error: 'Rate limited by Discord', httpStatus: 429, retryAfterMs: waitTime };
+      }
+      do {
+        await rateLimiter.waitForLimit('discord', this.webhookId);
+      } while (!(await rateLimiter.checkLimit('discord', this.webhookId)));
+
+      try {
+        const response = await axios.post(this.webhookUrl, payload, {
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        });
+
+        this.recordLimits(response);
+        return { success: true, response: response.data };
+      } catch (error) {
+        const retryAfterMs = error.response ? this.recordLimits(error.response) : null;
+
+        if (retryAfterMs !== null && attempt < RATE_LIMIT_ATTEMPTS && retryAfterMs <= this.maxWaitMs) {
+          logger.info(`Sending the Discord message again (attempt ${attempt + 1} of ${RATE_LIMIT_ATTEMPTS})`);
+          continue;
+        }
+
+        logger.error('Failed to send Discord message:', {
+          error: error.message,
+          status: error.response?.status,
+          statusText: error.response?.statusText
+        });
+        return { success: false, error: error.message, httpStatus: error.response?.status ?? null, retryAfterMs };
+      }
+    }
+  }
+
+  // Feeds Discord's X-RateLimit-* headers into rateLimiter as this
+  // webhook's bucket. For a 429, blocks the webhook, or every webhook when
+  // the limit is global, for retry_after and resolves to it in ms; null
+  // otherwise.
+  recordLimits(response) {
+    const headers = response.headers || {};
+
+    if (headers['x-ratelimit-remaining'] !== undefined && headers['x-ratelimit-reset-after'] !== undefined) {
+      rateLimiter.report('discord', this.webhookId, {
+        bucket: headers['x-ratelimit-bucket'] || null,
+        limit: parseInt(headers['x-ratelimit-limit']) || null,
+        remaining: parseInt(headers['x-ratelimit-remaining']),
+        resetAt: Date.now() + parseFloat(headers['x-ratelimit-reset-after']) * 1000
+      });
+    }
+
+    if (response.status !== 429) return null;
+
+    const body = response.data || {};
+    const retryAfter = parseFloat(body.retry_after ?? headers['retry-after']);
+    const retryAfterMs = Math.ceil((isNaN(retryAfter) ? 1 : retryAfter) * 1000);
+    const global = body.global === true || headers['x-ratelimit-global'] === 'true' || headers['x-ratelimit-scope'] === 'global';
+
+    rateLimiter.block('discord', global ? null : this.webhookId, Date.now() + retryAfterMs);
+    logger.warn(`Discord ${global ? 'global' : 'webhook'} rate limit reached; retry after ${retryAfterMs}ms`);
+    return retryAfterMs;
+  }
+
+  // Sends through the outbox from now on
+  attachOutbox(outbox) {
+    if (!this.webhookUrl) return;
+
+    this.outbox = outbox;
+    outbox.register('discord', payload => this.deliver(payload));
+  }
+
+  // Handle, plus the author's reach when their profile is known
+  formatAuthor(tweet) {
+    const handle = `@${tweet.username || tweet.author}`;
+    const profile = tweet.author_profile;
+    if (!profile || profile.followers_count === null || profile.followers_count === undefined) return handle;
+
+    const followers = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 })
+      .format(profile.followers_count);
+    return `${handle}${profile.verified ? ' ✔️' : ''}\n👥 ${followers} followers`;
+  }
+
+  // Unknown counts are shown as "?" rather than 0
+  formatEngagement(tweet) {
+    const count = value => (value === null || value === undefined ? '?' : value.toLocaleString('en-US'));
+    const parts = [
+      `💬 ${count(tweet.replies)}`,
+      `🔄 ${count(tweet.retweets)}`,
+      `❤️ ${count(tweet.likes)}`
+    ];
+    if (tweet.views !== null && tweet.views !== undefined) {
+      parts.push(`👁️ ${count(tweet.views)}`);
+    }
+    return parts.join(' | ');
+  }
+
+  // One line per context tweet with the text behind a spoiler, so the thread
+  // stays collapsed until clicked
+  formatThread(thread) {
+    const line = (label, tweet) =>
+      `**${label}** [@${tweet.username}](${tweet.url}): ||${this.truncate(tweet.text, 140)}||`;
+    const lines = [];
+
+    if (thread.root) lines.push(line('Root', thread.root));
+    if (thread.parent) lines.push(line('Replying to', thread.parent));
+    if (thread.self_replies.length > 0) {
+      const count = thread.self_replies.length;
+      lines.push(line(`Continues (${count} self-${count === 1 ? 'reply' : 'replies'})`, thread.self_replies[0]));
+    }
+
+    // At most three short lines, well inside Discord's 1024-character field limit
+    return lines.join('\n');
+  }
+
+  formatQuote(quoted) {
+    const author = quoted.username ? `@${quoted.username}` : 'Unknown author';
+    const heading = quoted.url ? `[${author}](${quoted.url})` : author;
+    return `${heading}: ${this.truncate(quoted.text || '(text not available)', 300)}`;
+  }
+
+  truncate(text, length) {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+  }
+
+  formatProvenance(provenance) {
+    if (!provenance.extraction_method) return 'source unknown';
+    const confidence = provenance.confidence !== null && provenance.confidence !== undefined
+      ? ` (${Math.round(provenance.confidence * 100)}% confidence)`
+      : '';
+    return `via ${provenance.extraction_method}${confidence}`;
   }
 
   async sendSystemNotification(message, type = 'info') {
@@ -90,47 +263,40 @@ class DiscordNotifier {
       return { success: false, error: 'Webhook not configured' };
     }
 
-    try {
-      const colors = {
-        info: 0x3498db,
-        success: 0x2ecc71,
-        warning: 0xf39c12,
-        error: 0xe74c3c
-      };
-
-      const embed = {
-        title: `🤖 System ${type.charAt(0).toUpperCase() + type.slice(1)}`,
-        description: message,
-        color: colors[type] || colors.info,
-        footer: {
-          text: 'Podha Twitter Listener System',
-        },
-        timestamp: new Date().toISOString()
-      };
+    const payload = this.buildSystemPayload(message, type);
+    if (this.outbox) {
+      return this.outbox.enqueue('discord', 'system', payload);
+    }
 
-      const payload = {
-        embeds: [embed],
-        username: 'System Bot'
-      };
+    const result = await this.deliver(payload);
+    if (result.success) {
+      logger.info(`System notification sent to Discord: ${type}`);
+    }
+    return result;
+  }
 
-      const response = await axios.post(this.webhookUrl, payload, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
+  buildSystemPayload(message, type) {
+    const colors = {
+      info: 0x3498db,
+      success: 0x2ecc71,
+      warning: 0xf39c12,
+      error: 0xe74c3c
+    };
 
-      logger.info(`System notification sent to Discord: ${type}`);
-      return { success: true, response: response.data };
+    const embed = {
+      title: `🤖 System ${type.charAt(0).toUpperCase() + type.slice(1)}`,
+      description: message,
+      color: colors[type] || colors.info,
+      footer: {
+        text: 'Podha Twitter Listener System',
+      },
+      timestamp: new Date().toISOString()
+    };
 
-    } catch (error) {
-      logger.error('Failed to send system notification to Discord:', {
-        error: error.message,
-        type,
-        status: error.response?.status
-      });
-      return { success: false, error: error.message };
-    }
+    return {
+      embeds: [embed],
+      username: 'System Bot'
+    };
   }
 
   async testWebhook() {
@@ -161,6 +327,7 @@ class DiscordNotifier {
         timeout: 10000
       });
 
+      this.recordLimits(response);
       logger.info('Discord webhook test successful');
       return { success: true, message: 'Test message sent successfully!' };
 
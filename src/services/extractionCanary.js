@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+
+const MIN_RECENT_RUNS = 3;
+const MIN_BASELINE_RUNS = 10;
+const ALERT_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+// Watches live extraction for the silent failure mode of scrapers: markup
+// changes, the parser finds nothing and the fallbacks hide it. After each
+// run the recent yield (tweets per answered run) and field completeness of
+// every source are compared with its own history in source_runs, and a
+// sharp drop is reported through the system notifier.
+class ExtractionCanary {
+  constructor(tweetStorage, discordNotifier) {
+    this.tweetStorage = tweetStorage;
+    this.discordNotifier = discordNotifier;
+    this.enabled = process.env.EXTRACTION_CANARY !== 'false';
+    this.windowHours = parseInt(process.env.CANARY_WINDOW_HOURS) || 6;
+    this.baselineDays = parseInt(process.env.CANARY_BASELINE_DAYS) || 7;
+    // Alert when yield falls below this share of the baseline, or
+    // completeness by more than this many points
+    this.yieldRatio = parseFloat(process.env.CANARY_YIELD_RATIO) || 0.5;
+    this.completenessDrop = parseFloat(process.env.CANARY_COMPLETENESS_DROP) || 0.2;
+    this.lastAlerts = new Map();
+  }
+
+  async check() {
+    if (!this.enabled) return [];
+
+    const window = `-${this.windowHours} hours`;
+    const recent = await this.tweetStorage.getExtractionStats(window);
+    const baseline = await this.tweetStorage.getExtractionStats(`-${this.baselineDays} days`, window);
+    const drops = [];
+
+    recent.forEach(current => {
+      const history = baseline.find(row => row.source === current.source);
+      if (!history || current.runs < MIN_RECENT_RUNS || history.runs < MIN_BASELINE_RUNS) return;
+
+      if (history.avg_tweets >= 1 && current.avg_tweets < history.avg_tweets * this.yieldRatio) {
+        drops.push({
+          source: current.source,
+          metric: 'yield',
+          message: `${current.source}: ${this.round(current.avg_tweets)} tweets per run over the last ${this.windowHours}h, ` +
+            `down from ${this.round(history.avg_tweets)}`
+        });
+      }
+
+      if (current.avg_completeness !== null && history.avg_completeness !== null &&
+        history.avg_completeness - current.avg_completeness > this.completenessDrop) {
+        drops.push({
+          source: current.source,
+          metric: 'completeness',
+          message: `${current.source}: ${this.percent(current.avg_completeness)} of fields filled over the last ` +
+            `${this.windowHours}h, down from ${this.percent(history.avg_completeness)}`
+        });
+      }
+    });
+
+    const fresh = drops.filter(drop => this.shouldAlert(drop));
+    if (fresh.length > 0) {
+      logger.warn(`Extraction canary: ${fresh.map(drop => drop.message).join('; ')}`);
+      await this.discordNotifier.sendSystemNotification(
+        `Extraction dropped sharply, parsers may be out of date with the page markup:\n${fresh.map(drop => drop.message).join('\n')}`,
+        'warning'
+      );
+    }
+
+    return drops;
+  }
+
+  // One alert per source and metric per cooldown, so a broken parser does
+  // not page on every run
+  shouldAlert(drop) {
+    const key = `${drop.source}:${drop.metric}`;
+    const last = this.lastAlerts.get(key);
+    if (last && Date.now() - last < ALERT_COOLDOWN_MS) return false;
+
+    this.lastAlerts.set(key, Date.now());
+    return true;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  percent(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+}
+
+module.exports = ExtractionCanary;
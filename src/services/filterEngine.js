@@ -1,107 +1,248 @@
 const logger = require('../utils/logger');
+const queryParser = require('../utils/queryParser');
+const queryMatcher = require('../utils/queryMatcher');
+
+// The filters of an engine without a TweetStorage. Migration 006 seeded
+// new databases with these, as they were when it shipped.
+const DEFAULT_FILTERS = [
+  {
+    name: 'Podha RWA',
+    query: 'filter:blue_verified min_faves:3 Podha AND ("RWA" OR "Real World Assets" OR "Yield")',
+    description: 'Podha Protocol mentions with RWA keywords'
+  },
+  {
+    name: 'Solana Smart Vaults',
+    query: 'filter:blue_verified min_faves:3 Solana AND ("Smart Vaults" OR "Safe Yield" OR "Podha")',
+    description: 'Solana mentions with Smart Vaults and Podha keywords'
+  },
+  {
+    name: 'Bitcoin Tokenized Treasury',
+    query: 'filter:blue_verified min_faves:3 Bitcoin AND ("tokenized treasury" OR "credit protocol" OR "RWA on-chain")',
+    description: 'Bitcoin mentions with tokenized treasury keywords'
+  },
+  {
+    name: 'DeFi Custodial',
+    query: 'filter:blue_verified min_faves:3 DeFi AND ("custodial vault" OR "delta neutral")',
+    description: 'DeFi mentions with custodial and delta neutral keywords'
+  }
+];
+
+// How a watched account's posts are alerted on:
+//   all       every new post
+//   keywords  only posts matching the account's keywords, or the keyword
+//             part of any active filter when it has none
+const WATCH_MODES = ['all', 'keywords'];
+const HANDLE_PATTERN = /^@?([A-Za-z0-9_]{1,15})$/;
 
 class FilterEngine {
-  constructor() {
-    this.filters = [
-      {
-        name: 'Podha RWA',
-        query: 'filter:blue_verified min_faves:3 Podha AND ("RWA" OR "Real World Assets" OR "Yield")',
-        description: 'Podha Protocol mentions with RWA keywords'
-      },
-      {
-        name: 'Solana Smart Vaults',
-        query: 'filter:blue_verified min_faves:3 Solana AND ("Smart Vaults" OR "Safe Yield" OR "Podha")',
-        description: 'Solana mentions with Smart Vaults and Podha keywords'
-      },
-      {
-        name: 'Bitcoin Tokenized Treasury',
-        query: 'filter:blue_verified min_faves:3 Bitcoin AND ("tokenized treasury" OR "credit protocol" OR "RWA on-chain")',
-        description: 'Bitcoin mentions with tokenized treasury keywords'
-      },
-      {
-        name: 'DeFi Custodial',
-        query: 'filter:blue_verified min_faves:3 DeFi AND ("custodial vault" OR "delta neutral")',
-        description: 'DeFi mentions with custodial and delta neutral keywords'
+  // Without a TweetStorage the engine works on the default filters in memory
+  constructor(tweetStorage = null) {
+    this.tweetStorage = tweetStorage;
+    this.filters = DEFAULT_FILTERS.map(filter => ({ ...filter, enabled: true }));
+    // Watched accounts by lower-case handle
+    this.watchlist = new Map();
+    this.astCache = new Map();
+  }
+
+  // Reload filters from the database; called at the start of every run so
+  // edits made through the dashboard apply without a restart
+  async loadFilters() {
+    if (!this.tweetStorage) return this.filters;
+
+    await this.tweetStorage.initialize();
+    this.filters = await this.tweetStorage.getFilters();
+    return this.filters;
+  }
+
+  // Reload the watchlist; called with loadFilters at the start of every run
+  async loadWatchlist() {
+    if (!this.tweetStorage) return this.getWatchlist();
+
+    const watchlist = await this.tweetStorage.getWatchlist();
+    this.watchlist = new Map(watchlist.map(user => [user.username.toLowerCase(), user]));
+    return watchlist;
+  }
+
+  getWatchlist() {
+    return [...this.watchlist.values()];
+  }
+
+  validateWatch({ username, mode = 'all', keywords = null }) {
+    if (!username || !HANDLE_PATTERN.test(username)) {
+      return { valid: false, error: 'A valid X handle is required' };
+    }
+    if (!WATCH_MODES.includes(mode)) {
+      return { valid: false, error: `Mode must be one of: ${WATCH_MODES.join(', ')}` };
+    }
+    if (keywords) {
+      try {
+        queryParser.parse(keywords);
+      } catch (error) {
+        if (error instanceof queryParser.QuerySyntaxError) {
+          return { valid: false, error: error.message, position: error.position };
+        }
+        throw error;
       }
-    ];
+    }
+    return { valid: true };
+  }
+
+  // Add an account to the watchlist or change its settings
+  async watchAccount({ username, mode = 'all', keywords = null, category = null, note = null }) {
+    const user = await this.tweetStorage.watchUser({
+      username: username.replace(/^@/, ''),
+      mode,
+      keywords: keywords || null,
+      category: category || null,
+      note: note || null
+    });
+    await this.loadWatchlist();
+    return user;
+  }
+
+  async unwatchAccount(username) {
+    const user = await this.tweetStorage.unwatchUser(username.replace(/^@/, ''));
+    await this.loadWatchlist();
+    return user;
+  }
+
+  // The watched account a tweet was posted (or retweeted) by, when its mode
+  // lets the tweet through; null otherwise
+  matchWatchlist(tweet) {
+    const user = [tweet.username || tweet.author, tweet.retweeted_by]
+      .filter(Boolean)
+      .map(handle => this.watchlist.get(handle.toLowerCase()))
+      .find(Boolean);
+    if (!user) return null;
+    if (user.watch_mode !== 'keywords') return user;
+
+    const asts = user.watch_keywords
+      ? [this.getQueryAst(user.watch_keywords, `Watchlist keywords of @${user.username}`)]
+      : this.getActiveFilters().map(filter => this.getKeywordAst(filter));
+    return asts.some(ast => ast && queryMatcher.matches(ast, tweet)) ? user : null;
   }
 
   getSearchQueries() {
-    // Return both original and simplified queries for better results
     const queries = [];
-    this.filters.forEach(filter => {
-      queries.push(filter.query);
-      // Add simplified version for better success rate
-      queries.push(this.simplifyQuery(filter.query));
+    this.getActiveFilters().forEach(filter => {
+      queries.push(...this.getFilterQueries(filter));
     });
     // Remove duplicates
     return [...new Set(queries)];
   }
 
-  // Simplify complex queries for better results
+  // Return both original and simplified queries for better results
+  getFilterQueries(filter) {
+    return [...new Set([filter.query, this.simplifyQuery(filter.query)])];
+  }
+
+  // Simplify complex queries for better results: keep the keyword and
+  // boolean structure, drop the operator constraints
   simplifyQuery(query) {
-    // Extract main keywords from complex Twitter search syntax
-    const keywords = [];
-    
-    // Extract quoted terms
-    const quotedTerms = query.match(/"([^"]+)"/g);
-    if (quotedTerms) {
-      quotedTerms.forEach(term => {
-        keywords.push(term.replace(/"/g, ''));
-      });
+    try {
+      const keywords = queryParser.stripOperators(queryParser.parse(query));
+      return keywords ? queryParser.serialize(keywords) : query.trim();
+    } catch (error) {
+      logger.warn(`Could not simplify query "${query}": ${error.message}`);
+      return query.trim();
     }
-    
-    // Extract main terms (non-filter words)
-    const words = query.split(/\s+/);
-    words.forEach(word => {
-      if (!word.includes('filter:') && 
-          !word.includes('min_faves:') && 
-          !['AND', 'OR', '(', ')'].includes(word) &&
-          !word.startsWith('"')) {
-        keywords.push(word);
-      }
-    });
-    
-    // Return simplified query with main keywords
-    return keywords.slice(0, 2).join(' '); // Limit to 2 main keywords
+  }
+
+  parseQuery(query) {
+    return queryParser.parse(query);
   }
 
   getFilters() {
     return this.filters;
   }
 
-  addCustomFilter(name, query, description) {
-    this.filters.push({
-      name,
-      query,
-      description
-    });
+  getActiveFilters() {
+    return this.filters.filter(filter => filter.enabled);
+  }
+
+  getFilter(id) {
+    return this.filters.find(filter => String(filter.id) === String(id)) || null;
+  }
+
+  async addCustomFilter(name, query, description) {
+    if (!this.tweetStorage) {
+      const filter = { name, query, description, enabled: true };
+      this.filters.push(filter);
+      logger.info(`Added custom filter: ${name}`);
+      return filter;
+    }
+
+    const filter = await this.tweetStorage.createFilter({ name, query, description });
+    await this.loadFilters();
     logger.info(`Added custom filter: ${name}`);
+    return filter;
+  }
+
+  // Apply a partial change (name, query, description, enabled) to a stored filter
+  async updateFilter(id, changes) {
+    const fields = {};
+    ['name', 'query', 'description', 'enabled'].forEach(key => {
+      if (changes[key] !== undefined) fields[key] = changes[key];
+    });
+
+    const filter = await this.tweetStorage.updateFilter(id, fields);
+    await this.loadFilters();
+    return filter;
+  }
+
+  async deleteFilter(id) {
+    const filter = await this.tweetStorage.deleteFilter(id);
+    await this.loadFilters();
+    return filter;
+  }
+
+  async getFilterHistory(id) {
+    return this.tweetStorage.getFilterHistory(id);
   }
 
   validateQuery(query) {
-    // Basic validation for Twitter search syntax
-    const requiredElements = ['filter:blue_verified', 'min_faves:3'];
-    
-    for (const element of requiredElements) {
-      if (!query.includes(element)) {
+    let ast;
+    try {
+      ast = queryParser.parse(query);
+    } catch (error) {
+      if (error instanceof queryParser.QuerySyntaxError) {
         return {
           valid: false,
-          error: `Query must include ${element}`
+          error: error.message,
+          position: error.position
         };
       }
+      throw error;
     }
 
-    // Check for logical operators
-    const hasLogicalOperators = query.includes('AND') || query.includes('OR');
-    if (!hasLogicalOperators) {
+    // min_followers: and other local operators are not sent to sources, so
+    // there must be something else to search for
+    if (!queryParser.withoutLocalOperators(ast)) {
       return {
         valid: false,
-        error: 'Query should include logical operators (AND/OR)'
+        error: 'Query must have terms to search for besides min_followers:'
       };
     }
 
-    return { valid: true };
+    // Every filter must be restricted to verified accounts with some engagement
+    const verified = queryParser.topLevelOperators(ast, 'filter')
+      .some(node => node.value === 'blue_verified');
+    if (!verified) {
+      return {
+        valid: false,
+        error: 'Query must include filter:blue_verified'
+      };
+    }
+
+    const minFaves = queryParser.topLevelOperators(ast, 'min_faves');
+    if (!minFaves.some(node => parseInt(node.value) >= 3)) {
+      return {
+        valid: false,
+        error: 'Query must include min_faves:3 or higher'
+      };
+    }
+
+    return { valid: true, ast };
   }
 
   formatQuery(baseQuery, keywords, operator = 'OR') {
@@ -134,24 +275,63 @@ class FilterEngine {
 
   // Method to test if a tweet matches our criteria
   matchesCriteria(tweet) {
-    const text = tweet.text.toLowerCase();
-    
-    // Check for minimum engagement
-    if (tweet.likes < 3) {
-      return false;
-    }
+    return this.matchFilters(tweet).length > 0;
+  }
+
+  // Filters whose full query holds for the tweet
+  matchFilters(tweet) {
+    return this.getActiveFilters().filter(filter => {
+      const ast = this.getFilterAst(filter);
+      return ast ? queryMatcher.matches(ast, tweet) : false;
+    });
+  }
+
+  // Re-check scraped tweets against every filter locally, since loose
+  // searches return tweets the full query would not. Posts of watched
+  // accounts are kept according to their watch mode. Each kept tweet is
+  // tagged with the names of the filters (or the watchlist entry) it matched.
+  applyFilters(tweets) {
+    const matched = [];
+
+    tweets.forEach(tweet => {
+      const names = this.matchFilters(tweet).map(filter => filter.name);
+      const watched = this.matchWatchlist(tweet);
+      if (watched) names.push(`Watchlist: @${watched.username}`);
 
-    // Check for blue verification (if available in tweet data)
-    if (tweet.author && tweet.author.includes('blue_verified')) {
-      return true;
+      if (names.length > 0) {
+        tweet.matched_filters = names;
+        matched.push(tweet);
+      }
+    });
+
+    const dropped = tweets.length - matched.length;
+    if (dropped > 0) {
+      logger.info(`Dropped ${dropped} tweets that matched no filter`);
     }
 
-    // Check for keyword matches
-    const podhaKeywords = ['podha', 'rwa', 'real world assets', 'yield', 'smart vaults', 'safe yield'];
-    const defiKeywords = ['defi', 'custodial vault', 'delta neutral', 'tokenized treasury', 'credit protocol'];
-    const allKeywords = [...podhaKeywords, ...defiKeywords];
+    return matched;
+  }
+
+  getFilterAst(filter) {
+    return this.getQueryAst(filter.query, `Filter "${filter.name}"`);
+  }
+
+  // The filter's query without its operators, or null when it has no keywords
+  getKeywordAst(filter) {
+    const ast = this.getFilterAst(filter);
+    return ast ? queryParser.stripOperators(ast) : null;
+  }
 
-    return allKeywords.some(keyword => text.includes(keyword));
+  getQueryAst(query, label) {
+    if (!this.astCache.has(query)) {
+      try {
+        this.astCache.set(query, queryParser.parse(query));
+      } catch (error) {
+        logger.warn(`${label} has an invalid query: ${error.message}`);
+        this.astCache.set(query, null);
+      }
+    }
+    return this.astCache.get(query);
   }
 
   // Get trending keywords from recent tweets
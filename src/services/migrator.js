@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+// <version>_<name>.js, e.g. 004_tweet_language_index.js
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Versioned schema migrations for the SQLite database. Each file in
+// src/migrations exports up(migration) and is applied once, in version
+// order, inside a transaction together with its row in schema_migrations.
+// A migration that fails is rolled back and stops the start-up.
+//
+// A database that has migrations this code does not know about was
+// written by a newer version; migrate() refuses to touch it.
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  // The migration files, by version
+  load() {
+    const migrations = fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_FILE.test(file))
+      .map(file => {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        return { version: parseInt(version), name, file, up: require(path.join(this.directory, file)).up };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Two migrations have version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+      }
+    });
+    return migrations;
+  }
+
+  // Applied, pending and unknown migrations, without changing the database
+  async status() {
+    const migrations = this.load();
+    const table = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    const rows = table ? await this.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version') : [];
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const current = rows.length > 0 ? rows[rows.length - 1].version : 0;
+
+    return {
+      current,
+      latest,
+      tooNew: current > latest,
+      migrations: migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+      })),
+      pending: migrations.filter(migration => !applied.has(migration.version)).map(migration => migration.version),
+      unknown: rows.filter(row => !migrations.some(migration => migration.version === row.version))
+    };
+  }
+
+  // Applies the pending migrations. Resolves to the versions applied.
+  async migrate() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const status = await this.status();
+    if (status.tooNew) {
+      throw new Error(`Database schema is at version ${status.current}, newer than this code knows (${status.latest}). Upgrade the listener before using this database.`);
+    }
+    status.unknown.forEach(row => logger.warn(`Applied migration ${row.version} (${row.name}) has no migration file`));
+
+    const applied = [];
+    for (const migration of this.load().filter(candidate => status.pending.includes(candidate.version))) {
+      if (await this.apply(migration)) applied.push(migration.version);
+    }
+    return applied;
+  }
+
+  // Runs one migration in a transaction. BEGIN IMMEDIATE takes the write
+  // lock first, so a second process starting at the same time waits and
+  // then finds the migration applied.
+  async apply(migration) {
+    await this.run('BEGIN IMMEDIATE');
+
+    try {
+      if (await this.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version])) {
+        await this.run('COMMIT');
+        return false;
+      }
+
+      await migration.up(this.context());
+      await this.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await this.run('COMMIT');
+      logger.info(`Applied migration ${migration.file}`);
+      return true;
+    } catch (error) {
+      await this.run('ROLLBACK').catch(rollbackError => logger.error('Error rolling back migration:', rollbackError));
+      error.message = `Migration ${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // What a migration's up() is given to change the schema with
+  context() {
+    return {
+      run: (sql, params) => this.run(sql, params),
+      all: (sql, params) => this.all(sql, params),
+      get: (sql, params) => this.get(sql, params),
+      addColumns: (table, columns) => this.addColumns(table, columns)
+    };
+  }
+
+  // Adds the columns the table does not have yet
+  async addColumns(table, columns) {
+    const existing = new Set((await this.all(`PRAGMA table_info(${table})`)).map(row => row.name));
+
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        err ? reject(err) : resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,164 @@
+const logger = require('../utils/logger');
+
+// Outcomes of a request to an instance:
+//   ok             tweets were parsed
+//   empty          the page parsed but held no tweets
+//   parse_failure  a response came back but was not a Nitter timeline/feed
+//   error          HTTP error status, timeout or connection failure
+const WINDOW_SIZE = 20;
+const HEALTHY_SCORE = 0.5;
+const BASE_QUARANTINE_MS = 60 * 1000;
+const MAX_QUARANTINE_MS = 60 * 60 * 1000;
+const SLOW_RESPONSE_MS = 10000;
+
+// Tracks the configured Nitter instances, scores each one on its recent
+// requests and hands out healthy instances in rotation. Instances that fail
+// are quarantined with an exponential back-off.
+class NitterPool {
+  constructor() {
+    this.instances = [];
+    this.nextIndex = 0;
+    this.configure();
+  }
+
+  // NITTER_INSTANCES is a comma-separated list; NITTER_INSTANCE still works
+  // for a single instance
+  configure(urls = null) {
+    const configured = urls || (process.env.NITTER_INSTANCES || process.env.NITTER_INSTANCE || 'https://nitter.net')
+      .split(',')
+      .map(url => url.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+
+    this.instances = configured.map(url => ({
+      url,
+      samples: [],
+      failures: 0,
+      quarantinedUntil: null,
+      lastError: null,
+      lastUsedAt: null
+    }));
+    this.nextIndex = 0;
+  }
+
+  // Next instance to use, or null when every instance is quarantined.
+  // Healthy instances are used in turn; if none are healthy the best
+  // remaining one is tried.
+  acquire(exclude = []) {
+    const now = Date.now();
+    const available = this.instances.filter(instance =>
+      !exclude.includes(instance.url) && !this.isQuarantined(instance, now)
+    );
+    if (available.length === 0) return null;
+
+    const healthy = available.filter(instance => this.score(instance) >= HEALTHY_SCORE);
+    let instance;
+
+    if (healthy.length > 0) {
+      instance = healthy[this.nextIndex % healthy.length];
+      this.nextIndex++;
+    } else {
+      instance = available.reduce((best, candidate) =>
+        this.score(candidate) > this.score(best) ? candidate : best
+      );
+    }
+
+    instance.lastUsedAt = new Date(now).toISOString();
+    return instance.url;
+  }
+
+  record(url, outcome, details = {}) {
+    const instance = this.instances.find(candidate => candidate.url === url);
+    if (!instance) return;
+
+    instance.samples.push({
+      outcome,
+      latency: details.latency ?? null,
+      status: details.status ?? null,
+      at: Date.now()
+    });
+    if (instance.samples.length > WINDOW_SIZE) {
+      instance.samples.shift();
+    }
+
+    if (outcome === 'ok' || outcome === 'empty') {
+      instance.failures = 0;
+      instance.quarantinedUntil = null;
+      return;
+    }
+
+    instance.failures++;
+    instance.lastError = details.error || outcome;
+    const backoff = Math.min(BASE_QUARANTINE_MS * Math.pow(2, instance.failures - 1), MAX_QUARANTINE_MS);
+    instance.quarantinedUntil = Date.now() + backoff;
+    logger.warn(`Nitter instance ${url} quarantined for ${Math.round(backoff / 1000)}s after ${outcome}: ${instance.lastError}`);
+  }
+
+  isQuarantined(instance, now = Date.now()) {
+    return !!instance.quarantinedUntil && instance.quarantinedUntil > now;
+  }
+
+  // Rolling health score from 0 to 1 over the last WINDOW_SIZE requests.
+  // Instances without history start at 1 so they get tried.
+  score(instance) {
+    const metrics = this.metrics(instance);
+    if (metrics.requests === 0) return 1;
+
+    const latencyScore = metrics.avgLatencyMs === null
+      ? 0
+      : Math.max(0, 1 - metrics.avgLatencyMs / SLOW_RESPONSE_MS);
+
+    return 0.5 * metrics.successRate +
+      0.2 * (1 - metrics.emptyRate) +
+      0.15 * (1 - metrics.parseFailureRate) +
+      0.15 * latencyScore;
+  }
+
+  metrics(instance) {
+    const samples = instance.samples;
+    const count = outcome => samples.filter(sample => sample.outcome === outcome).length;
+    const answered = count('ok') + count('empty');
+    // Only answered requests count towards latency; a timeout is not fast
+    const latencies = samples
+      .filter(sample => sample.outcome === 'ok' || sample.outcome === 'empty')
+      .map(sample => sample.latency)
+      .filter(latency => latency !== null);
+
+    return {
+      requests: samples.length,
+      successRate: samples.length ? answered / samples.length : null,
+      emptyRate: answered ? count('empty') / answered : 0,
+      parseFailureRate: samples.length ? count('parse_failure') / samples.length : 0,
+      avgLatencyMs: latencies.length
+        ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+        : null,
+      lastStatus: samples.length ? samples[samples.length - 1].status : null
+    };
+  }
+
+  getStatus() {
+    const now = Date.now();
+
+    return this.instances.map(instance => {
+      const quarantined = this.isQuarantined(instance, now);
+      const score = this.score(instance);
+
+      return {
+        url: instance.url,
+        score: Math.round(score * 100) / 100,
+        healthy: !quarantined && score >= HEALTHY_SCORE,
+        quarantined,
+        quarantinedUntil: quarantined ? new Date(instance.quarantinedUntil).toISOString() : null,
+        consecutiveFailures: instance.failures,
+        ...this.metrics(instance),
+        lastError: instance.lastError,
+        lastUsedAt: instance.lastUsedAt
+      };
+    });
+  }
+
+  get size() {
+    return this.instances.length;
+  }
+}
+
+module.exports = new NitterPool();
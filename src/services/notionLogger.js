@@ -6,6 +6,10 @@ class NotionLogger {
     this.apiKey = process.env.NOTION_API_KEY;
     this.databaseId = process.env.NOTION_DATABASE_ID;
     this.enabled = !!(this.apiKey && this.databaseId);
+    // The provenance properties are opt-in: Notion refuses pages with
+    // properties the database does not have
+    this.provenanceFields = process.env.SINK_PROVENANCE_FIELDS === 'true';
+    this.outbox = null;
     
     if (this.enabled) {
       this.notion = new Client({ auth: this.apiKey });
@@ -14,78 +18,128 @@ class NotionLogger {
     }
   }
 
-  async logTweet(tweet) {
-    if (!this.enabled) return;
+  // Queued in the outbox when one is attached, written straight away
+  // otherwise. status is the tweet's status for a page written straight
+  // away; a queued one takes the status the tweet has when it is written.
+  // Resolves to { success, error } rather than throwing.
+  async logTweet(tweet, status) {
+    if (!this.enabled) return { success: false, skipped: true, error: 'Notion not configured' };
 
-    try {
-      await this.notion.pages.create({
-        parent: { database_id: this.databaseId },
-        properties: {
-          'Tweet ID': {
-            title: [
-              {
-                text: {
-                  content: tweet.id
-                }
-              }
-            ]
-          },
-          'Author': {
-            rich_text: [
-              {
-                text: {
-                  content: tweet.author
-                }
-              }
-            ]
-          },
-          'Text': {
-            rich_text: [
-              {
-                text: {
-                  content: tweet.text.substring(0, 2000) // Notion has limits
-                }
-              }
-            ]
-          },
-          'URL': {
-            url: tweet.url
-          },
-          'Timestamp': {
-            date: {
-              start: tweet.timestamp
-            }
-          },
-          'Sent At': {
-            date: {
-              start: new Date().toISOString()
+    const payload = this.buildProperties(tweet);
+    if (this.outbox) {
+      return this.outbox.enqueue('notion', 'tweet', payload, tweet.id);
+    }
+
+    const result = await this.deliver(this.stampProperties(payload, status));
+    if (result.success) {
+      logger.info(`Tweet logged to Notion: ${tweet.id}`);
+    }
+    return result;
+  }
+
+  buildProperties(tweet) {
+    const provenance = tweet.provenance || {};
+    const properties = {
+      'Tweet ID': {
+        title: [
+          {
+            text: {
+              content: tweet.id
             }
-          },
-          'Source': {
-            select: {
-              name: tweet.source
+          }
+        ]
+      },
+      'Author': {
+        rich_text: [
+          {
+            text: {
+              content: tweet.author
             }
-          },
-          'Likes': {
-            number: tweet.likes || 0
-          },
-          'Retweets': {
-            number: tweet.retweets || 0
-          },
-          'Status': {
-            select: {
-              name: 'Sent'
+          }
+        ]
+      },
+      'Text': {
+        rich_text: [
+          {
+            text: {
+              content: tweet.text.substring(0, 2000) // Notion has limits
             }
           }
+        ]
+      },
+      'URL': {
+        url: tweet.url
+      },
+      'Timestamp': {
+        date: {
+          start: tweet.timestamp
+        }
+      },
+      'Source': {
+        select: {
+          name: tweet.source
         }
+      },
+      'Likes': {
+        number: tweet.likes ?? null
+      },
+      'Retweets': {
+        number: tweet.retweets ?? null
+      }
+    };
+
+    if (this.provenanceFields) {
+      properties['Extraction Method'] = {
+        select: provenance.extraction_method ? { name: provenance.extraction_method } : null
+      };
+      properties['Confidence'] = { number: provenance.confidence ?? null };
+      properties['Synthetic'] = { checkbox: !!provenance.is_synthetic };
+    }
+
+    return properties;
+  }
+
+  // Sent At and Status describe the write, so they are added when the page
+  // is created rather than when it is queued
+  stampProperties(properties, status) {
+    return {
+      ...properties,
+      'Sent At': {
+        date: {
+          start: new Date().toISOString()
+        }
+      },
+      'Status': {
+        select: status ? { name: status } : null
+      }
+    };
+  }
+
+  // Creates one page in the database from its properties
+  async deliver(properties) {
+    try {
+      await this.notion.pages.create({
+        parent: { database_id: this.databaseId },
+        properties
       });
 
-      logger.info(`Tweet logged to Notion: ${tweet.id}`);
+      return { success: true };
     } catch (error) {
-      logger.error('Failed to log tweet to Notion:', error);
+      logger.error('Failed to write to Notion:', error.message);
+      return { success: false, error: error.message, httpStatus: error.status ?? null };
     }
   }
 
+  attachOutbox(outbox) {
+    if (!this.enabled) return;
+
+    this.outbox = outbox;
+    outbox.register('notion', async (payload, item) => {
+      const status = await outbox.tweetStatus(item.tweet_id);
+      return this.deliver(this.stampProperties(payload, status));
+    });
+  }
+
   async getRecentTweets(limit = 50) {
     if (!this.enabled) return [];
 
@@ -0,0 +1,179 @@
+const logger = require('../utils/logger');
+
+// Client errors worth another attempt; any other 4xx means the message
+// itself was refused and sending it again will not help
+const RETRYABLE_CLIENT_ERRORS = [408, 429];
+
+// A tweet's status follows its alert on this channel
+const TWEET_CHANNEL = 'discord';
+
+// Durable delivery of Discord messages and Airtable and Notion records.
+// Channels enqueue their payloads in the outbox table instead of sending
+// them, and deliverDue() sends what is due: on start-up, at the start of
+// each run, after each run's tweets are enqueued and every
+// OUTBOX_INTERVAL_MS while the worker runs.
+//
+// A failed attempt is retried after OUTBOX_BASE_DELAY_MS, doubling each
+// time up to OUTBOX_MAX_DELAY_MS, or after the retryAfterMs the channel
+// returned. Items that fail OUTBOX_MAX_ATTEMPTS times or are refused with
+// a client error are dead-lettered; replay() puts them back in the queue.
+// Items for a channel that is not configured wait until it is.
+class Outbox {
+  constructor(tweetStorage) {
+    this.tweetStorage = tweetStorage;
+    this.channels = new Map();
+    this.intervalMs = parseInt(process.env.OUTBOX_INTERVAL_MS) || 15000;
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = parseInt(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+    this.maxDelayMs = parseInt(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000;
+    this.timer = null;
+    this.draining = null;
+  }
+
+  // deliver(payload, item) sends one payload and resolves to { success,
+  // error, httpStatus, retryAfterMs }
+  register(channel, deliver) {
+    this.channels.set(channel, deliver);
+  }
+
+  async enqueue(channel, kind, payload, tweetId = null) {
+    const { id } = await this.tweetStorage.enqueueOutbox({ channel, kind, tweetId, payload });
+    logger.debug(`Queued ${kind} for ${channel} as outbox item ${id}`);
+    return { success: true, queued: true, id };
+  }
+
+  // Attempts every due item once. Resolves to the number delivered, retried
+  // and dead-lettered; calls made while a drain runs share it.
+  async deliverDue() {
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drain() {
+    const summary = { delivered: 0, retried: 0, dead: 0 };
+    const attempted = new Set();
+
+    const released = await this.tweetStorage.releaseStaleOutbox();
+    if (released > 0) {
+      logger.warn(`Released ${released} outbox items left sending by an earlier run`);
+    }
+
+    for (;;) {
+      const items = (await this.tweetStorage.getDueOutbox([...this.channels.keys()])).filter(item => !attempted.has(item.id));
+      if (items.length === 0) break;
+
+      for (const item of items) {
+        attempted.add(item.id);
+        // Another process may have taken it since it was read
+        if (!(await this.tweetStorage.claimOutboxItem(item.id))) continue;
+        summary[await this.attempt({ ...item, attempts: item.attempts + 1 })]++;
+      }
+    }
+
+    if (summary.delivered + summary.retried + summary.dead > 0) {
+      logger.info(`Outbox: ${summary.delivered} delivered, ${summary.retried} to retry, ${summary.dead} dead-lettered`);
+    }
+    return summary;
+  }
+
+  // Sends one claimed item and records the outcome: delivered, retried or
+  // dead
+  async attempt(item) {
+    const deliver = this.channels.get(item.channel);
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = await deliver(item.payload, item);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (item.tweet_id) {
+      await this.tweetStorage.recordNotification({
+        tweetId: item.tweet_id,
+        channel: item.channel,
+        status: result.success ? 'delivered' : 'failed',
+        error: result.error,
+        httpStatus: result.httpStatus,
+        durationMs: Date.now() - startedAt
+      });
+    }
+
+    const label = `${item.channel} ${item.kind} (outbox item ${item.id})`;
+    let outcome;
+
+    if (result.success) {
+      outcome = 'delivered';
+      await this.tweetStorage.completeOutboxItem(item.id, { status: 'delivered' });
+    } else if (this.isPermanent(result.httpStatus) || item.attempts >= this.maxAttempts) {
+      outcome = 'dead';
+      await this.tweetStorage.completeOutboxItem(item.id, { status: 'dead', error: result.error, httpStatus: result.httpStatus });
+      logger.error(`Dead-lettered ${label} after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}: ${result.error}`);
+    } else {
+      outcome = 'retried';
+      const retryInMs = result.retryAfterMs ?? this.backoff(item.attempts);
+      await this.tweetStorage.completeOutboxItem(item.id, { status: 'pending', error: result.error, httpStatus: result.httpStatus, retryInMs });
+      logger.warn(`Could not deliver ${label}, attempt ${item.attempts} of ${this.maxAttempts}: ${result.error}. Retrying in ${Math.ceil(retryInMs / 1000)}s`);
+    }
+
+    if (item.tweet_id && item.kind === 'tweet' && item.channel === TWEET_CHANNEL && outcome !== 'retried') {
+      await this.tweetStorage.updateTweetStatus(item.tweet_id, outcome === 'delivered' ? 'delivered' : 'failed');
+    }
+    return outcome;
+  }
+
+  // Status of an item's tweet as it is sent, for channels that record it
+  async tweetStatus(tweetId) {
+    if (!tweetId) return null;
+    return (await this.tweetStorage.getTweetStatuses([String(tweetId)])).get(String(tweetId)) ?? null;
+  }
+
+  isPermanent(httpStatus) {
+    return httpStatus >= 400 && httpStatus < 500 && !RETRYABLE_CLIENT_ERRORS.includes(httpStatus);
+  }
+
+  // Delay before the attempt after the given one
+  backoff(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  // Puts dead-lettered items back in the queue: the given ids, or all of
+  // them. Their tweets are queued again.
+  async replay(ids = null) {
+    const items = await this.tweetStorage.replayOutbox(ids);
+
+    for (const item of items) {
+      if (item.tweet_id && item.kind === 'tweet' && item.channel === TWEET_CHANNEL) {
+        await this.tweetStorage.updateTweetStatus(item.tweet_id, 'queued');
+      }
+    }
+
+    if (items.length > 0) {
+      logger.info(`Replaying ${items.length} dead-lettered outbox items`);
+    }
+    return items;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.deliverDue().catch(error => logger.error('Outbox delivery failed:', error));
+    }, this.intervalMs);
+    logger.info(`Outbox worker started - delivering every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,167 @@
+const logger = require('../utils/logger');
+
+// Errors after which a page cannot be trusted with another task
+const BROKEN_PAGE = /Target closed|Session closed|detached Frame|Execution context was destroyed|Protocol error|Page crashed/i;
+
+// A bounded set of browser pages shared by concurrent tasks. Pages belong
+// to a browser context (one per X account) and are reused by tasks of the
+// same key; when the pool is full, an idle page of another key is closed to
+// make room, and otherwise the task waits for a page to come free.
+//
+// A page that crashes, times out (a hung navigation or evaluate) or fails
+// with a protocol error is closed and replaced on the next task. Pages are
+// also recycled after maxUses tasks, since long-lived x.com tabs grow.
+class PagePool {
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.BROWSER_POOL_SIZE) || 3;
+    this.taskTimeoutMs = options.taskTimeoutMs || parseInt(process.env.PAGE_TASK_TIMEOUT_MS) || 120000;
+    this.maxUses = options.maxUses || parseInt(process.env.PAGE_MAX_USES) || 50;
+    this.preparePage = options.preparePage || (async () => {});
+    this.entries = [];
+    this.waiters = [];
+    this.nextId = 1;
+    this.recycled = 0;
+  }
+
+  // Runs task(page) on a page of the context and resolves to its result
+  async run(context, key, task) {
+    const entry = await this.acquire(context, key);
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          entry.hung = true;
+          reject(new Error(`Page task timed out after ${Math.round(this.taskTimeoutMs / 1000)}s`));
+        }, this.taskTimeoutMs);
+      });
+      const result = await Promise.race([task(entry.page), timeout]);
+      entry.stats.tasks++;
+      return result;
+    } catch (error) {
+      entry.stats.tasks++;
+      entry.stats.errors++;
+      entry.stats.lastError = error.message;
+      if (BROKEN_PAGE.test(error.message)) entry.broken = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      entry.stats.totalMs += Date.now() - startedAt;
+      entry.stats.lastUsedAt = new Date().toISOString();
+      await this.release(entry);
+    }
+  }
+
+  async acquire(context, key) {
+    for (;;) {
+      // Pages close with their context, e.g. when an account failed to sign in
+      this.entries = this.entries.filter(entry => entry.busy || (entry.page && !entry.page.isClosed()));
+
+      const idle = this.entries.find(entry => !entry.busy && entry.key === key);
+      if (idle) {
+        idle.busy = true;
+        return idle;
+      }
+
+      if (this.entries.length < this.size) {
+        return this.open(context, key);
+      }
+
+      const evictable = this.entries.find(entry => !entry.busy);
+      if (evictable) {
+        evictable.busy = true;
+        await this.close(evictable);
+        continue;
+      }
+
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  async open(context, key) {
+    // Take the slot before the first await so concurrent tasks see it
+    const entry = {
+      id: this.nextId++,
+      key,
+      page: null,
+      busy: true,
+      broken: false,
+      hung: false,
+      stats: { tasks: 0, errors: 0, totalMs: 0, lastError: null, lastUsedAt: null, openedAt: new Date().toISOString() }
+    };
+    this.entries.push(entry);
+
+    try {
+      entry.page = await context.newPage();
+      entry.page.on('error', error => {
+        entry.broken = true;
+        entry.stats.lastError = `Page crashed: ${error.message}`;
+      });
+      await this.preparePage(entry.page, context);
+      return entry;
+    } catch (error) {
+      await this.close(entry);
+      throw error;
+    }
+  }
+
+  async release(entry) {
+    const worn = entry.stats.tasks >= this.maxUses;
+    if (entry.broken || entry.hung || worn || !entry.page || entry.page.isClosed()) {
+      logger.warn(`Recycling browser page ${entry.id} (${entry.key}): ${entry.hung ? 'hung' : entry.broken ? 'crashed' : worn ? `${entry.stats.tasks} tasks` : 'closed'}`);
+      this.recycled++;
+      await this.close(entry);
+      return;
+    }
+
+    entry.busy = false;
+    this.wake();
+  }
+
+  async close(entry) {
+    this.entries = this.entries.filter(candidate => candidate !== entry);
+    if (entry.page && !entry.page.isClosed()) {
+      await entry.page.close().catch(error => logger.warn(`Could not close browser page ${entry.id}: ${error.message}`));
+    }
+    this.wake();
+  }
+
+  wake() {
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+
+  // An open idle page of the key, e.g. to save its session before closing
+  idlePage(key) {
+    const entry = this.entries.find(candidate => !candidate.busy && candidate.key === key && candidate.page);
+    return entry ? entry.page : null;
+  }
+
+  async closeAll() {
+    await Promise.all(this.entries.map(entry => this.close(entry)));
+  }
+
+  getStatus() {
+    return {
+      size: this.size,
+      open: this.entries.length,
+      busy: this.entries.filter(entry => entry.busy).length,
+      waiting: this.waiters.length,
+      recycled: this.recycled,
+      pages: this.entries.map(entry => ({
+        id: entry.id,
+        key: entry.key,
+        busy: entry.busy,
+        tasks: entry.stats.tasks,
+        errors: entry.stats.errors,
+        avgTaskMs: entry.stats.tasks ? Math.round(entry.stats.totalMs / entry.stats.tasks) : null,
+        lastError: entry.stats.lastError,
+        lastUsedAt: entry.stats.lastUsedAt,
+        openedAt: entry.stats.openedAt
+      }))
+    };
+  }
+}
+
+module.exports = PagePool;
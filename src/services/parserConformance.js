@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const entityExtractor = require('../utils/entityExtractor');
+const NitterSource = require('./sources/nitterSource');
+const RssSource = require('./sources/rssSource');
+const PuppeteerSource = require('./sources/puppeteerSource');
+const graphqlParser = require('./sources/graphqlParser');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/parsers');
+
+// How each parser reads a snapshot. A parser returns null when it cannot
+// run here (the DOM extractor needs a browser).
+const PARSERS = {
+  nitter_search: content => {
+    const $ = cheerio.load(content);
+    return new NitterSource().parseTweets($, $('.timeline-item'));
+  },
+  nitter_status: content => new NitterSource().parseConversation(cheerio.load(content)) || [],
+  nitter_rss: content => new RssSource().parseFeed(content),
+  rss_feed: content => new RssSource({ feeds: [] }).parseFeed(content, RssSource.FEED_PROVENANCE),
+  x_graphql: content => {
+    const timeline = graphqlParser.parseTimeline([JSON.parse(content)]);
+    return timeline ? timeline.tweets : [];
+  },
+  // Skipped without a browser; with one configured, a browser that does
+  // not start fails the fixture
+  puppeteer_dom: async content => {
+    if (!PuppeteerSource.hasBrowser()) return null;
+
+    const browser = await PuppeteerSource.launchBrowser(['--no-sandbox']);
+    try {
+      const page = await browser.newPage();
+      await page.setContent(content);
+      return await new PuppeteerSource().extractTweetsMethod1(page);
+    } finally {
+      await browser.close();
+    }
+  }
+};
+
+// Runs every parser against the saved HTML/JSON snapshots in
+// fixtures/parsers and scores the result field by field.
+//
+// Each fixture is a <name>.expected.json naming the parser, the snapshot
+// file and the tweets it should yield, with only the fields the snapshot
+// shows. A tweet the parser missed counts as a miss on all of its fields.
+class ParserConformance {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir || FIXTURES_DIR;
+    this.minScore = options.minScore ?? (parseFloat(process.env.PARSER_MIN_SCORE) || 0.9);
+  }
+
+  async run() {
+    const files = fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.expected.json')).sort();
+    const fixtures = [];
+
+    for (const file of files) {
+      fixtures.push(await this.runFixture(JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'))));
+    }
+
+    const scored = fixtures.filter(fixture => fixture.status === 'ok');
+    const hits = scored.reduce((sum, fixture) => sum + fixture.hits, 0);
+    const total = scored.reduce((sum, fixture) => sum + fixture.total, 0);
+
+    return {
+      score: total ? hits / total : null,
+      passed: fixtures.every(fixture => fixture.status === 'skipped' || (fixture.status === 'ok' && fixture.score >= this.minScore)),
+      minScore: this.minScore,
+      fixtures
+    };
+  }
+
+  async runFixture(fixture) {
+    const result = { name: fixture.name, parser: fixture.parser, status: 'ok', hits: 0, total: 0, fields: {}, mismatches: [] };
+    const parse = PARSERS[fixture.parser];
+    if (!parse) {
+      return { ...result, status: 'error', error: `Unknown parser: ${fixture.parser}` };
+    }
+
+    let tweets;
+    try {
+      tweets = await parse(fs.readFileSync(path.join(this.fixturesDir, fixture.snapshot), 'utf8'));
+    } catch (error) {
+      logger.warn(`Parser ${fixture.parser} failed on ${fixture.snapshot}: ${error.message}`);
+      return { ...result, status: 'error', error: error.message };
+    }
+    if (!tweets) {
+      return { ...result, status: 'skipped', error: `${fixture.parser} has no browser configured` };
+    }
+
+    tweets.forEach(tweet => entityExtractor.extract(tweet));
+    const byId = new Map(tweets.map(tweet => [String(tweet.id), tweet]));
+
+    fixture.tweets.forEach(expected => {
+      const actual = byId.get(String(expected.id));
+
+      Object.entries(expected).forEach(([field, value]) => {
+        const stats = result.fields[field] || (result.fields[field] = { hits: 0, total: 0 });
+        const found = actual ? this.value(actual, field) : undefined;
+        const hit = actual !== undefined && this.equal(found, value);
+
+        stats.total++;
+        result.total++;
+        if (hit) {
+          stats.hits++;
+          result.hits++;
+        } else {
+          result.mismatches.push({ id: expected.id, field, expected: value, actual: actual ? found : '(tweet not found)' });
+        }
+      });
+    });
+
+    result.found = tweets.length;
+    result.expected = fixture.tweets.length;
+    result.score = result.total ? result.hits / result.total : 1;
+    return result;
+  }
+
+  // Entity lists are compared by value; everything else as parsed
+  value(tweet, field) {
+    const entities = tweet.entities || {};
+    switch (field) {
+      case 'urls':
+        return (tweet.urls || []).map(link => link.expanded_url);
+      case 'cashtags':
+      case 'addresses':
+        return (entities[field] || []).map(item => item.address || item);
+      case 'quoted_status':
+        return tweet.quoted_status ? { id: tweet.quoted_status.id, username: tweet.quoted_status.username } : null;
+      default:
+        return tweet[field];
+    }
+  }
+
+  equal(actual, expected) {
+    if (typeof expected === 'string' && typeof actual === 'string') {
+      return actual.replace(/\s+/g, ' ').trim() === expected.replace(/\s+/g, ' ').trim();
+    }
+    return JSON.stringify(actual ?? null) === JSON.stringify(expected);
+  }
+
+  format(report) {
+    const percent = value => value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`;
+    const skipped = report.fixtures.filter(fixture => fixture.status === 'skipped').length;
+    const lines = [`Parser conformance: ${percent(report.score)} (minimum ${percent(report.minScore)})${skipped ? `, ${skipped} skipped` : ''}`];
+
+    report.fixtures.forEach(fixture => {
+      if (fixture.status !== 'ok') {
+        lines.push(`  ${fixture.name} [${fixture.parser}]: ${fixture.status} (${fixture.error})`);
+        return;
+      }
+
+      lines.push(`  ${fixture.name} [${fixture.parser}]: ${percent(fixture.score)}, ${fixture.found} parsed / ${fixture.expected} expected`);
+      Object.entries(fixture.fields)
+        .filter(([, stats]) => stats.hits < stats.total)
+        .forEach(([field, stats]) => lines.push(`    ${field}: ${stats.hits}/${stats.total}`));
+      fixture.mismatches.slice(0, 5).forEach(mismatch => {
+        lines.push(`    ! ${mismatch.id}.${mismatch.field}: expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual)}`);
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
+
+async function main() {
+  const conformance = new ParserConformance();
+  const report = await conformance.run();
+  console.log(conformance.format(report));
+  process.exit(report.passed ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ParserConformance;
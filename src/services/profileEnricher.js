@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+
+const HANDLE = /^[A-Za-z0-9_]{1,15}$/;
+
+// Lookups that failed, or found no account, are not retried for this long
+const RETRY_AFTER_MS = 60 * 60 * 1000;
+
+// Fields of a stored profile attached to tweets as tweet.author_profile
+const PROFILE_FIELDS = [
+  'id', 'username', 'display_name', 'description', 'followers_count', 'following_count',
+  'tweets_count', 'verified', 'verified_type', 'profile_image_url', 'created_at'
+];
+
+// Attaches the author's profile to scraped tweets as tweet.author_profile and
+// links them to the author's user id, so filters can ask for min_followers:
+// and alerts can show the author's reach.
+//
+// Profiles are cached in the users table for PROFILE_TTL_HOURS. Missing and
+// older ones are read through the source chain, at most PROFILE_FETCH_LIMIT
+// per run; past the limit a stale profile is used as it is. Profiles that
+// came with the tweets (X's GraphQL responses carry the author) are stored
+// without another request. ENRICH_PROFILES=false turns enrichment off.
+class ProfileEnricher {
+  constructor(twitterScraper, tweetStorage) {
+    this.twitterScraper = twitterScraper;
+    this.tweetStorage = tweetStorage;
+    this.enabled = process.env.ENRICH_PROFILES !== 'false';
+    this.ttlMs = (parseFloat(process.env.PROFILE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.fetchLimit = parseInt(process.env.PROFILE_FETCH_LIMIT) || 20;
+    this.failedAt = new Map();
+  }
+
+  async enrichAll(tweets) {
+    if (!this.enabled) return tweets;
+
+    const byAuthor = new Map();
+    tweets.forEach(tweet => {
+      const username = tweet.username || tweet.author;
+      // Posts from non-X feeds are authored by names, not handles
+      if (!username || !HANDLE.test(username)) return;
+      const key = username.toLowerCase();
+      if (!byAuthor.has(key)) byAuthor.set(key, []);
+      byAuthor.get(key).push(tweet);
+    });
+
+    const budget = { fetches: this.fetchLimit };
+    for (const authored of byAuthor.values()) {
+      const username = authored[0].username || authored[0].author;
+
+      try {
+        const profile = await this.resolve(username, authored, budget);
+        if (profile) authored.forEach(tweet => this.attach(tweet, profile));
+      } catch (error) {
+        logger.warn(`Could not enrich the profile of @${username}: ${error.message}`);
+      }
+    }
+
+    if (budget.fetches <= 0 && byAuthor.size > this.fetchLimit) {
+      logger.warn(`Profile fetch limit of ${this.fetchLimit} reached; some authors keep stale or no profiles`);
+    }
+    return tweets;
+  }
+
+  // The author's profile: the one carried by the tweets, a fresh stored
+  // one, or a newly fetched one. Null when none is known.
+  async resolve(username, tweets, budget) {
+    const carried = tweets.map(tweet => tweet.author_profile).find(profile => profile && profile.username);
+    if (carried) {
+      return this.tweetStorage.saveUserProfile({ ...carried, source: tweets[0].source });
+    }
+
+    const stored = await this.tweetStorage.getUserProfile(username);
+    const known = stored && stored.profile_fetched_at ? stored : null;
+    if (known && this.isFresh(known)) return known;
+
+    const key = username.toLowerCase();
+    if (budget.fetches <= 0 || Date.now() - (this.failedAt.get(key) || 0) < RETRY_AFTER_MS) {
+      return known;
+    }
+
+    budget.fetches--;
+    try {
+      const profile = await this.twitterScraper.fetchProfile(username);
+      if (!profile) {
+        logger.warn(`No profile found for @${username}`);
+        this.failedAt.set(key, Date.now());
+        return known;
+      }
+
+      this.failedAt.delete(key);
+      logger.info(`Fetched the profile of @${username} via ${profile.source} (${profile.followers_count ?? '?'} followers)`);
+      return this.tweetStorage.saveUserProfile(profile);
+    } catch (error) {
+      this.failedAt.set(key, Date.now());
+      logger.warn(`Could not fetch the profile of @${username}: ${error.message}`);
+      return known;
+    }
+  }
+
+  // profile_fetched_at is an SQLite UTC timestamp
+  isFresh(profile) {
+    const fetchedAt = Date.parse(`${profile.profile_fetched_at.replace(' ', 'T')}Z`);
+    return !isNaN(fetchedAt) && Date.now() - fetchedAt < this.ttlMs;
+  }
+
+  // Tweets keep what they were scraped with; the profile fills the gaps
+  attach(tweet, profile) {
+    tweet.author_profile = Object.fromEntries(PROFILE_FIELDS.map(field => [field, profile[field] ?? null]));
+    tweet.author_id = tweet.author_id || profile.id || null;
+    if (typeof tweet.verified !== 'boolean') tweet.verified = !!profile.verified;
+    if (!tweet.display_name && profile.display_name) tweet.display_name = profile.display_name;
+  }
+}
+
+module.exports = ProfileEnricher;
@@ -0,0 +1,256 @@
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const logger = require('../utils/logger');
+
+// Responses that say the exit IP is blocked or throttled
+const BLOCKED_STATUSES = [403, 429];
+const BASE_EJECTION_MS = 10 * 60 * 1000;
+const MAX_EJECTION_MS = 2 * 60 * 60 * 1000;
+const SOURCES = ['puppeteer', 'nitter', 'rss'];
+const STRATEGIES = ['round_robin', 'sticky'];
+
+// Outbound HTTP/SOCKS5 proxies for the tweet sources. Each source draws
+// from its own list (or the shared one) with one of two strategies:
+//   round_robin  every request goes out through the next proxy
+//   sticky       each session key (a Nitter instance, an X account) keeps
+//                the proxy it was first given while that proxy is usable
+// A proxy that is answered with 403 or 429 PROXY_EJECT_AFTER times in a
+// row is ejected with an exponential back-off. Sources without proxies go
+// out directly.
+class ProxyPool {
+  constructor() {
+    this.proxies = new Map();
+    this.groups = {};
+    this.sticky = new Map();
+    this.agents = new Map();
+    this.configure();
+  }
+
+  // PROXIES is a comma-separated list of http://, https:// or socks5:// URLs,
+  // with credentials if the proxy needs them. NITTER_PROXIES, RSS_PROXIES
+  // and PUPPETEER_PROXIES replace it for one source; "direct" turns proxies
+  // off for that source. PROXY_ROTATION and <SOURCE>_PROXY_ROTATION pick
+  // the strategy.
+  configure(env = process.env) {
+    this.ejectAfter = parseInt(env.PROXY_EJECT_AFTER) || 3;
+    this.proxies = new Map();
+    this.groups = {};
+    this.sticky = new Map();
+    this.agents = new Map();
+
+    SOURCES.forEach(source => {
+      const prefix = source.toUpperCase();
+      const list = env[`${prefix}_PROXIES`] || env.PROXIES || '';
+      const urls = list.trim().toLowerCase() === 'direct' ? [] : this.parseList(list);
+      let strategy = (env[`${prefix}_PROXY_ROTATION`] || env.PROXY_ROTATION || 'round_robin').toLowerCase().replace('-', '_');
+
+      if (!STRATEGIES.includes(strategy)) {
+        logger.warn(`Unknown proxy rotation "${strategy}" for ${source}, using round_robin`);
+        strategy = 'round_robin';
+      }
+
+      urls.forEach(url => this.register(url));
+      this.groups[source] = { urls, strategy, nextIndex: 0 };
+    });
+  }
+
+  parseList(list) {
+    return list.split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+      .filter(url => {
+        try {
+          const { protocol } = new URL(url);
+          if (['http:', 'https:', 'socks:', 'socks4:', 'socks5:', 'socks5h:'].includes(protocol)) return true;
+          logger.warn(`Ignoring proxy with unsupported protocol ${protocol} ${this.label(url)}`);
+        } catch (error) {
+          logger.warn('Ignoring proxy that is not a URL');
+        }
+        return false;
+      });
+  }
+
+  register(url) {
+    if (!this.proxies.has(url)) {
+      this.proxies.set(url, {
+        url,
+        label: this.label(url),
+        uses: 0,
+        blocked: 0,
+        failures: 0,
+        ejections: 0,
+        ejectedUntil: null,
+        lastStatus: null,
+        lastError: null,
+        lastUsedAt: null
+      });
+    }
+    return this.proxies.get(url);
+  }
+
+  has(source) {
+    return !!this.groups[source] && this.groups[source].urls.length > 0;
+  }
+
+  // Proxy URL for the next request of a source, or null to go out directly.
+  // options.key is the session a sticky proxy is kept for; options.proxy
+  // pins the request to one proxy, e.g. the one set on an X account.
+  // Throws when the source has proxies but all of them are ejected.
+  acquire(source, options = {}) {
+    const now = Date.now();
+
+    if (options.proxy) {
+      const pinned = this.register(options.proxy);
+      if (this.isEjected(pinned, now)) {
+        throw new Error(`Proxy ${pinned.label} is ejected until ${new Date(pinned.ejectedUntil).toISOString()}`);
+      }
+      return this.use(pinned, now);
+    }
+
+    if (!this.has(source)) return null;
+
+    const group = this.groups[source];
+    const stickyKey = group.strategy === 'sticky' && options.key ? `${source}:${options.key}` : null;
+    if (stickyKey && this.sticky.has(stickyKey)) {
+      const kept = this.proxies.get(this.sticky.get(stickyKey));
+      if (!this.isEjected(kept, now)) return this.use(kept, now);
+      this.sticky.delete(stickyKey);
+    }
+
+    const available = group.urls.filter(url => !this.isEjected(this.proxies.get(url), now));
+    if (available.length === 0) {
+      throw new Error(`Every proxy for ${source} is ejected`);
+    }
+
+    const url = available[group.nextIndex % available.length];
+    group.nextIndex++;
+    if (stickyKey) this.sticky.set(stickyKey, url);
+    return this.use(this.proxies.get(url), now);
+  }
+
+  use(proxy, now) {
+    proxy.uses++;
+    proxy.lastUsedAt = new Date(now).toISOString();
+    return proxy.url;
+  }
+
+  // Records the HTTP status a request through the proxy was answered with
+  // (null when there was no response). Returns true when the proxy was
+  // ejected by it.
+  record(url, status, error = null) {
+    const proxy = url && this.proxies.get(url);
+    if (!proxy) return false;
+
+    proxy.lastStatus = status;
+    if (!this.isBlocked(status)) {
+      // No response says nothing about the exit IP
+      if (status) proxy.failures = 0;
+      return false;
+    }
+
+    proxy.blocked++;
+    proxy.failures++;
+    proxy.lastError = error || `HTTP ${status}`;
+    if (proxy.failures < this.ejectAfter) return false;
+
+    proxy.ejections++;
+    proxy.failures = 0;
+    const backoff = Math.min(BASE_EJECTION_MS * Math.pow(2, proxy.ejections - 1), MAX_EJECTION_MS);
+    proxy.ejectedUntil = Date.now() + backoff;
+    logger.warn(`Proxy ${proxy.label} ejected for ${Math.round(backoff / 60000)} min after ${this.ejectAfter} blocked responses (last: ${proxy.lastError})`);
+    return true;
+  }
+
+  isBlocked(status) {
+    return BLOCKED_STATUSES.includes(status);
+  }
+
+  isEjected(proxy, now = Date.now()) {
+    return !!proxy && !!proxy.ejectedUntil && proxy.ejectedUntil > now;
+  }
+
+  // Options that send an axios request to targetUrl through the proxy.
+  // axios' own proxy support does not tunnel HTTPS, so agents are used.
+  axiosOptions(url, targetUrl) {
+    if (!url) return {};
+
+    const agent = this.agent(url, new URL(targetUrl).protocol === 'https:');
+    return { httpAgent: agent, httpsAgent: agent, proxy: false };
+  }
+
+  agent(url, secureTarget) {
+    const cacheKey = `${url} ${secureTarget}`;
+    if (!this.agents.has(cacheKey)) {
+      let agent;
+      if (new URL(url).protocol.startsWith('socks')) {
+        agent = new SocksProxyAgent(url);
+      } else {
+        agent = secureTarget ? new HttpsProxyAgent(url) : new HttpProxyAgent(url);
+      }
+      this.agents.set(cacheKey, agent);
+    }
+    return this.agents.get(cacheKey);
+  }
+
+  // Chrome takes the proxy without its credentials; they are answered on
+  // each page with page.authenticate()
+  browserOptions(url) {
+    if (!url) return { proxyServer: null, credentials: null };
+
+    const parsed = new URL(url);
+    const protocol = parsed.protocol === 'socks5h:' ? 'socks5:' : parsed.protocol;
+    const credentials = parsed.username
+      ? { username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) }
+      : null;
+    if (credentials && protocol.startsWith('socks')) {
+      logger.warn(`Chrome cannot authenticate to SOCKS proxy ${this.label(url)}; use an HTTP proxy for the browser`);
+    }
+
+    return { proxyServer: `${protocol}//${parsed.host}`, credentials };
+  }
+
+  // The proxy as shown in logs and run records: never its credentials
+  label(url) {
+    if (!url) return null;
+
+    try {
+      const parsed = new URL(url);
+      return `${parsed.protocol}//${parsed.host}`;
+    } catch (error) {
+      return '(invalid proxy URL)';
+    }
+  }
+
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      sources: Object.fromEntries(Object.entries(this.groups).map(([source, group]) => [source, {
+        strategy: group.strategy,
+        proxies: group.urls.map(url => this.label(url))
+      }])),
+      proxies: [...this.proxies.values()].map(proxy => {
+        const ejected = this.isEjected(proxy, now);
+
+        return {
+          proxy: proxy.label,
+          ejected,
+          ejectedUntil: ejected ? new Date(proxy.ejectedUntil).toISOString() : null,
+          ejections: proxy.ejections,
+          uses: proxy.uses,
+          blocked: proxy.blocked,
+          lastStatus: proxy.lastStatus,
+          lastError: proxy.lastError,
+          lastUsedAt: proxy.lastUsedAt
+        };
+      })
+    };
+  }
+
+  get size() {
+    return this.proxies.size;
+  }
+}
+
+module.exports = new ProxyPool();
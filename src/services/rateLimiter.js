@@ -3,11 +3,17 @@ const logger = require('../utils/logger');
 class RateLimiter {
   constructor() {
     this.requests = new Map();
+    // Limits the services report themselves, by service:identifier, and
+    // times until which requests are held back, by service or
+    // service:identifier
+    this.reported = new Map();
+    this.blocked = new Map();
     this.limits = {
       twitter: {
         requests: 15,
         window: 15 * 60 * 1000 // 15 minutes
       },
+      // Per webhook, until Discord reports its real buckets
       discord: {
         requests: 50,
         window: 60 * 1000 // 1 minute
@@ -15,6 +21,11 @@ class RateLimiter {
       nitter: {
         requests: 30,
         window: 60 * 1000 // 1 minute
+      },
+      // Searches per X account, identified by its username
+      x_account: {
+        requests: parseInt(process.env.ACCOUNT_SEARCHES_PER_WINDOW) || 50,
+        window: 15 * 60 * 1000 // 15 minutes
       }
     };
   }
@@ -28,80 +39,121 @@ class RateLimiter {
       return true;
     }
 
-    const now = Date.now();
-    const windowStart = now - limit.window;
-    
-    // Get or create request history for this key
-    if (!this.requests.has(key)) {
-      this.requests.set(key, []);
-    }
-    
-    const requestHistory = this.requests.get(key);
-    
-    // Remove old requests outside the window
-    const validRequests = requestHistory.filter(timestamp => timestamp > windowStart);
-    this.requests.set(key, validRequests);
-    
-    // Check if we're within limits
-    if (validRequests.length >= limit.requests) {
-      const oldestRequest = Math.min(...validRequests);
-      const waitTime = oldestRequest + limit.window - now;
-      
+    const waitTime = this.getWaitTime(service, identifier);
+    if (waitTime > 0) {
       logger.warn(`Rate limit exceeded for ${service}. Wait ${Math.ceil(waitTime / 1000)}s`);
       return false;
     }
     
-    // Record this request
+    // Record this request, keeping only those inside the window
+    const now = Date.now();
+    const validRequests = (this.requests.get(key) || []).filter(timestamp => timestamp > now - limit.window);
     validRequests.push(now);
     this.requests.set(key, validRequests);
+
+    // Until the service reports again, count down what it reported
+    const reported = this.getReported(key, now);
+    if (reported) reported.remaining--;
     
     return true;
   }
 
   async waitForLimit(service, identifier = 'default') {
+    if (!this.limits[service]) return;
+    
+    const waitTime = this.getWaitTime(service, identifier);
+    if (waitTime > 0) {
+      logger.info(`Waiting ${Math.ceil(waitTime / 1000)}s for rate limit reset`);
+      await this.delay(waitTime);
+    }
+  }
+
+  // Milliseconds until the next request may be made. A bucket the service
+  // reported (see report) replaces the configured window until it resets;
+  // blocks (see block) come on top of either.
+  getWaitTime(service, identifier = 'default') {
     const key = `${service}:${identifier}`;
     const limit = this.limits[service];
-    
-    if (!limit) return;
-    
     const now = Date.now();
-    const windowStart = now - limit.window;
-    const requestHistory = this.requests.get(key) || [];
-    const validRequests = requestHistory.filter(timestamp => timestamp > windowStart);
-    
-    if (validRequests.length >= limit.requests) {
-      const oldestRequest = Math.min(...validRequests);
-      const waitTime = oldestRequest + limit.window - now;
-      
-      if (waitTime > 0) {
-        logger.info(`Waiting ${Math.ceil(waitTime / 1000)}s for rate limit reset`);
-        await this.delay(waitTime);
+    const waits = [0, (this.blocked.get(service) || 0) - now, (this.blocked.get(key) || 0) - now];
+    const reported = this.getReported(key, now);
+
+    if (reported) {
+      if (reported.remaining <= 0) waits.push(reported.resetAt - now);
+    } else if (limit) {
+      const validRequests = (this.requests.get(key) || []).filter(timestamp => timestamp > now - limit.window);
+      if (validRequests.length >= limit.requests) {
+        waits.push(Math.min(...validRequests) + limit.window - now);
       }
     }
+
+    return Math.max(...waits);
+  }
+
+  // Records a bucket as the service reported it, e.g. from Discord's
+  // X-RateLimit-* headers: { bucket, limit, remaining, resetAt }
+  report(service, identifier, bucket) {
+    this.reported.set(`${service}:${identifier}`, bucket);
+  }
+
+  // Holds back requests until the given time: for one identifier, or for
+  // the whole service when identifier is null (e.g. a global limit)
+  block(service, identifier, until) {
+    const key = identifier === null ? service : `${service}:${identifier}`;
+    this.blocked.set(key, Math.max(until, this.blocked.get(key) || 0));
   }
 
-  getStatus(service) {
+  getReported(key, now = Date.now()) {
+    const reported = this.reported.get(key);
+    return reported && reported.resetAt > now ? reported : null;
+  }
+
+  // Usage of a service across all identifiers, or of one identifier,
+  // with the buckets and blocks the service reported
+  getStatus(service, identifier = null) {
     const limit = this.limits[service];
     if (!limit) return null;
     
     const now = Date.now();
     const windowStart = now - limit.window;
     const allRequests = [];
+    const matches = key => (identifier === null ? key.startsWith(`${service}:`) : key === `${service}:${identifier}`);
     
     // Collect all requests for this service
     for (const [key, requests] of this.requests.entries()) {
-      if (key.startsWith(`${service}:`)) {
+      if (matches(key)) {
         const validRequests = requests.filter(timestamp => timestamp > windowStart);
         allRequests.push(...validRequests);
       }
     }
+
+    const reported = [];
+    for (const key of this.reported.keys()) {
+      const bucket = matches(key) && this.getReported(key, now);
+      if (bucket) {
+        reported.push({
+          identifier: key.slice(service.length + 1),
+          bucket: bucket.bucket,
+          limit: bucket.limit,
+          remaining: Math.max(bucket.remaining, 0),
+          resetTime: bucket.resetAt
+        });
+      }
+    }
+
+    const blockedUntil = Math.max(
+      this.blocked.get(service) || 0,
+      ...[...this.blocked.entries()].filter(([key]) => matches(key)).map(([, until]) => until)
+    );
     
     return {
       service,
       currentRequests: allRequests.length,
       maxRequests: limit.requests,
       windowMs: limit.window,
-      resetTime: allRequests.length > 0 ? Math.min(...allRequests) + limit.window : now
+      resetTime: allRequests.length > 0 ? Math.min(...allRequests) + limit.window : now,
+      reported,
+      blockedUntil: blockedUntil > now ? blockedUntil : null
     };
   }
 
@@ -128,6 +180,13 @@ class RateLimiter {
         }
       }
     }
+
+    for (const [key, bucket] of this.reported.entries()) {
+      if (bucket.resetAt <= now) this.reported.delete(key);
+    }
+    for (const [key, until] of this.blocked.entries()) {
+      if (until <= now) this.blocked.delete(key);
+    }
   }
 
   // Start periodic cleanup
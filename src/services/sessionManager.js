@@ -0,0 +1,242 @@
+const logger = require('../utils/logger');
+const credentialManager = require('./credentialManager');
+
+const HOME_URL = 'https://x.com/home';
+const LOGIN_URL = 'https://x.com/i/flow/login';
+// A light page on the x.com origin, loaded to reach its local storage
+const ORIGIN_URL = 'https://x.com/robots.txt';
+const SESSION_DOMAINS = ['https://x.com', 'https://twitter.com'];
+const AUTH_COOKIE = 'auth_token';
+
+const LOGGED_IN_SELECTOR = '[data-testid="SideNav_AccountSwitcher_Button"], [data-testid="AppTabBar_Home_Link"]';
+const LOGGED_OUT_SELECTOR = 'a[href="/login"], input[autocomplete="username"]';
+const LOGIN_PATH = /\/(login|i\/flow\/)/;
+
+// The screens of X's login flow, identified by their input. The password
+// screen still shows the username, so it is checked first.
+const LOGIN_SCREENS = {
+  password: 'input[name="password"]',
+  // Email/username confirmation and verification codes share this input;
+  // the prompt above it tells them apart
+  challenge: 'input[data-testid="ocfEnterTextTextInput"]',
+  username: 'input[autocomplete="username"]'
+};
+const SUBMIT_BUTTONS = {
+  password: '[data-testid="LoginForm_Login_Button"]',
+  challenge: '[data-testid="ocfEnterTextNextButton"]'
+};
+const MAX_LOGIN_STEPS = 6;
+const STEP_TIMEOUT_MS = 15000;
+
+// Keeps authenticated X sessions across runs. A session is the browser's
+// whole cookie jar for x.com and twitter.com plus x.com's local storage,
+// stored encrypted through CredentialManager under TWITTER_SESSION:<account>.
+// Sessions are checked before use and after the scraper hits a login wall,
+// and replaced by a fresh login when they have expired.
+class SessionManager {
+  load(account) {
+    const stored = credentialManager.getCredential(this.key(account));
+    if (!stored) return null;
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      logger.warn(`Stored X session for ${account} is unreadable, discarding it`);
+      this.clear(account);
+      return null;
+    }
+  }
+
+  async save(page, account) {
+    // With a generated key the file could not be read on the next run
+    if (!process.env.ENCRYPTION_KEY) {
+      logger.warn('Not saving X session: set ENCRYPTION_KEY to keep sessions across runs');
+      return false;
+    }
+
+    try {
+      const previous = this.load(account);
+      const cookies = (await page.cookies(...SESSION_DOMAINS)).map(cookie => this.toCookieParam(cookie));
+      if (!cookies.some(cookie => cookie.name === AUTH_COOKIE)) {
+        logger.warn(`Not saving X session for ${account}: the browser is not logged in`);
+        return false;
+      }
+
+      // Local storage can only be read from a page on x.com
+      const localStorage = new URL(page.url()).hostname.endsWith('x.com')
+        ? await page.evaluate(() => Object.fromEntries(Object.entries(window.localStorage)))
+        : (previous ? previous.localStorage : {});
+
+      credentialManager.setCredential(this.key(account), JSON.stringify({
+        account,
+        cookies,
+        localStorage,
+        saved_at: new Date().toISOString()
+      }));
+      return true;
+    } catch (error) {
+      logger.warn(`Could not save X session for ${account}: ${error.message}`);
+      return false;
+    }
+  }
+
+  clear(account) {
+    if (credentialManager.credentials[this.key(account)]) {
+      credentialManager.removeCredential(this.key(account));
+    }
+  }
+
+  // A session without an auth_token, or whose auth_token has passed its
+  // expiry, cannot be logged in with
+  isExpired(session) {
+    const auth = session && (session.cookies || []).find(cookie => cookie.name === AUTH_COOKIE);
+    if (!auth) return true;
+    return auth.expires > 0 && auth.expires * 1000 < Date.now();
+  }
+
+  async restore(page, session) {
+    await page.setCookie(...session.cookies);
+
+    const entries = Object.entries(session.localStorage || {});
+    if (entries.length > 0) {
+      await page.goto(ORIGIN_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await page.evaluate(items => {
+        items.forEach(([key, value]) => window.localStorage.setItem(key, value));
+      }, entries);
+    }
+  }
+
+  // Sets the auth_token of a browser session copied by hand on both domains
+  async restoreAuthToken(page, token) {
+    await page.setCookie(...SESSION_DOMAINS.map(url => ({
+      name: AUTH_COOKIE,
+      value: token,
+      domain: `.${new URL(url).hostname}`,
+      path: '/',
+      httpOnly: true,
+      secure: true
+    })));
+  }
+
+  // Opens the home timeline: a live session shows it, an expired one is
+  // sent to the login flow
+  async isLoggedIn(page) {
+    try {
+      await page.goto(HOME_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await page.waitForSelector(`${LOGGED_IN_SELECTOR}, ${LOGGED_OUT_SELECTOR}`, { timeout: STEP_TIMEOUT_MS });
+    } catch (error) {
+      logger.warn(`Could not confirm X session: ${error.message}`);
+      return false;
+    }
+
+    return !LOGIN_PATH.test(new URL(page.url()).pathname) && !!(await page.$(LOGGED_IN_SELECTOR));
+  }
+
+  // Walks X's multi-step login flow: username, then optionally a challenge
+  // asking to confirm the email or username of the account, then the
+  // password. Verification codes and phone challenges need a person.
+  async login(page, { username, password, email }) {
+    await page.goto(LOGIN_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    let previous = null;
+
+    for (let step = 0; step < MAX_LOGIN_STEPS; step++) {
+      const screen = await this.loginScreen(page);
+      if (screen.name === 'done') {
+        logger.info(`Logged in to X as ${username}`);
+        return;
+      }
+      if (previous && previous.name === screen.name && previous.prompt === screen.prompt) {
+        throw new Error(`X login did not get past the ${screen.name} step${screen.prompt ? `: ${screen.prompt}` : ''}`);
+      }
+
+      await this.submit(page, screen, this.answer(screen, { username, password, email }));
+      previous = screen;
+    }
+
+    throw new Error('X login took more steps than expected');
+  }
+
+  async loginScreen(page) {
+    const selectors = [LOGGED_IN_SELECTOR, ...Object.values(LOGIN_SCREENS)];
+    await page.waitForSelector(selectors.join(', '), { timeout: STEP_TIMEOUT_MS });
+    if (await page.$(LOGGED_IN_SELECTOR)) return { name: 'done' };
+
+    for (const [name, selector] of Object.entries(LOGIN_SCREENS)) {
+      const input = await page.$(selector);
+      if (!input) continue;
+
+      // The prompt is the dialog heading above the input
+      const prompt = await page.evaluate(() => {
+        const heading = document.querySelector('[role="dialog"] h1, [data-testid="ocfEnterTextHeading"], h1');
+        return heading ? heading.textContent.trim() : '';
+      });
+      return { name, input, prompt };
+    }
+
+    throw new Error('X login page changed while it was read');
+  }
+
+  answer(screen, { username, password, email }) {
+    switch (screen.name) {
+      case 'username':
+        return username;
+      case 'password':
+        return password;
+      default:
+        break;
+    }
+
+    if (/code/i.test(screen.prompt)) {
+      throw new Error('X asked for a verification code; log in by hand and set TWITTER_COOKIE');
+    }
+    // "Enter your phone number or username" also takes the username
+    if (/username/i.test(screen.prompt)) return username;
+    if (/email/i.test(screen.prompt)) {
+      if (!email) throw new Error('X asked to confirm the account email; set TWITTER_EMAIL');
+      return email;
+    }
+    if (/phone/i.test(screen.prompt)) {
+      throw new Error('X asked to confirm the phone number of the account');
+    }
+    return username;
+  }
+
+  async submit(page, screen, value) {
+    await screen.input.click({ clickCount: 3 });
+    await screen.input.type(value, { delay: 50 });
+
+    const button = SUBMIT_BUTTONS[screen.name] ? await page.$(SUBMIT_BUTTONS[screen.name]) : null;
+    if (button) {
+      await button.click();
+    } else {
+      await page.keyboard.press('Enter');
+    }
+
+    // The next screen replaces the input; challenge screens reuse the same
+    // selector, so wait for this element rather than the selector to go
+    await page.waitForFunction(input => !input.isConnected, { timeout: STEP_TIMEOUT_MS }, screen.input)
+      .catch(() => {});
+  }
+
+  // Cookies as read from the browser, reduced to what setCookie accepts.
+  // Session cookies (expires -1) stay session cookies.
+  toCookieParam(cookie) {
+    const param = {
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure
+    };
+    if (cookie.expires > 0) param.expires = cookie.expires;
+    if (cookie.sameSite) param.sameSite = cookie.sameSite;
+    return param;
+  }
+
+  key(account) {
+    return `TWITTER_SESSION:${(account || 'default').toLowerCase()}`;
+  }
+}
+
+module.exports = new SessionManager();
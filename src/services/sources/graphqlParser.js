@@ -0,0 +1,280 @@
+// Parses the JSON that x.com's web client receives from X's GraphQL API
+// (SearchTimeline for searches, TweetDetail for status pages, UserTweets for
+// profiles) into the tweet shape the other sources produce, and user results
+// (UserByScreenName) into author profiles. Unlike the rendered page this carries
+// exact ids, timestamps, verified flags and counts.
+//
+// A timeline response holds a list of instructions. Their entries are either
+// single tweets, modules of tweets (conversation threads) or cursors.
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'' };
+
+class GraphqlParser {
+  // { tweets, cursor } across the responses of one page load, or null when
+  // none of them looks like a timeline
+  parseTimeline(responses) {
+    const tweets = new Map();
+    let cursor = null;
+    let recognised = false;
+
+    responses.forEach(json => {
+      const instructions = this.findInstructions(json);
+      if (!instructions) return;
+      recognised = true;
+
+      this.timelineItems(instructions).forEach(content => {
+        if (content.cursorType) {
+          if (content.cursorType === 'Bottom') cursor = content.value;
+          return;
+        }
+
+        // A retweet and its original share an id; keep the original
+        const tweet = content.tweet_results ? this.parseTweet(content.tweet_results.result) : null;
+        if (tweet && (!tweets.has(tweet.id) || (tweets.get(tweet.id).is_retweet && !tweet.is_retweet))) {
+          tweets.set(tweet.id, tweet);
+        }
+      });
+    });
+
+    return recognised ? { tweets: [...tweets.values()], cursor } : null;
+  }
+
+  // The instructions sit a few levels down, under a key that depends on the
+  // operation (search_by_raw_query, threaded_conversation_with_injections_v2)
+  findInstructions(node, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 6) return null;
+    if (Array.isArray(node.instructions)) return node.instructions;
+
+    for (const value of Object.values(node)) {
+      const found = this.findInstructions(value, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Item contents (tweets and cursors) of every entry, in timeline order
+  timelineItems(instructions) {
+    const items = [];
+    const addEntry = entry => {
+      const content = entry.content || {};
+      if (content.cursorType) {
+        items.push(content);
+      } else if (content.itemContent) {
+        items.push(content.itemContent);
+      } else if (Array.isArray(content.items)) {
+        content.items.forEach(moduleItem => items.push((moduleItem.item || {}).itemContent || {}));
+      }
+    };
+
+    instructions.forEach(instruction => {
+      switch (instruction.type) {
+        case 'TimelineAddEntries':
+          (instruction.entries || []).forEach(addEntry);
+          break;
+        case 'TimelineReplaceEntry':
+          if (instruction.entry) addEntry(instruction.entry);
+          break;
+        case 'TimelineAddToModule':
+          (instruction.moduleItems || []).forEach(moduleItem => items.push((moduleItem.item || {}).itemContent || {}));
+          break;
+        default:
+          break;
+      }
+    });
+
+    return items;
+  }
+
+  // Tweets hidden behind a visibility notice are wrapped once more; deleted
+  // and withheld tweets come back as tombstones without legacy data
+  unwrap(result) {
+    if (!result) return null;
+    if (result.__typename === 'TweetWithVisibilityResults') return result.tweet || null;
+    return result.legacy ? result : null;
+  }
+
+  parseTweet(result) {
+    const tweet = this.unwrap(result);
+    if (!tweet) return null;
+
+    const legacy = tweet.legacy;
+    const user = this.parseUser(tweet);
+
+    // A retweet is reported as the original tweet, as on the rendered page
+    const retweeted = legacy.retweeted_status_result ? this.parseTweet(legacy.retweeted_status_result.result) : null;
+    if (retweeted) {
+      return { ...retweeted, is_retweet: true, retweeted_by: user.username };
+    }
+    if (!user.username) return null;
+
+    // Long posts keep their full text in note_tweet; legacy holds a preview
+    const note = tweet.note_tweet && tweet.note_tweet.note_tweet_results
+      ? tweet.note_tweet.note_tweet_results.result
+      : null;
+    const entities = (note && note.entity_set) || legacy.entities || {};
+    const urls = (entities.urls || []).map(link => ({ url: link.url, expanded_url: link.expanded_url || link.url }));
+    const text = this.expandUrls(note ? this.decode(note.text) : this.displayText(legacy), urls);
+    const id = legacy.id_str || tweet.rest_id;
+    const created = new Date(legacy.created_at);
+    const quoted = tweet.quoted_status_result ? this.parseTweet(tweet.quoted_status_result.result) : null;
+
+    return {
+      id,
+      text,
+      author: user.username,
+      username: user.username,
+      display_name: user.display_name,
+      author_id: user.id,
+      verified: user.verified,
+      author_profile: this.parseProfile(this.userResult(tweet)),
+      url: `https://twitter.com/${user.username}/status/${id}`,
+      timestamp: isNaN(created.getTime()) ? null : created.toISOString(),
+      source: 'puppeteer',
+      lang: legacy.lang || null,
+      replies: legacy.reply_count ?? null,
+      retweets: legacy.retweet_count ?? null,
+      likes: legacy.favorite_count ?? null,
+      quotes: legacy.quote_count ?? null,
+      bookmarks: legacy.bookmark_count ?? null,
+      views: tweet.views && tweet.views.count ? parseInt(tweet.views.count) : null,
+      in_reply_to_status_id: legacy.in_reply_to_status_id_str || null,
+      in_reply_to_screen_name: legacy.in_reply_to_screen_name || null,
+      conversation_id: legacy.conversation_id_str || null,
+      is_retweet: false,
+      retweeted_by: null,
+      is_quote_status: !!legacy.is_quote_status,
+      quoted_status_id: legacy.quoted_status_id_str || (quoted ? quoted.id : null),
+      quoted_status: this.quotedStatus(legacy, quoted),
+      urls,
+      media: this.parseMedia(legacy),
+      provenance: {
+        extraction_method: 'x_graphql',
+        confidence: 1,
+        is_synthetic: false
+      }
+    };
+  }
+
+  // Screen name and display name moved from user.legacy to user.core in
+  // 2025; both layouts are still served
+  parseUser(tweet) {
+    const user = this.userResult(tweet) || {};
+    const core = user.core || {};
+    const legacy = user.legacy || {};
+    const verified = typeof user.is_blue_verified === 'boolean' || typeof legacy.verified === 'boolean'
+      ? !!(user.is_blue_verified || legacy.verified)
+      : null;
+
+    return {
+      id: user.rest_id || null,
+      username: core.screen_name || legacy.screen_name || null,
+      display_name: core.name || legacy.name || null,
+      verified
+    };
+  }
+
+  userResult(tweet) {
+    return (tweet.core && tweet.core.user_results && tweet.core.user_results.result) || null;
+  }
+
+  // The profile in a UserByScreenName response, or null when there is none
+  // (suspended and unknown accounts come back as UserUnavailable)
+  parseUserResponse(json) {
+    const result = json && json.data && json.data.user ? json.data.user.result : null;
+    return this.parseProfile(result);
+  }
+
+  // Author profile as stored in users, from a user result. Tweets carry one
+  // for their author, so profiles seen in search results need no extra
+  // request. Null when the result has no profile counts.
+  parseProfile(user) {
+    if (!user || !user.legacy || typeof user.legacy.followers_count !== 'number') return null;
+
+    const legacy = user.legacy;
+    const core = user.core || {};
+    const website = legacy.entities && legacy.entities.url && legacy.entities.url.urls
+      ? (legacy.entities.url.urls[0] || {}).expanded_url
+      : null;
+    const created = new Date(core.created_at || legacy.created_at);
+    const verified = !!(user.is_blue_verified || legacy.verified || (user.verification && user.verification.verified));
+    const verifiedType = legacy.verified_type || (user.verification && user.verification.verified_type) || null;
+
+    return {
+      id: user.rest_id || null,
+      username: core.screen_name || legacy.screen_name || null,
+      display_name: core.name || legacy.name || null,
+      description: this.expandUrls(this.decode(legacy.description || ''), this.profileUrls(legacy)) || null,
+      followers_count: legacy.followers_count,
+      following_count: legacy.friends_count ?? null,
+      tweets_count: legacy.statuses_count ?? null,
+      verified,
+      verified_type: verified ? (verifiedType || 'blue').toLowerCase() : null,
+      profile_image_url: (user.avatar && user.avatar.image_url) || legacy.profile_image_url_https || null,
+      banner_url: legacy.profile_banner_url || null,
+      location: (user.location && user.location.location) || legacy.location || null,
+      website: website || null,
+      created_at: isNaN(created.getTime()) ? null : created.toISOString()
+    };
+  }
+
+  // t.co links in the bio
+  profileUrls(legacy) {
+    const description = legacy.entities && legacy.entities.description;
+    return ((description && description.urls) || []).map(link => ({ url: link.url, expanded_url: link.expanded_url || link.url }));
+  }
+
+  // full_text starts with the handles a reply is addressed to and ends with
+  // the t.co link of attached media; display_text_range marks the part shown
+  // as the tweet, in code points of the unescaped text
+  displayText(legacy) {
+    const text = this.decode(legacy.full_text || legacy.text || '');
+    const range = legacy.display_text_range;
+    const shown = Array.isArray(range) ? Array.from(text).slice(range[0], range[1]).join('') : text;
+    return shown.trim();
+  }
+
+  decode(text) {
+    return (text || '').replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity]);
+  }
+
+  expandUrls(text, urls) {
+    return urls.reduce((expanded, link) => expanded.split(link.url).join(link.expanded_url), text);
+  }
+
+  quotedStatus(legacy, quoted) {
+    if (quoted) {
+      return { id: quoted.id, username: quoted.username, display_name: quoted.display_name, text: quoted.text, url: quoted.url };
+    }
+    if (!legacy.quoted_status_id_str) return null;
+
+    // The quoted tweet itself is missing (deleted or protected); the
+    // permalink still names its author
+    const permalink = legacy.quoted_status_permalink ? legacy.quoted_status_permalink.expanded : '';
+    const match = (permalink || '').match(/\/([A-Za-z0-9_]{1,15})\/status\/\d+/);
+    return {
+      id: legacy.quoted_status_id_str,
+      username: match ? match[1] : null,
+      display_name: null,
+      text: null,
+      url: permalink || null
+    };
+  }
+
+  // Photos link to the image; videos and GIFs to their best MP4 variant
+  parseMedia(legacy) {
+    const media = (legacy.extended_entities && legacy.extended_entities.media) || [];
+
+    return media.map(item => {
+      const variants = ((item.video_info && item.video_info.variants) || [])
+        .filter(variant => variant.content_type === 'video/mp4')
+        .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+
+      return {
+        url: variants.length > 0 ? variants[0].url : item.media_url_https,
+        type: item.type === 'animated_gif' ? 'gif' : (item.type || 'photo')
+      };
+    }).filter(item => item.url);
+  }
+}
+
+module.exports = new GraphqlParser();
@@ -0,0 +1,341 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../../utils/logger');
+const queryParser = require('../../utils/queryParser');
+const entityExtractor = require('../../utils/entityExtractor');
+const nitterPool = require('../nitterPool');
+const proxyPool = require('../proxyPool');
+const rateLimiter = require('../rateLimiter');
+const TweetSource = require('./tweetSource');
+const { SourceUnavailableError } = require('./tweetSource');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Scrapes the HTML search page of the Nitter instances in nitterPool.
+class NitterSource extends TweetSource {
+  constructor() {
+    super('nitter');
+  }
+
+  async search(queryAst, cursor = null) {
+    const query = queryParser.serialize(queryAst);
+
+    const result = await this.request(instance => {
+      const url = queryParser.toNitterSearchUrl(queryAst, instance);
+      return cursor ? `${url}&cursor=${encodeURIComponent(cursor)}` : url;
+    }, $ => {
+      // Rate-limit and challenge pages come back as 200 without a timeline
+      if ($('.timeline').length === 0) return null;
+      return { tweets: this.parseTweets($, $('.timeline-item')), cursor: this.extractCursor($) };
+    }, `query "${query}"`);
+
+    logger.info(`Found ${result.tweets.length} tweets via Nitter (${this.via(result)}) for query: ${query}`);
+    return { tweets: result.tweets, cursor: result.cursor, proxy: result.proxy };
+  }
+
+  // A status page shows the ancestors above the tweet and the author's
+  // thread continuation below it
+  async conversation(tweet) {
+    const username = tweet.username || tweet.author;
+    if (!username || !/^\d+$/.test(String(tweet.id))) return null;
+
+    const result = await this.request(instance => `${instance}/${username}/status/${tweet.id}`, $ => {
+      const tweets = this.parseConversation($);
+      return tweets ? { tweets } : null;
+    }, `conversation ${tweet.id}`);
+
+    return result.tweets;
+  }
+
+  async timeline(username) {
+    const result = await this.request(instance => `${instance}/${username}`, $ => {
+      if ($('.timeline').length === 0) return null;
+      const items = $('.timeline .timeline-item').filter((i, item) => $(item).find('.pinned').length === 0);
+      return { tweets: this.parseTweets($, items, username) };
+    }, `timeline of @${username}`);
+
+    logger.info(`Found ${result.tweets.length} tweets via Nitter (${this.via(result)}) on the timeline of @${username}`);
+    return { tweets: result.tweets, proxy: result.proxy };
+  }
+
+  // The profile card above the timeline. Nitter does not show the user id,
+  // so it stays unknown. Unknown and suspended accounts are answered with 404.
+  async profile(username) {
+    const result = await this.request(instance => `${instance}/${username}`, ($, status) => {
+      if (status === 404) return { profile: null };
+      const profile = this.parseProfile($);
+      return profile ? { profile } : null;
+    }, `profile of @${username}`, { notFound: true });
+
+    return { profile: result.profile, proxy: result.proxy };
+  }
+
+  parseProfile($) {
+    const card = $('.profile-card').first();
+    if (card.length === 0) return null;
+
+    const text = selector => card.find(selector).first().text().trim() || null;
+    const stat = name => this.parseCount(card.find(`.profile-statlist .${name} .profile-stat-num`).first().text());
+    // Images are proxied through the instance like tweet media
+    const image = href => href ? entityExtractor.normalizeMediaUrl(href) : null;
+    const verifiedIcon = card.find('.profile-card-fullname .verified-icon').first();
+    const verifiedType = verifiedIcon.length > 0
+      ? ['blue', 'business', 'government'].find(type => verifiedIcon.hasClass(type)) || 'blue'
+      : null;
+    // Join dates look like "10:00 AM - 1 Jan 2020"
+    const joined = (card.find('.profile-joindate [title]').first().attr('title') || '').match(/^(.+?) - (.+)$/);
+    const created = joined ? new Date(`${joined[2]} ${joined[1]} UTC`) : null;
+
+    return {
+      id: null,
+      username: (text('.profile-card-username') || '').replace(/^@/, '') || null,
+      display_name: card.find('.profile-card-fullname').first().attr('title') || text('.profile-card-fullname'),
+      description: text('.profile-bio'),
+      followers_count: stat('followers'),
+      following_count: stat('following'),
+      tweets_count: stat('posts'),
+      verified: verifiedIcon.length > 0,
+      verified_type: verifiedType,
+      profile_image_url: image(card.find('.profile-card-avatar').attr('href') || card.find('.profile-card-avatar img').attr('src')),
+      banner_url: image($('.profile-banner a').attr('href')),
+      location: text('.profile-location > span:last-child'),
+      website: card.find('.profile-website a').attr('href') || null,
+      created_at: created && !isNaN(created.getTime()) ? created.toISOString() : null
+    };
+  }
+
+  parseConversation($) {
+    const focal = this.parseTweets($, $('.main-thread .main-tweet .timeline-item'))[0];
+    if (!focal) return null;
+
+    const ancestors = this.parseTweets($, $('.main-thread .before-tweet .timeline-item'));
+    const following = this.parseTweets($, $('.main-thread .after-tweet .timeline-item'));
+    return this.linkConversation(ancestors, focal, following);
+  }
+
+  // Try instances from the pool until one answers. parse($, status) returns
+  // null when the page is not what Nitter should have served. Each request
+  // goes out through the proxy proxyPool gives for the instance. With
+  // options.notFound a 404 is an answer rather than an instance failure.
+  async request(buildUrl, parse, description, options = {}) {
+    const tried = [];
+    let limited = 0;
+    let instance;
+    let proxy = null;
+
+    while ((instance = nitterPool.acquire(tried))) {
+      tried.push(instance);
+      // Concurrent searches share each instance's 'nitter' budget
+      if (!(await rateLimiter.checkLimit('nitter', instance))) {
+        limited++;
+        continue;
+      }
+      proxy = this.acquireProxy({ key: instance });
+      const url = buildUrl(instance);
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios.get(url, {
+          headers: { 'User-Agent': USER_AGENT },
+          timeout: 10000,
+          validateStatus: status => (status >= 200 && status < 300) || (options.notFound && status === 404),
+          ...proxyPool.axiosOptions(proxy, url)
+        });
+        const latency = Date.now() - startedAt;
+        proxyPool.record(proxy, response.status);
+        const result = parse(cheerio.load(response.data), response.status);
+
+        if (!result) {
+          nitterPool.record(instance, 'parse_failure', { latency, status: response.status, error: 'Response is not a Nitter page' });
+          continue;
+        }
+
+        // Profile pages answer without tweets
+        const empty = Array.isArray(result.tweets) && result.tweets.length === 0;
+        nitterPool.record(instance, empty ? 'empty' : 'ok', { latency, status: response.status });
+        return { ...result, instance, proxy: proxyPool.label(proxy) };
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        nitterPool.record(instance, 'error', {
+          latency: Date.now() - startedAt,
+          status,
+          error: error.message
+        });
+        proxyPool.record(proxy, status, error.message);
+        logger.warn(`Nitter instance ${this.via({ instance, proxy: proxyPool.label(proxy) })} failed for ${description}: ${error.message}`);
+      }
+    }
+
+    if (tried.length === 0) {
+      throw new SourceUnavailableError('Every Nitter instance is quarantined');
+    }
+    const error = new SourceUnavailableError(limited === tried.length
+      ? `Every Nitter instance is over its rate limit for ${description}`
+      : `All Nitter instances failed for ${description}`);
+    error.proxy = proxyPool.label(proxy);
+    throw error;
+  }
+
+  // "<instance>" or "<instance> via <proxy>" for log lines
+  via({ instance, proxy }) {
+    return proxy ? `${instance} via ${proxy}` : instance;
+  }
+
+  // timelineOf is the handle whose timeline the elements are on, if any
+  parseTweets($, elements, timelineOf = null) {
+    const tweets = [];
+
+    elements.each((index, element) => {
+      if (index > 10) return; // Limit processing
+
+      const tweetElement = $(element);
+      const text = tweetElement.find('.tweet-content').first().text().trim();
+      const username = tweetElement.find('.username').first().text().trim().replace(/^@/, '');
+      const displayName = tweetElement.find('.fullname').first().text().trim();
+      // The focal tweet of a status page has no .tweet-link; its date links to it
+      const tweetLink = tweetElement.find('.tweet-link').attr('href') || tweetElement.find('.tweet-date a').attr('href');
+      const tweetId = tweetLink ? this.extractTweetId(tweetLink) : null;
+      // Skip the markup of an embedded quote, which has its own reply line
+      const own = selector => tweetElement.find(selector).filter((i, found) => $(found).closest('.quote').length === 0);
+      const replyingTo = own('.replying-to a').first().text().trim().replace(/^@/, '');
+      // Retweets show the original tweet under a "<name> retweeted" header.
+      // The name is a display name: the retweeter's handle is the
+      // timeline's owner, or else comes from a profile link in the header.
+      const retweetHeader = tweetElement.find('.retweet-header').first();
+      const retweeterLink = (retweetHeader.find('a[href^="/"]').attr('href') || '').match(/^\/(\w{1,15})(?:[/?#]|$)/);
+
+      if (text && username && tweetId) {
+        tweets.push({
+          id: tweetId,
+          text,
+          author: username,
+          username,
+          display_name: displayName || null,
+          url: `https://twitter.com/${username}/status/${tweetId}`,
+          timestamp: this.parseNitterDate(tweetElement.find('.tweet-date a').attr('title')),
+          source: 'nitter',
+          ...this.extractNitterStats($, tweetElement),
+          in_reply_to_screen_name: replyingTo || null,
+          has_thread: own('.show-thread').length > 0,
+          is_retweet: retweetHeader.length > 0,
+          retweeted_by: retweetHeader.length > 0 ? (timelineOf || (retweeterLink && retweeterLink[1]) || null) : null,
+          ...this.extractQuote(tweetElement),
+          // Nitter unwraps t.co, so content links point at the real target;
+          // hashtag and mention links are relative
+          urls: tweetElement.find('.tweet-content').first().find('a[href^="http"]')
+            .map((i, anchor) => ({ url: $(anchor).attr('href'), expanded_url: $(anchor).attr('href') }))
+            .get(),
+          media: this.extractMedia($, own),
+          provenance: {
+            extraction_method: 'nitter_html',
+            confidence: 0.8,
+            is_synthetic: false
+          }
+        });
+      }
+    });
+
+    return tweets;
+  }
+
+  // A quoted tweet is embedded as a .quote card with its own link and text
+  extractQuote(tweetElement) {
+    const quote = tweetElement.find('.quote').first();
+    if (quote.length === 0) {
+      return { is_quote_status: false, quoted_status_id: null, quoted_status: null };
+    }
+
+    const link = quote.find('.quote-link').attr('href') || '';
+    const match = link.match(/\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/);
+    const username = quote.find('.username').first().text().trim().replace(/^@/, '') || (match ? match[1] : null);
+    const id = match ? match[2] : null;
+
+    return {
+      is_quote_status: true,
+      quoted_status_id: id,
+      quoted_status: {
+        id,
+        username,
+        display_name: quote.find('.fullname').first().text().trim() || null,
+        text: quote.find('.quote-text').first().text().trim() || null,
+        url: id && username ? `https://twitter.com/${username}/status/${id}` : null
+      }
+    };
+  }
+
+  // Attachment URLs are proxied through the instance; entityExtractor maps
+  // them back to X's CDN
+  extractMedia($, own) {
+    const media = [];
+
+    own('.attachments .still-image').each((i, image) => {
+      media.push({ url: $(image).attr('href'), type: 'photo' });
+    });
+    own('.attachments video').each((i, element) => {
+      const video = $(element);
+      const url = video.attr('data-url') || video.find('source').attr('src') || video.attr('poster');
+      if (url) media.push({ url, type: video.closest('.gallery-gif').length > 0 ? 'gif' : 'video' });
+    });
+
+    return media;
+  }
+
+  // The "Load more" link carries the cursor for the next page
+  extractCursor($) {
+    const href = $('.show-more a').last().attr('href');
+    if (!href) return null;
+    const match = href.match(/[?&]cursor=([^&]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  extractTweetId(tweetLink) {
+    const match = tweetLink.match(/\/status\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  // Nitter renders each stat as an icon followed by its count, leaving the
+  // count blank when it is zero. A stat that is missing entirely is unknown.
+  extractNitterStats($, tweetElement) {
+    const icons = {
+      replies: 'icon-comment',
+      retweets: 'icon-retweet',
+      quotes: 'icon-quote',
+      likes: 'icon-heart',
+      views: 'icon-views'
+    };
+    const stats = {};
+
+    Object.entries(icons).forEach(([name, icon]) => {
+      const stat = tweetElement.find(`.tweet-stats .${icon}`).first().closest('.tweet-stat');
+      stats[name] = stat.length > 0 ? (this.parseCount(stat.text()) ?? 0) : null;
+    });
+
+    return stats;
+  }
+
+  // Nitter date titles look like "Jul 21, 2025 · 6:23 AM UTC"
+  parseNitterDate(title) {
+    if (!title) return null;
+    const date = new Date(title.replace(' · ', ' '));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // "1,234" / "1.2K" / "3M" -> number; null when the text has no count
+  parseCount(text) {
+    const match = (text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMm])?/);
+    if (!match) return null;
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+
+  async health() {
+    const instances = nitterPool.getStatus();
+    const available = instances.filter(instance => !instance.quarantined).length;
+    let status = this.initialized ? 'ready' : 'not_initialized';
+    if (this.initialized && available === 0) status = 'unavailable';
+
+    return { name: this.name, status, instances: instances.length, available };
+  }
+}
+
+module.exports = NitterSource;
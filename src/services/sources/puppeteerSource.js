@@ -0,0 +1,866 @@
+const logger = require('../../utils/logger');
+const queryParser = require('../../utils/queryParser');
+const TweetSource = require('./tweetSource');
+const { SourceUnavailableError } = require('./tweetSource');
+const graphqlParser = require('./graphqlParser');
+const accountPool = require('../accountPool');
+const sessionManager = require('../sessionManager');
+const proxyPool = require('../proxyPool');
+const PagePool = require('../pagePool');
+
+const GRAPHQL_WAIT_MS = 15000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+// GraphQL error codes that say something about the account
+const ACCOUNT_ERROR_CODES = { 88: 'rate_limited', 64: 'locked', 326: 'locked' };
+
+// Searches x.com in a headless browser. Tweets are read from the GraphQL
+// responses the page receives (see graphqlParser); the rendered timeline is
+// only scraped when no usable response was captured.
+//
+// With accounts configured (see accountPool), every search is run by the
+// next available account, each in its own browser context so cookie jars
+// stay apart. Without accounts the browser's default context is used.
+// Searches may run concurrently; each one borrows a page of its account's
+// context from the page pool.
+//
+// With proxies configured (see proxyPool), each session's context goes out
+// through the account's own proxy or one drawn from PUPPETEER_PROXIES. A
+// context keeps its proxy for life, so a session whose proxy is ejected is
+// closed and the next search opens a new one.
+class PuppeteerSource extends TweetSource {
+  constructor() {
+    super('puppeteer');
+    this.browser = null;
+    this.pagePool = new PagePool({ preparePage: (page, context) => this.preparePage(page, context) });
+    // Browser sessions by account, as promises so concurrent searches share
+    // one sign-in: { name, account, context, proxy, authenticated }
+    this.sessions = new Map();
+    // Proxy credentials by browser context, answered on each of its pages
+    this.proxyCredentials = new WeakMap();
+    // Last GraphQL request per operation, replayed with a cursor for the
+    // next page
+    this.graphqlRequests = {};
+  }
+
+  async initialize() {
+    try {
+      this.browser = await PuppeteerSource.launchBrowser([
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-zygote',
+        '--no-first-run',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+      ]);
+
+      if (accountPool.size === 0) {
+        logger.warn('No authentication method provided - some features may be limited');
+      } else {
+        logger.info(`Searching X with ${accountPool.size} account(s)`);
+      }
+
+      this.initialized = true;
+      logger.info('Puppeteer source initialized');
+    } catch (error) {
+      logger.error('Failed to initialize Puppeteer source:', error);
+      throw new SourceUnavailableError(`Puppeteer could not start: ${error.message}`);
+    }
+  }
+
+  // Session of the next available account, signing it in on first use.
+  // Accounts that cannot sign in are cooled down and the next one is tried.
+  async acquireSession() {
+    if (accountPool.size === 0) {
+      return this.openSession(null);
+    }
+
+    const tried = [];
+    let account;
+
+    while ((account = await accountPool.acquire(tried))) {
+      tried.push(account.username);
+      try {
+        return await this.openSession(account);
+      } catch (error) {
+        accountPool.record(account.username, 'login_failed', { error: error.message });
+      }
+    }
+
+    throw new SourceUnavailableError(tried.length > 0
+      ? 'No X account could sign in'
+      : 'Every X account is cooling down or out of search budget');
+  }
+
+  openSession(account) {
+    const name = account ? account.username : 'anonymous';
+    if (!this.sessions.has(name)) {
+      const opening = this.createSession(account, name);
+      this.sessions.set(name, opening);
+      opening.catch(() => this.sessions.delete(name));
+    }
+    return this.sessions.get(name);
+  }
+
+  async createSession(account, name) {
+    const proxy = this.acquireProxy({ key: name, proxy: account ? account.proxy : null });
+    const { proxyServer, credentials } = proxyPool.browserOptions(proxy);
+    // The default context cannot take a proxy
+    const context = account || proxy
+      ? await this.browser.createBrowserContext(proxyServer ? { proxyServer } : {})
+      : this.browser.defaultBrowserContext();
+    if (credentials) this.proxyCredentials.set(context, credentials);
+    const session = { name, account, context, proxy, authenticated: false };
+    if (proxy) logger.info(`X session ${name} goes out via ${proxyPool.label(proxy)}`);
+
+    if (account) {
+      try {
+        await this.pagePool.run(context, name, page => this.authenticate(session, page));
+      } catch (error) {
+        await context.close().catch(() => {});
+        throw error;
+      }
+    }
+    return session;
+  }
+
+  async preparePage(page, context) {
+    const credentials = this.proxyCredentials.get(context);
+    if (credentials) await page.authenticate(credentials);
+
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => undefined,
+      });
+    });
+
+    await page.setUserAgent(USER_AGENT);
+    await page.setViewport({ width: 1280, height: 720 });
+  }
+
+  // Reuse the saved session of the account when it is still logged in;
+  // otherwise sign in with its cookie or credentials and save the new
+  // session for the next run
+  async authenticate(session, page) {
+    const { account } = session;
+
+    session.authenticated = false;
+    if (await this.resumeSession(account, page)) {
+      session.authenticated = true;
+      return;
+    }
+
+    if (account.cookie && await this.authenticateWithCookie(page, account.cookie)) {
+      await sessionManager.save(page, account.username);
+    } else if (account.password) {
+      await this.authenticateWithCredentials(page, account);
+      await sessionManager.save(page, account.username);
+    } else {
+      throw new Error(`The cookie of X account ${account.username} is no longer logged in`);
+    }
+    session.authenticated = true;
+  }
+
+  async resumeSession(account, page) {
+    const saved = sessionManager.load(account.username);
+    if (!saved) return false;
+
+    if (!sessionManager.isExpired(saved)) {
+      await sessionManager.restore(page, saved);
+      if (await sessionManager.isLoggedIn(page)) {
+        logger.info(`Resumed saved X session for ${account.username}`);
+        return true;
+      }
+    }
+
+    logger.warn(`Saved X session for ${account.username} has expired`);
+    sessionManager.clear(account.username);
+    await page.deleteCookie(...await page.cookies('https://x.com', 'https://twitter.com'));
+    return false;
+  }
+
+  async authenticateWithCookie(page, cookie) {
+    try {
+      await sessionManager.restoreAuthToken(page, cookie);
+      if (!(await sessionManager.isLoggedIn(page))) {
+        logger.warn('Twitter cookie did not log in to X');
+        return false;
+      }
+
+      logger.info('Authenticated with Twitter cookie');
+      return true;
+    } catch (error) {
+      logger.error('Failed to authenticate with cookie:', error);
+      throw error;
+    }
+  }
+
+  async authenticateWithCredentials(page, { username, password, email }) {
+    try {
+      await sessionManager.login(page, { username, password, email });
+      logger.info('Authenticated with Twitter credentials');
+    } catch (error) {
+      logger.error('Failed to authenticate with credentials:', error);
+      throw error;
+    }
+  }
+
+  // A login wall mid-run means the session expired since it was checked.
+  // Drop it and sign in again so the scraper's next attempt can succeed.
+  async recoverSession(session, page) {
+    if (!session.authenticated) return;
+
+    const username = session.account.username;
+    logger.warn(`X session for ${username} has expired, signing in again`);
+    sessionManager.clear(username);
+
+    try {
+      await this.authenticate(session, page);
+    } catch (error) {
+      logger.error(`Could not sign in to X again: ${error.message}`);
+      accountPool.record(username, 'login_failed', { error: error.message });
+    }
+  }
+
+  async search(queryAst, cursor = null) {
+    return this.withSession('search', (session, page) => this.searchWith(session, page, queryAst, cursor));
+  }
+
+  async searchWith(session, page, queryAst, cursor) {
+    if (cursor) {
+      return this.searchNextPage(session, page, queryAst, cursor);
+    }
+
+    const responses = await this.openPage(session, page, queryParser.toXSearchUrl(queryAst), 'SearchTimeline');
+    if (!page.url().includes('/search')) {
+      logger.warn('Not on search results page, might be redirected');
+    }
+
+    const timeline = graphqlParser.parseTimeline(responses);
+    if (timeline) {
+      logger.info(`Found ${timeline.tweets.length} tweets in SearchTimeline responses`);
+      return timeline;
+    }
+
+    logger.warn('No SearchTimeline response captured, reading the rendered page');
+    return { tweets: await this.extractFromPage(page), cursor: null };
+  }
+
+  // The profile's UserTweets responses leave the pinned tweet out; the
+  // rendered fallback marks it with a "Pinned" social context
+  async timeline(username) {
+    return this.withSession(`timeline of @${username}`, async (session, page) => {
+      const responses = await this.openPage(session, page, `https://x.com/${username}`, 'UserTweets');
+
+      const timeline = graphqlParser.parseTimeline(responses);
+      if (timeline) {
+        logger.info(`Found ${timeline.tweets.length} tweets in UserTweets responses for @${username}`);
+        return { tweets: timeline.tweets };
+      }
+
+      logger.warn(`No UserTweets response captured for @${username}, reading the rendered page`);
+      const tweets = await this.extractFromPage(page);
+      const pinned = await page.$$eval('article', articles => articles
+        .filter(article => /^Pinned$/i.test(article.querySelector('[data-testid="socialContext"]')?.textContent.trim() || ''))
+        .map(article => article.querySelector('time')?.closest('a')?.getAttribute('href') || '')
+        .map(href => (href.match(/\/status\/(\d+)/) || [])[1]));
+      return { tweets: tweets.filter(tweet => !pinned.includes(tweet.id)) };
+    });
+  }
+
+  // The profile page loads the account through UserByScreenName; an answer
+  // without a user means the account does not exist or is suspended
+  async profile(username) {
+    return this.withSession(`profile of @${username}`, async (session, page) => {
+      const responses = await this.openPage(session, page, `https://x.com/${username}`, 'UserByScreenName');
+      if (responses.length === 0) {
+        throw this.accountError(null, `No UserByScreenName response captured for @${username}`);
+      }
+
+      return { profile: responses.map(json => graphqlParser.parseUserResponse(json)).find(Boolean) || null };
+    });
+  }
+
+  // Runs task(session, page) on a page of the next available account's
+  // session, and records the outcome against the account. Results and
+  // errors carry the proxy the session goes out through.
+  async withSession(description, task) {
+    const session = await this.acquireSession();
+    const username = session.account ? session.account.username : null;
+
+    try {
+      const result = await this.pagePool.run(session.context, session.name, page => task(session, page));
+      if (username) accountPool.record(username, 'ok');
+      return { ...result, proxy: proxyPool.label(session.proxy) };
+    } catch (error) {
+      if (username && error.accountOutcome !== null) {
+        accountPool.record(username, error.accountOutcome || 'error', { error: error.message });
+      }
+      const failure = error instanceof SourceUnavailableError
+        ? error
+        : new SourceUnavailableError(`Puppeteer ${description} failed: ${error.message}`);
+      if (failure !== error) logger.error(`Puppeteer ${description} failed: ${error.message}`);
+      failure.proxy = proxyPool.label(session.proxy);
+      throw failure;
+    }
+  }
+
+  // Opens an x.com page and resolves to the JSON of the operation's GraphQL
+  // responses, after checking the page for account problems and login walls
+  async openPage(session, page, url, operation) {
+    const capture = this.captureGraphql(page, operation);
+    let navigation;
+    try {
+      navigation = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await capture.waitForFirst(GRAPHQL_WAIT_MS);
+    } finally {
+      capture.stop();
+    }
+
+    await this.recordProxy(session, [navigation ? navigation.status() : null, ...capture.statuses]);
+    const responses = await capture.responses();
+    const problem = await this.accountProblem(page, capture.statuses, responses);
+    if (problem) {
+      throw this.accountError(problem, `X account ${session.name} is ${problem.replace('_', ' ')}`);
+    }
+
+    // Check for login requirement: a login link, or a redirect into the
+    // login flow
+    const needsLogin = await page.$('a[href="/login"]') || /\/(login|i\/flow\/login)/.test(page.url());
+    if (needsLogin) {
+      if (session.account) await this.recoverSession(session, page);
+      // The session was handled above; this is not the account's fault
+      throw this.accountError(null, 'Twitter requires login');
+    }
+
+    return responses;
+  }
+
+  // Lockouts and challenges show up as pages; rate limits as HTTP 429 or
+  // as error codes in the GraphQL response
+  async accountProblem(page, statuses = [], responses = []) {
+    const url = page.url();
+    if (/\/account\/access/.test(url)) return 'locked';
+    if (await page.$('iframe[src*="arkoselabs"], #arkose_iframe')) return 'captcha';
+    if (statuses.includes(429)) return 'rate_limited';
+
+    const codes = responses.flatMap(json => (json.errors || []).map(error => error.code));
+    const coded = codes.map(code => ACCOUNT_ERROR_CODES[code]).find(Boolean);
+    return coded || null;
+  }
+
+  // Judges the session's proxy by the worst answer the page got through it,
+  // and retires the session when that gets the proxy ejected
+  async recordProxy(session, statuses) {
+    if (!session.proxy) return;
+
+    const status = statuses.find(candidate => proxyPool.isBlocked(candidate)) || statuses.find(Boolean) || null;
+    if (proxyPool.record(session.proxy, status)) {
+      await this.retireSession(session);
+    }
+  }
+
+  async retireSession(session) {
+    if (session.retired) return;
+    session.retired = true;
+
+    logger.warn(`Closing X session ${session.name}: its proxy ${proxyPool.label(session.proxy)} was ejected`);
+    await session.context.close().catch(error => logger.warn(`Could not close browser context: ${error.message}`));
+    this.sessions.delete(session.name);
+  }
+
+  // SourceUnavailableError carrying how the account should be recorded;
+  // null records nothing
+  accountError(outcome, message) {
+    const error = new SourceUnavailableError(message);
+    error.accountOutcome = outcome;
+    return error;
+  }
+
+  // Later pages are fetched from inside the page by replaying the captured
+  // SearchTimeline request with the cursor, so they carry the session's
+  // cookies
+  async searchNextPage(session, page, queryAst, cursor) {
+    const template = this.graphqlRequests.SearchTimeline;
+    if (!template) {
+      throw this.accountError(null, 'No SearchTimeline request to continue from');
+    }
+
+    const variables = { rawQuery: queryParser.serialize(queryAst), cursor };
+    const { status, json } = await this.replayGraphql(page, template, variables);
+    await this.recordProxy(session, [status]);
+    if (!json) {
+      throw this.accountError(status === 429 ? 'rate_limited' : 'error', `GraphQL request failed with HTTP ${status}`);
+    }
+
+    const problem = await this.accountProblem(page, [], [json]);
+    if (problem) {
+      throw this.accountError(problem, `X account answered the next page with ${problem.replace('_', ' ')}`);
+    }
+
+    const timeline = graphqlParser.parseTimeline([json]);
+    if (!timeline) {
+      throw new SourceUnavailableError('SearchTimeline page had an unexpected shape');
+    }
+
+    logger.info(`Found ${timeline.tweets.length} tweets on the next SearchTimeline page`);
+    return timeline;
+  }
+
+  // The captured request may come from another account's page, so its CSRF
+  // header is replaced with the ct0 cookie of the page replaying it
+  async replayGraphql(page, template, variables) {
+    const request = { method: template.method, headers: template.headers, url: template.url, body: template.body };
+
+    if (template.method === 'GET') {
+      const url = new URL(template.url);
+      const current = JSON.parse(url.searchParams.get('variables') || '{}');
+      url.searchParams.set('variables', JSON.stringify({ ...current, ...variables }));
+      request.url = url.toString();
+    } else {
+      const body = JSON.parse(template.body || '{}');
+      body.variables = { ...(body.variables || {}), ...variables };
+      request.body = JSON.stringify(body);
+    }
+
+    return page.evaluate(async ({ url, method, headers, body }) => {
+      const csrf = document.cookie.match(/(?:^|; )ct0=([^;]+)/);
+      const response = await fetch(url, {
+        method,
+        headers: csrf ? { ...headers, 'x-csrf-token': csrf[1] } : headers,
+        body,
+        credentials: 'include'
+      });
+      return { status: response.status, json: response.ok ? await response.json() : null };
+    }, request);
+  }
+
+  // Collects the JSON and HTTP statuses of the page's GraphQL responses for
+  // one operation while it loads
+  captureGraphql(page, operation) {
+    const pattern = new RegExp(`/graphql/[^/]+/${operation}(\\?|$)`);
+    const pending = [];
+    const statuses = [];
+    let markFirst;
+    const first = new Promise(resolve => { markFirst = resolve; });
+
+    const onResponse = response => {
+      if (!pattern.test(response.url())) return;
+
+      statuses.push(response.status());
+      const request = response.request();
+      this.graphqlRequests[operation] = {
+        url: response.url(),
+        method: request.method(),
+        headers: request.headers(),
+        body: request.postData() || null
+      };
+      pending.push(response.json()
+        .catch(error => {
+          logger.warn(`Could not read ${operation} response: ${error.message}`);
+          return null;
+        })
+        .then(json => {
+          markFirst();
+          return json;
+        }));
+    };
+
+    page.on('response', onResponse);
+    return {
+      statuses,
+      waitForFirst: timeout => Promise.race([first, this.delay(timeout)]),
+      stop: () => page.off('response', onResponse),
+      responses: async () => (await Promise.all(pending)).filter(Boolean)
+    };
+  }
+
+  // DOM fallback: standard tweet articles, then a looser text scan
+  async extractFromPage(page) {
+    // Wait for any content to load
+    await this.delay(3000);
+
+    let tweets = await this.extractTweetsMethod1(page);
+    if (tweets.length > 0) {
+      logger.info(`Found ${tweets.length} tweets using method 1`);
+      return tweets;
+    }
+
+    tweets = await this.extractTweetsMethod2(page);
+    if (tweets.length > 0) {
+      logger.info(`Found ${tweets.length} tweets using method 2`);
+    }
+    return tweets;
+  }
+
+  async extractTweetsMethod1(page) {
+    try {
+      // Scroll first to load content
+      await this.autoScroll(page);
+      
+      return await page.evaluate(() => {
+        const tweetElements = document.querySelectorAll('article');
+        const extracted = [];
+
+        // "1,234" / "1.2K" / "3M" -> number; null when the label has no count
+        const parseCount = (label) => {
+          const match = (label || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMm])?/);
+          if (!match) return null;
+          const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+          return Math.round(parseFloat(match[1]) * multiplier);
+        };
+
+        // The action bar carries a summary label such as
+        // "3 replies, 5 reposts, 20 likes, 2 bookmarks, 1234 views"; metrics
+        // that are zero are left out of it. Each button also has its own
+        // aria-label ("20 Likes. Like"), used when the summary is missing.
+        const metrics = {
+          replies: { pattern: /(\d[\d,.]*[KkMm]?)\s+repl/i, buttons: ['reply'] },
+          retweets: { pattern: /(\d[\d,.]*[KkMm]?)\s+(repost|retweet)/i, buttons: ['retweet', 'unretweet'] },
+          likes: { pattern: /(\d[\d,.]*[KkMm]?)\s+like/i, buttons: ['like', 'unlike'] },
+          bookmarks: { pattern: /(\d[\d,.]*[KkMm]?)\s+bookmark/i, buttons: ['bookmark', 'removeBookmark'] },
+          views: { pattern: /(\d[\d,.]*[KkMm]?)\s+view/i, buttons: [] }
+        };
+
+        const extractEngagement = (article) => {
+          const group = article.querySelector('[role="group"][aria-label]');
+          const summary = group ? group.getAttribute('aria-label') : null;
+          const engagement = {};
+
+          Object.entries(metrics).forEach(([name, metric]) => {
+            const summaryMatch = summary && summary.match(metric.pattern);
+            if (summaryMatch) {
+              engagement[name] = parseCount(summaryMatch[1]);
+              return;
+            }
+
+            const button = metric.buttons
+              .map(testId => article.querySelector(`[data-testid="${testId}"]`))
+              .find(Boolean);
+            if (button) {
+              engagement[name] = parseCount(button.getAttribute('aria-label')) || 0;
+            } else if (name === 'views') {
+              const analytics = article.querySelector('a[href$="/analytics"]');
+              engagement[name] = analytics ? parseCount(analytics.getAttribute('aria-label')) : null;
+            } else {
+              engagement[name] = summary ? 0 : null;
+            }
+          });
+
+          return engagement;
+        };
+        
+        tweetElements.forEach((el, index) => {
+          if (index > 20) return; // Limit processing
+          
+          try {
+            // A quoted tweet is rendered as a nested role="link" card with
+            // its own author, text and time; keep it out of the main lookups
+            const quoteCard = Array.from(el.querySelectorAll('div[role="link"]'))
+              .find(card => card.querySelector('[data-testid="User-Name"]'));
+            const ownAll = selector => Array.from(el.querySelectorAll(selector))
+              .filter(node => !quoteCard || !quoteCard.contains(node));
+            const own = selector => ownAll(selector)[0];
+
+            const textEl = own('div[data-testid="tweetText"]') || 
+                          own('[data-testid="tweetText"]') ||
+                          own('.tweet-text') ||
+                          own('div[lang]');
+            
+            const authorEl = own('[data-testid="User-Name"]');
+            const timeEl = own('time');
+            const link = timeEl ? timeEl.closest('a')?.getAttribute('href') : null;
+            const linkMatch = link ? link.match(/^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/) : null;
+
+            // Without a status link the tweet cannot be identified or linked
+            if (!textEl || !linkMatch) return;
+
+            const username = linkMatch[1];
+            const displayName = authorEl ? authorEl.querySelector('span')?.textContent.trim() : null;
+            const engagement = extractEngagement(el);
+
+            // Replies carry a "Replying to @handle" line; thread starters a
+            // "Show this thread" link
+            const replyLine = Array.from(el.querySelectorAll('div'))
+              .find(div => div.children.length > 0 && /^Replying to/.test(div.textContent.trim()));
+            const replyHandle = replyLine ? replyLine.querySelector('a[href^="/"]')?.getAttribute('href').slice(1) : null;
+            const hasThread = Array.from(el.querySelectorAll('a[href*="/status/"], span'))
+              .some(node => node.textContent.trim() === 'Show this thread');
+
+            // Retweets are shown as the original tweet under a
+            // "<name> reposted" social context line linking to the retweeter
+            const socialContext = el.querySelector('[data-testid="socialContext"]');
+            const isRetweet = !!socialContext && /(reposted|retweeted)\s*$/i.test(socialContext.textContent.trim());
+            const retweeterLink = isRetweet ? socialContext.closest('a[href^="/"]') : null;
+
+            // Text links point at t.co; the link text holds the full URL,
+            // partly in hidden spans, ending in an ellipsis
+            const urls = Array.from(textEl.querySelectorAll('a[href^="http"]')).map(anchor => ({
+              url: anchor.getAttribute('href'),
+              expanded_url: anchor.textContent.trim().replace(/…$/, '')
+            }));
+            // Videos play from blob: URLs; their poster is kept instead
+            const media = [
+              ...ownAll('[data-testid="tweetPhoto"] img').map(img => ({ url: img.getAttribute('src'), type: 'photo' })),
+              ...ownAll('video').map(video => ({
+                url: video.src && !video.src.startsWith('blob:') ? video.src : video.getAttribute('poster'),
+                type: 'video'
+              }))
+            ].filter(item => item.url);
+
+            let quoted = null;
+            if (quoteCard) {
+              const quoteHandle = quoteCard.querySelector('[data-testid="User-Name"]').textContent.match(/@([A-Za-z0-9_]{1,15})/);
+              const quoteLink = Array.from(quoteCard.querySelectorAll('a[href*="/status/"]'))
+                .map(anchor => anchor.getAttribute('href').match(/^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/))
+                .find(Boolean);
+              const quoteUsername = quoteHandle ? quoteHandle[1] : (quoteLink ? quoteLink[1] : null);
+              const quoteId = quoteLink ? quoteLink[2] : null;
+              const quoteText = quoteCard.querySelector('[data-testid="tweetText"]');
+
+              quoted = {
+                id: quoteId,
+                username: quoteUsername,
+                display_name: quoteCard.querySelector('[data-testid="User-Name"] span')?.textContent.trim() || null,
+                text: quoteText ? quoteText.textContent.trim() : null,
+                url: quoteId && quoteUsername ? `https://twitter.com/${quoteUsername}/status/${quoteId}` : null
+              };
+            }
+
+            extracted.push({
+              id: linkMatch[2],
+              text: textEl.textContent.trim(),
+              author: username,
+              username,
+              display_name: displayName || null,
+              url: `https://twitter.com/${username}/status/${linkMatch[2]}`,
+              timestamp: timeEl.getAttribute('datetime'),
+              source: 'puppeteer',
+              ...engagement,
+              in_reply_to_screen_name: replyHandle || null,
+              has_thread: hasThread,
+              is_retweet: isRetweet,
+              retweeted_by: isRetweet
+                ? (retweeterLink ? retweeterLink.getAttribute('href').slice(1) : socialContext.textContent.trim().replace(/\s*(reposted|retweeted)$/i, ''))
+                : null,
+              is_quote_status: !!quoted,
+              quoted_status_id: quoted ? quoted.id : null,
+              quoted_status: quoted,
+              urls,
+              media,
+              provenance: {
+                extraction_method: 'puppeteer_dom',
+                confidence: 0.9,
+                is_synthetic: false
+              }
+            });
+          } catch (err) {
+            console.warn('Error processing tweet element:', err);
+          }
+        });
+        
+        return extracted;
+      });
+    } catch (error) {
+      logger.warn('Method 1 extraction failed:', error.message);
+      return [];
+    }
+  }
+
+  // Looser scan used when no tweet articles render: pair each status link
+  // with the nearest language-tagged text. Author and id come from the link;
+  // engagement is not available this way.
+  async extractTweetsMethod2(page) {
+    try {
+      return await page.evaluate(() => {
+        const links = document.querySelectorAll('a[href*="/status/"]');
+        const extracted = [];
+        const seen = new Set();
+        
+        links.forEach(link => {
+          const match = (link.getAttribute('href') || '').match(/^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)$/);
+          if (!match || seen.has(match[2])) return;
+
+          const container = link.closest('article, [data-testid="cellInnerDiv"]') || link.parentElement;
+          const textEl = container ? container.querySelector('div[lang], span[lang]') : null;
+          const text = textEl ? textEl.textContent.trim() : '';
+          if (text.length < 20) return;
+
+          seen.add(match[2]);
+          const timeEl = container.querySelector('time');
+          extracted.push({
+            id: match[2],
+            text: text,
+            author: match[1],
+            username: match[1],
+            url: `https://twitter.com/${match[1]}/status/${match[2]}`,
+            timestamp: timeEl ? timeEl.getAttribute('datetime') : null,
+            source: 'puppeteer_fallback',
+            likes: null,
+            retweets: null,
+            replies: null,
+            provenance: {
+              extraction_method: 'puppeteer_text_scan',
+              confidence: 0.4,
+              is_synthetic: false
+            }
+          });
+        });
+        
+        return extracted.slice(0, 5); // Return max 5 tweets
+      });
+    } catch (error) {
+      logger.warn('Method 2 extraction failed:', error.message);
+      return [];
+    }
+  }
+
+  // On a status page (and in its TweetDetail response) the ancestors come
+  // before the focal tweet and the replies after it
+  async conversation(tweet) {
+    const username = tweet.username || tweet.author;
+    if (!username || !/^\d+$/.test(String(tweet.id))) return null;
+
+    const session = await this.acquireSession();
+
+    try {
+      return await this.pagePool.run(session.context, session.name, page => this.conversationWith(session, page, tweet));
+    } catch (error) {
+      if (session.account && error.accountOutcome !== null) {
+        accountPool.record(session.account.username, error.accountOutcome || 'error', { error: error.message });
+      }
+      logger.error(`Puppeteer conversation fetch failed: ${error.message}`);
+      throw new SourceUnavailableError(`Puppeteer conversation fetch failed: ${error.message}`);
+    }
+  }
+
+  async conversationWith(session, page, tweet) {
+    const username = tweet.username || tweet.author;
+    const capture = this.captureGraphql(page, 'TweetDetail');
+    let navigation;
+    try {
+      navigation = await page.goto(`https://twitter.com/${username}/status/${tweet.id}`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await capture.waitForFirst(GRAPHQL_WAIT_MS);
+    } finally {
+      capture.stop();
+    }
+
+    await this.recordProxy(session, [navigation ? navigation.status() : null, ...capture.statuses]);
+
+    const responses = await capture.responses();
+    const problem = await this.accountProblem(page, capture.statuses, responses);
+    if (problem) {
+      throw this.accountError(problem, `X account ${session.name} is ${problem.replace('_', ' ')}`);
+    }
+
+    const detail = graphqlParser.parseTimeline(responses);
+    let tweets = detail ? detail.tweets : [];
+    if (!tweets.some(candidate => candidate.id === String(tweet.id))) {
+      await this.delay(3000);
+      tweets = await this.extractTweetsMethod1(page);
+    }
+
+    if (session.account) accountPool.record(session.account.username, 'ok');
+    const index = tweets.findIndex(candidate => candidate.id === String(tweet.id));
+    if (index === -1) return null;
+
+    return this.linkConversation(tweets.slice(0, index), tweets[index], tweets.slice(index + 1));
+  }
+
+  async autoScroll(page) {
+    try {
+      await page.evaluate(async () => {
+        await new Promise(resolve => {
+          let totalHeight = 0;
+          const distance = 100;
+          const maxHeight = 2000; // Limit scrolling
+          
+          const timer = setInterval(() => {
+            const scrollHeight = document.body.scrollHeight;
+            window.scrollBy(0, distance);
+            totalHeight += distance;
+            
+            if (totalHeight >= scrollHeight || totalHeight >= maxHeight) {
+              clearInterval(timer);
+              resolve();
+            }
+          }, 200); // Slower scrolling
+        });
+      });
+      
+      // Wait for content to load after scrolling
+      await this.delay(2000);
+    } catch (error) {
+      logger.warn('Auto-scroll failed:', error.message);
+    }
+  }
+
+  async health() {
+    const exhausted = accountPool.size > 0 && !accountPool.getStatus().some(account => account.available);
+    let status = this.initialized ? 'ready' : 'not_initialized';
+    if (this.initialized && exhausted) status = 'unavailable';
+
+    return { name: this.name, status, accounts: accountPool.size, pages: this.pagePool.getStatus() };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async cleanup() {
+    try {
+      const sessions = (await Promise.allSettled(this.sessions.values()))
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value);
+
+      // X rotates some cookies while browsing; keep the latest jar
+      for (const session of sessions) {
+        const page = session.authenticated ? this.pagePool.idlePage(session.name) : null;
+        if (page) await sessionManager.save(page, session.account.username);
+      }
+
+      await this.pagePool.closeAll();
+      for (const session of sessions) {
+        if (session.account) await session.context.close();
+      }
+      this.sessions.clear();
+
+      if (this.browser) {
+        await this.browser.close();
+      }
+      logger.info('Puppeteer source browser closed');
+    } catch (error) {
+      logger.warn('Error during cleanup:', error.message);
+    }
+    this.initialized = false;
+  }
+
+  // Starts a headless browser: the one at PUPPETEER_EXECUTABLE_PATH through
+  // puppeteer-core, or else the full puppeteer package with the browser it
+  // downloads. Required lazily so the other sources work without either.
+  // Whether launchBrowser has a browser to start, without starting it
+  static hasBrowser() {
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) return true;
+    try {
+      require.resolve('puppeteer');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static launchBrowser(args) {
+    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    if (executablePath) {
+      return require('puppeteer-core').launch({ headless: true, executablePath, args });
+    }
+    return require('puppeteer').launch({ headless: true, args });
+  }
+}
+
+module.exports = PuppeteerSource;
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../../utils/logger');
+const queryParser = require('../../utils/queryParser');
+const nitterPool = require('../nitterPool');
+const proxyPool = require('../proxyPool');
+const rateLimiter = require('../rateLimiter');
+const TweetSource = require('./tweetSource');
+const { SourceUnavailableError } = require('./tweetSource');
+
+const STATUS_LINK = /\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/;
+
+const NITTER_PROVENANCE = { extraction_method: 'nitter_rss', confidence: 0.7, is_synthetic: false };
+const FEED_PROVENANCE = { extraction_method: 'rss_feed', confidence: 0.6, is_synthetic: false };
+
+// Reads tweets from RSS and Atom feeds: the search (/search/rss) and user
+// (/<user>/rss) feeds of the Nitter instances in nitterPool, and the feeds
+// listed in RSS_FEEDS. Feeds are lighter than the HTML page and often stay
+// up when it is rate limited, but carry no engagement counts.
+//
+// RSS_FEEDS is a comma-separated list of feed URLs, e.g. from RSSHub or
+// another bridge. A URL with {query} is a search feed and one with
+// {username} a user feed; they are tried after the Nitter instances. Other
+// feeds are standing feeds, read on every run whatever the filters search
+// for (see feeds()).
+class RssSource extends TweetSource {
+  constructor(options = {}) {
+    super('rss');
+    this.feedUrls = options.feeds || this.parseFeedList(process.env.RSS_FEEDS || '');
+  }
+
+  parseFeedList(list) {
+    return list.split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+      .filter(url => {
+        if (/^https?:\/\//.test(url)) return true;
+        logger.warn(`Ignoring RSS feed that is not an http(s) URL: ${url}`);
+        return false;
+      });
+  }
+
+  async search(queryAst, cursor = null) {
+    const query = queryParser.serialize(queryAst);
+    const searchFeeds = this.feedUrls.filter(url => url.includes('{query}'));
+
+    try {
+      const result = await this.fromInstances(instance => {
+        const url = queryParser.toNitterSearchUrl(queryAst, instance).replace('/search?', '/search/rss?');
+        return cursor ? `${url}&cursor=${encodeURIComponent(cursor)}` : url;
+      }, `query "${query}"`);
+
+      logger.info(`Found ${result.tweets.length} tweets via RSS (${result.via}) for query: ${query}`);
+      return { tweets: result.tweets, cursor: result.cursor, proxy: result.proxy };
+    } catch (error) {
+      // Cursors come from Nitter and mean nothing to other feeds
+      if (cursor || searchFeeds.length === 0) throw error;
+      logger.warn(`${error.message}, trying ${searchFeeds.length} configured search feed(s)`);
+    }
+
+    const result = await this.fromFeeds(searchFeeds.map(url => url.replace('{query}', encodeURIComponent(query))), `query "${query}"`);
+    logger.info(`Found ${result.tweets.length} tweets via RSS (${result.via}) for query: ${query}`);
+    return { tweets: result.tweets, cursor: null, proxy: result.proxy };
+  }
+
+  async timeline(username) {
+    const userFeeds = this.feedUrls.filter(url => url.includes('{username}'));
+    let result;
+
+    try {
+      result = await this.fromInstances(instance => `${instance}/${username}/rss`, `timeline of @${username}`);
+    } catch (error) {
+      if (userFeeds.length === 0) throw error;
+      logger.warn(`${error.message}, trying ${userFeeds.length} configured user feed(s)`);
+      result = await this.fromFeeds(userFeeds.map(url => url.replace('{username}', encodeURIComponent(username))), `timeline of @${username}`);
+    }
+
+    logger.info(`Found ${result.tweets.length} tweets via RSS (${result.via}) on the timeline of @${username}`);
+    return { tweets: result.tweets, proxy: result.proxy };
+  }
+
+  // Standing feeds: the RSS_FEEDS entries without a placeholder
+  feeds() {
+    return this.feedUrls
+      .filter(url => !url.includes('{query}') && !url.includes('{username}'))
+      .map(url => ({ url, name: this.feedName(url) }));
+  }
+
+  async readFeed(feed) {
+    const result = await this.fromFeeds([feed.url], `feed ${feed.name}`);
+    logger.info(`Found ${result.tweets.length} items in feed ${feed.name}`);
+    return { tweets: result.tweets, proxy: result.proxy };
+  }
+
+  // Try the Nitter instances from the pool until one serves the feed
+  async fromInstances(buildUrl, description) {
+    const tried = [];
+    let limited = 0;
+    let instance;
+    let proxy = null;
+
+    while ((instance = nitterPool.acquire(tried))) {
+      tried.push(instance);
+      // Feeds share each instance's 'nitter' budget with NitterSource
+      if (!(await rateLimiter.checkLimit('nitter', instance))) {
+        limited++;
+        continue;
+      }
+      proxy = this.acquireProxy({ key: instance });
+      const via = proxy ? `${instance} via ${proxyPool.label(proxy)}` : instance;
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.fetch(buildUrl(instance), proxy);
+        const latency = Date.now() - startedAt;
+
+        if (!this.isFeed(response.data)) {
+          nitterPool.record(instance, 'parse_failure', { latency, status: response.status, error: 'Response is not a feed' });
+          continue;
+        }
+
+        const tweets = this.parseFeed(response.data);
+        nitterPool.record(instance, tweets.length > 0 ? 'ok' : 'empty', { latency, status: response.status });
+        // Nitter returns the cursor of the next page in a Min-Id header
+        return { tweets, cursor: response.headers['min-id'] || null, proxy: proxyPool.label(proxy), via };
+      } catch (error) {
+        nitterPool.record(instance, 'error', {
+          latency: Date.now() - startedAt,
+          status: error.response ? error.response.status : null,
+          error: error.message
+        });
+        logger.warn(`RSS feed on ${via} failed for ${description}: ${error.message}`);
+      }
+    }
+
+    let message = 'Every Nitter instance is quarantined';
+    if (tried.length > 0) {
+      message = limited === tried.length
+        ? `Every Nitter instance is over its rate limit for ${description}`
+        : `All Nitter RSS feeds failed for ${description}`;
+    }
+    const error = new SourceUnavailableError(message);
+    error.proxy = proxyPool.label(proxy);
+    throw error;
+  }
+
+  // Try feed URLs in order until one of them is a feed
+  async fromFeeds(urls, description) {
+    let proxy = null;
+
+    for (const url of urls) {
+      const name = this.feedName(url);
+      proxy = this.acquireProxy({ key: new URL(url).host });
+      const via = proxy ? `${name} via ${proxyPool.label(proxy)}` : name;
+
+      try {
+        const response = await this.fetch(url, proxy);
+        if (!this.isFeed(response.data)) {
+          logger.warn(`RSS feed ${via} did not return a feed for ${description}`);
+          continue;
+        }
+        return { tweets: this.parseFeed(response.data, FEED_PROVENANCE), proxy: proxyPool.label(proxy), via };
+      } catch (error) {
+        logger.warn(`RSS feed ${via} failed for ${description}: ${error.message}`);
+      }
+    }
+
+    const error = new SourceUnavailableError(`All configured RSS feeds failed for ${description}`);
+    error.proxy = proxyPool.label(proxy);
+    throw error;
+  }
+
+  async fetch(url, proxy) {
+    try {
+      const response = await axios.get(url, { timeout: 10000, ...proxyPool.axiosOptions(proxy, url) });
+      proxyPool.record(proxy, response.status);
+      return response;
+    } catch (error) {
+      proxyPool.record(proxy, error.response ? error.response.status : null, error.message);
+      throw error;
+    }
+  }
+
+  isFeed(data) {
+    return /<(rss|feed|rdf:RDF)[\s>]/.test(String(data));
+  }
+
+  // Host and path of a feed, for logs and run records; query strings often
+  // carry access keys
+  feedName(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.host}${parsed.pathname}`;
+    } catch (error) {
+      return '(invalid feed URL)';
+    }
+  }
+
+  // RSS 2.0, RSS 1.0 (RDF) and Atom items as tweets. Items that link to a
+  // status are read as that tweet; other items (a blog or news feed) become
+  // tweet-shaped posts with an id derived from their guid.
+  parseFeed(xml, provenance = NITTER_PROVENANCE) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    return this.readItems($)
+      .map(item => {
+        const match = item.link.match(STATUS_LINK);
+        return match ? this.statusTweet(item, match, provenance) : this.postTweet(item, provenance);
+      })
+      .filter(Boolean);
+  }
+
+  // { link, guid, title, html, published, author } of every item or entry
+  readItems($) {
+    const text = (node, selector) => node.find(selector).first().text().trim();
+
+    const rssItems = $('item').toArray().map(element => {
+      const item = $(element);
+      return {
+        link: text(item, 'link') || text(item, 'guid'),
+        guid: text(item, 'guid'),
+        title: item.find('title').first().text(),
+        html: item.find('description').first().text() || item.find('content\\:encoded').first().text(),
+        published: text(item, 'pubDate') || text(item, 'dc\\:date'),
+        author: text(item, 'dc\\:creator') || text(item, 'author')
+      };
+    });
+
+    const atomEntries = $('entry').toArray().map(element => {
+      const entry = $(element);
+      const links = entry.find('link').toArray().map(link => $(link));
+      const alternate = links.find(link => (link.attr('rel') || 'alternate') === 'alternate') || links[0];
+      return {
+        link: alternate ? (alternate.attr('href') || '').trim() : '',
+        guid: text(entry, 'id'),
+        title: entry.find('title').first().text(),
+        html: entry.find('content').first().text() || entry.find('summary').first().text(),
+        published: text(entry, 'published') || text(entry, 'updated'),
+        author: text(entry, 'author > name')
+      };
+    });
+
+    return [...rssItems, ...atomEntries];
+  }
+
+  statusTweet(item, match, provenance) {
+    const [, username, id] = match;
+    const body = item.html ? cheerio.load(item.html) : null;
+    const published = new Date(item.published);
+    // Retweets are titled "RT by @retweeter: ..."; the item links to the
+    // original tweet
+    const retweet = item.title.match(/^RT by @([A-Za-z0-9_]{1,15}):/);
+    // A quote ends with a link to the quoted status, which is not part of
+    // the tweet text
+    const quoteAnchor = body
+      ? body('a[href*="/status/"]').toArray()
+        .filter(anchor => !(body(anchor).attr('href') || '').includes(`/status/${id}`))
+        .pop()
+      : null;
+    const quoteLink = quoteAnchor
+      ? (body(quoteAnchor).attr('href') || '').match(STATUS_LINK)
+      : null;
+    if (quoteAnchor) body(quoteAnchor).remove();
+    const text = (body ? body.text() : item.title).trim();
+    // Links back to the instance are hashtags, mentions and statuses
+    const instance = /^https?:\/\//.test(item.link) ? new URL(item.link).origin : null;
+    const urls = body
+      ? body('a[href^="http"]').toArray()
+        .map(anchor => body(anchor).attr('href'))
+        .filter(href => !instance || !href.startsWith(instance))
+        .map(href => ({ url: href, expanded_url: href }))
+      : [];
+    const media = body
+      ? body('img[src]').toArray().map(image => ({ url: body(image).attr('src') }))
+      : [];
+
+    return {
+      id,
+      text,
+      author: username,
+      username,
+      display_name: null,
+      url: `https://twitter.com/${username}/status/${id}`,
+      timestamp: isNaN(published.getTime()) ? null : published.toISOString(),
+      source: 'rss',
+      replies: null,
+      retweets: null,
+      likes: null,
+      urls,
+      media,
+      is_retweet: !!retweet,
+      retweeted_by: retweet ? retweet[1] : null,
+      is_quote_status: !!quoteLink,
+      quoted_status_id: quoteLink ? quoteLink[2] : null,
+      // The feed does not carry the quoted text
+      quoted_status: quoteLink ? {
+        id: quoteLink[2],
+        username: quoteLink[1],
+        display_name: null,
+        text: null,
+        url: `https://twitter.com/${quoteLink[1]}/status/${quoteLink[2]}`
+      } : null,
+      provenance: { ...provenance }
+    };
+  }
+
+  // The author is the item's creator, or the feed's host when it names none
+  postTweet(item, provenance) {
+    const key = item.guid || item.link || item.title;
+    if (!key) return null;
+
+    const body = item.html ? cheerio.load(item.html) : null;
+    const summary = body ? body.text().trim() : '';
+    const title = item.title.trim();
+    const text = summary.startsWith(title) ? summary : [title, summary].filter(Boolean).join('\n\n');
+    const published = new Date(item.published);
+    // Only web links: the url becomes a link on the dashboard and in Discord
+    const link = /^https?:\/\//i.test(item.link) ? item.link : null;
+    const host = link ? new URL(link).host : null;
+    const author = item.author.replace(/^@/, '').replace(/^\S+@\S+\s+\((.+)\)$/, '$1') || host || 'feed';
+
+    return {
+      id: `feed:${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`,
+      text,
+      author,
+      username: author,
+      display_name: null,
+      url: link,
+      timestamp: isNaN(published.getTime()) ? null : published.toISOString(),
+      source: 'rss',
+      replies: null,
+      retweets: null,
+      likes: null,
+      urls: body
+        ? body('a[href^="http"]').toArray().map(anchor => ({ url: body(anchor).attr('href'), expanded_url: body(anchor).attr('href') }))
+        : [],
+      media: body ? body('img[src]').toArray().map(image => ({ url: body(image).attr('src') })) : [],
+      is_retweet: false,
+      retweeted_by: null,
+      is_quote_status: false,
+      quoted_status_id: null,
+      quoted_status: null,
+      provenance: { ...provenance }
+    };
+  }
+
+  async health() {
+    const available = nitterPool.getStatus().filter(instance => !instance.quarantined).length;
+    let status = this.initialized ? 'ready' : 'not_initialized';
+    if (this.initialized && available === 0 && this.feedUrls.length === 0) status = 'unavailable';
+
+    return { name: this.name, status, instances: nitterPool.size, available, feeds: this.feedUrls.length };
+  }
+}
+
+RssSource.FEED_PROVENANCE = FEED_PROVENANCE;
+
+module.exports = RssSource;
@@ -0,0 +1,268 @@
+const queryParser = require('../../utils/queryParser');
+const logger = require('../../utils/logger');
+const TweetSource = require('./tweetSource');
+
+// Twitter snowflake ids count milliseconds from this epoch
+const TWITTER_EPOCH = 1288834974657n;
+
+const AUTHORS = [
+  { username: 'rwa_research', display_name: 'RWA Research' },
+  { username: 'defi_dana', display_name: 'Dana | DeFi' },
+  { username: 'solana_sam', display_name: 'Sam on Solana' },
+  { username: 'yield_hunter', display_name: 'Yield Hunter' },
+  { username: 'onchain_olivia', display_name: 'Olivia' },
+  { username: 'treasury_tom', display_name: 'Tom (tokenized treasuries)' }
+];
+
+const TEMPLATES = [
+  'Been digging into {keywords} this week. The design is a lot more careful than most of what ships in this space.',
+  'Hot take: {keywords} will matter more than most L1 narratives this cycle.',
+  'Anyone else tracking {keywords}? The numbers this week look solid.',
+  'Quick breakdown of {keywords} for people new to RWAs.',
+  'Spoke with a few funds about {keywords} today. Interest is real.'
+];
+
+const EMOJI = ['🚀', '📈', '🧵', '👀', '🔥', '💡', '🏦', '⚡️', '🤝', '✅'];
+
+// Generates realistic, reproducible tweets for a query when the listener runs
+// with --simulate or SCRAPER_MODE=simulate. The same seed, query and
+// reference time always produce the same tweets. Every tweet is marked as
+// synthetic in its provenance.
+class SimulationSource extends TweetSource {
+  constructor(options = {}) {
+    super('simulation');
+    this.seed = options.seed ?? (parseInt(process.env.SIMULATION_SEED) || 42);
+    this.referenceTime = options.referenceTime ?? this.defaultReferenceTime();
+  }
+
+  static isEnabled() {
+    return process.argv.includes('--simulate') || process.env.SCRAPER_MODE === 'simulate';
+  }
+
+  // Pinned by SIMULATION_REFERENCE_TIME; otherwise the start of the current
+  // hour, so repeated runs within an hour see the same tweets
+  defaultReferenceTime() {
+    if (process.env.SIMULATION_REFERENCE_TIME) {
+      return Date.parse(process.env.SIMULATION_REFERENCE_TIME);
+    }
+    const hour = 60 * 60 * 1000;
+    return Math.floor(Date.now() / hour) * hour;
+  }
+
+  async search(queryAst, cursor = null) {
+    const query = queryParser.serialize(queryAst);
+    const random = this.createRandom(`${this.seed}:${query}`);
+    const constraints = this.collectConstraints(queryAst);
+    const count = 4 + Math.floor(random() * 3);
+    const kinds = ['plain', 'thread_root', 'thread_reply', 'quote', 'long', 'emoji']
+      .filter(kind => kind !== 'quote' || !constraints.excludeQuotes);
+    const tweets = [];
+
+    for (let i = 0; i < count; i++) {
+      const kind = kinds[i % kinds.length];
+      const previous = tweets[tweets.length - 1];
+      tweets.push(this.createTweet(queryAst, constraints, random, kind, i, previous));
+    }
+
+    logger.info(`Simulated ${tweets.length} tweets for query: ${query}`);
+    return { tweets, cursor: null };
+  }
+
+  // Posts of the account on the topics the default filters watch
+  async timeline(username) {
+    const { tweets } = await this.search(queryParser.parse(`from:${username} (Podha OR RWA OR Yield OR "Smart Vaults")`));
+    return { tweets };
+  }
+
+  // A profile that stays the same for the same seed and handle
+  async profile(username) {
+    const random = this.createRandom(`${this.seed}:profile:${username.toLowerCase()}`);
+    const known = AUTHORS.find(author => author.username === username.toLowerCase());
+    const verified = random() > 0.4;
+    // Spread reach over a few orders of magnitude, 100 to 250k followers
+    const followers = Math.round(100 * Math.pow(2500, random()));
+    const joined = this.referenceTime - Math.floor((1 + random() * 10) * 365 * 24 * 60 * 60 * 1000);
+
+    return {
+      profile: {
+        id: String(1000000 + Math.floor(random() * 1e9)),
+        username,
+        display_name: known ? known.display_name : username,
+        description: `Writing about ${this.fillTemplate('{keywords}', ['RWA', 'DeFi'])}. Not financial advice.`,
+        followers_count: followers,
+        following_count: Math.floor(random() * 2000),
+        tweets_count: Math.floor(random() * 20000),
+        verified,
+        verified_type: verified ? 'blue' : null,
+        profile_image_url: null,
+        banner_url: null,
+        location: null,
+        website: null,
+        created_at: new Date(joined).toISOString()
+      }
+    };
+  }
+
+  createTweet(ast, constraints, random, kind, index, previous) {
+    const author = kind === 'thread_reply' && previous
+      ? { username: previous.username, display_name: previous.display_name }
+      : this.pickAuthor(constraints, random);
+    const keywords = this.pickKeywords(ast, random);
+    const createdAt = this.pickTime(constraints, random, index);
+    const id = this.createId(createdAt, random);
+    const minimum = name => constraints[name] || 0;
+    let text = this.fillTemplate(TEMPLATES[Math.floor(random() * TEMPLATES.length)], keywords);
+
+    const tweet = {
+      id,
+      text,
+      author: author.username,
+      username: author.username,
+      display_name: author.display_name,
+      url: `https://twitter.com/${author.username}/status/${id}`,
+      timestamp: new Date(createdAt).toISOString(),
+      source: 'simulation',
+      lang: constraints.lang || 'en',
+      verified: constraints.verified ? true : random() > 0.5,
+      replies: minimum('min_replies') + Math.floor(random() * 40),
+      retweets: minimum('min_retweets') + Math.floor(random() * 120),
+      likes: minimum('min_faves') + Math.floor(random() * 600),
+      views: 1000 + Math.floor(random() * 50000),
+      provenance: {
+        extraction_method: 'simulation',
+        confidence: 0,
+        is_synthetic: true
+      }
+    };
+
+    switch (kind) {
+      case 'thread_root':
+        text = `1/ ${text} 🧵`;
+        break;
+      case 'thread_reply':
+        text = `2/ Following up on ${keywords.join(' and ')}: the vault mechanics are where it gets interesting.`;
+        if (previous) {
+          tweet.in_reply_to_status_id = previous.id;
+          tweet.in_reply_to_screen_name = previous.username;
+          tweet.conversation_id = previous.conversation_id || previous.id;
+        }
+        break;
+      case 'quote':
+        if (previous) {
+          tweet.is_quote_status = true;
+          tweet.quoted_status_id = previous.id;
+          tweet.quoted_status = {
+            id: previous.id,
+            username: previous.username,
+            display_name: previous.display_name,
+            text: previous.text,
+            url: previous.url
+          };
+        }
+        text = `This is worth a read 👇 ${text}`;
+        break;
+      case 'long':
+        text = TEMPLATES.map(template => this.fillTemplate(template, keywords)).join('\n\n');
+        break;
+      case 'emoji':
+        text = `${this.pickEmoji(random, 3)} ${text} ${this.pickEmoji(random, 2)}`;
+        break;
+      default:
+        break;
+    }
+
+    tweet.text = text;
+    return tweet;
+  }
+
+  // Top-level operators the generated tweets must satisfy
+  collectConstraints(ast) {
+    const constraints = {};
+
+    queryParser.topLevelOperators(ast).forEach(node => {
+      if (['min_faves', 'min_retweets', 'min_replies'].includes(node.name)) {
+        constraints[node.name] = parseInt(node.value);
+      } else if (node.name === 'filter' && ['blue_verified', 'verified'].includes(node.value)) {
+        constraints.verified = true;
+      } else if (['from', 'lang'].includes(node.name)) {
+        constraints[node.name] = node.value;
+      } else if (['since', 'until'].includes(node.name)) {
+        constraints[node.name] = Date.parse(node.value.replace(/_(\d{2}:\d{2}:\d{2})_UTC$/, 'T$1Z'));
+      }
+    });
+
+    // -filter:quote or exclude:quote
+    constraints.excludeQuotes = queryParser.conjuncts(ast).some(node =>
+      (node.type === 'operator' && node.name === 'exclude' && node.value === 'quote') ||
+      (node.type === 'not' && node.child.type === 'operator' && node.child.name === 'filter' && node.child.value === 'quote'));
+
+    return constraints;
+  }
+
+  // Choose words that satisfy the query: every AND branch, one OR branch,
+  // nothing from negated branches
+  pickKeywords(node, random) {
+    switch (node.type) {
+      case 'and':
+        return node.children.flatMap(child => this.pickKeywords(child, random));
+      case 'or':
+        return this.pickKeywords(node.children[Math.floor(random() * node.children.length)], random);
+      case 'term':
+      case 'phrase':
+        return [node.value];
+      case 'hashtag':
+        return [`#${node.value}`];
+      case 'cashtag':
+        return [`$${node.value}`];
+      case 'mention':
+        return [`@${node.value}`];
+      default:
+        return [];
+    }
+  }
+
+  pickAuthor(constraints, random) {
+    if (constraints.from) {
+      return { username: constraints.from, display_name: constraints.from };
+    }
+    return AUTHORS[Math.floor(random() * AUTHORS.length)];
+  }
+
+  pickTime(constraints, random, index) {
+    const until = Math.min(constraints.until || this.referenceTime, this.referenceTime);
+    const since = constraints.since || until - 24 * 60 * 60 * 1000;
+    const span = Math.max(until - since, 60 * 1000);
+    // Later tweets in a run are newer, so thread replies follow their root
+    return since + Math.floor(span * ((index + random()) / 10));
+  }
+
+  pickEmoji(random, count) {
+    return Array.from({ length: count }, () => EMOJI[Math.floor(random() * EMOJI.length)]).join('');
+  }
+
+  fillTemplate(template, keywords) {
+    return template.replace('{keywords}', keywords.length > 0 ? keywords.join(' and ') : 'this');
+  }
+
+  createId(createdAt, random) {
+    const sequence = BigInt(Math.floor(random() * 4194304));
+    return (((BigInt(createdAt) - TWITTER_EPOCH) << 22n) | sequence).toString();
+  }
+
+  // mulberry32 seeded from a string hash
+  createRandom(seedText) {
+    let state = 0;
+    for (let i = 0; i < seedText.length; i++) {
+      state = Math.imul(31, state) + seedText.charCodeAt(i) | 0;
+    }
+
+    return () => {
+      state = state + 0x6D2B79F5 | 0;
+      let t = Math.imul(state ^ state >>> 15, 1 | state);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = SimulationSource;
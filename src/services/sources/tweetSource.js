@@ -0,0 +1,116 @@
+// Common interface for everything that can answer a search query with
+// tweets. TwitterScraper walks an ordered chain of sources and uses the first
+// one that answers.
+//
+// search() resolves to { tweets, cursor }, where cursor (or null) continues
+// the same search on a later call. A source that cannot be reached throws
+// SourceUnavailableError so the chain moves on.
+//
+// conversation(tweet) is optional: sources that can open a tweet's page
+// resolve to the tweets of its thread, linked by in_reply_to_status_id.
+// The default resolves to null (not supported).
+//
+// timeline(username) is optional as well: sources that can open an account's
+// profile resolve to { tweets } with its recent posts and retweets, pinned
+// tweets left out. The default resolves to null.
+//
+// profile(username) is optional too: it resolves to { profile } with the
+// account's profile in the shape of the users table (see ProfileEnricher),
+// or { profile: null } when the account does not exist. The default
+// resolves to null.
+//
+// feeds() lists the standing feeds a source reads on every run whatever
+// the filters search for, as [{ url, name }]; readFeed(feed) resolves to
+// { tweets } with the items of one of them. The default lists none.
+//
+// Sources that go out over the network take their proxy from proxyPool and
+// report it as `proxy` on the result (or the error) so runs can be
+// attributed to it.
+
+const proxyPool = require('../proxyPool');
+
+class SourceUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceUnavailableError';
+  }
+}
+
+class TweetSource {
+  constructor(name) {
+    this.name = name;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async search(queryAst, cursor = null) {
+    throw new Error(`${this.name} source does not implement search`);
+  }
+
+  async conversation(tweet) {
+    return null;
+  }
+
+  async timeline(username) {
+    return null;
+  }
+
+  async profile(username) {
+    return null;
+  }
+
+  feeds() {
+    return [];
+  }
+
+  async readFeed(feed) {
+    throw new Error(`${this.name} source has no feeds`);
+  }
+
+  // Proxy for the next request (see proxyPool), or null to go out directly
+  acquireProxy(options = {}) {
+    try {
+      return proxyPool.acquire(this.name, options);
+    } catch (error) {
+      throw new SourceUnavailableError(error.message);
+    }
+  }
+
+  // Link tweets read from a conversation page in page order: the ancestors
+  // shown above the focal tweet, then the tweets below it. Only the focal
+  // author's consecutive replies are kept from below.
+  linkConversation(ancestors, focal, following) {
+    const author = (focal.username || '').toLowerCase();
+    const selfReplies = [];
+
+    for (const tweet of following) {
+      if ((tweet.username || '').toLowerCase() !== author) break;
+      selfReplies.push(tweet);
+    }
+
+    const chain = [...ancestors, focal, ...selfReplies];
+    chain.forEach((tweet, index) => {
+      tweet.conversation_id = chain[0].id;
+      if (index > 0) {
+        tweet.in_reply_to_status_id = chain[index - 1].id;
+        tweet.in_reply_to_screen_name = chain[index - 1].username;
+      }
+    });
+
+    return chain;
+  }
+
+  async health() {
+    return { name: this.name, status: this.initialized ? 'ready' : 'not_initialized' };
+  }
+
+  async cleanup() {
+    this.initialized = false;
+  }
+}
+
+module.exports = TweetSource;
+module.exports.SourceUnavailableError = SourceUnavailableError;
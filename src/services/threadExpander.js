@@ -0,0 +1,113 @@
+const logger = require('../utils/logger');
+
+// Follows matched tweets that are replies or part of a thread to their
+// conversation when EXPAND_THREADS=true. The root, the parent and the
+// author's self-replies are stored in tweets, linked by
+// in_reply_to_status_id, and attached to the matched tweet as tweet.thread
+// for the notifier.
+class ThreadExpander {
+  constructor(twitterScraper, tweetStorage) {
+    this.twitterScraper = twitterScraper;
+    this.tweetStorage = tweetStorage;
+    this.enabled = process.env.EXPAND_THREADS === 'true';
+  }
+
+  // batch is everything scraped this run, so context that did not match a
+  // filter can still be found without another request
+  async expandAll(tweets, batch = tweets) {
+    if (!this.enabled) return tweets;
+
+    for (const tweet of tweets) {
+      if (!this.isThreadPart(tweet)) continue;
+
+      try {
+        await this.expand(tweet, batch);
+      } catch (error) {
+        logger.warn(`Could not expand thread for tweet ${tweet.id}: ${error.message}`);
+      }
+    }
+
+    return tweets;
+  }
+
+  // Replies, tweets flagged as thread starters, and "1/" or 🧵 style posts
+  isThreadPart(tweet) {
+    const text = tweet.text || '';
+    return !!(tweet.in_reply_to_status_id || tweet.in_reply_to_screen_name || tweet.has_thread) ||
+      /^\s*\d+\s*\/(\d+)?\s/.test(text) ||
+      text.includes('🧵');
+  }
+
+  async expand(tweet, batch = []) {
+    const chain = await this.twitterScraper.fetchConversation(tweet) || await this.localChain(tweet, batch);
+    const position = chain.findIndex(candidate => String(candidate.id) === String(tweet.id));
+    if (chain.length < 2 || position === -1) return null;
+
+    const focal = chain[position];
+    tweet.in_reply_to_status_id = tweet.in_reply_to_status_id || focal.in_reply_to_status_id || null;
+    tweet.conversation_id = tweet.conversation_id || focal.conversation_id || String(chain[0].id);
+
+    for (const context of chain) {
+      if (context === focal) continue;
+      await this.tweetStorage.saveContextTweet({
+        ...context,
+        conversation_id: context.conversation_id || tweet.conversation_id
+      });
+    }
+
+    tweet.thread = {
+      conversation_id: tweet.conversation_id,
+      root: position > 0 ? this.summarize(chain[0]) : null,
+      // The parent is only listed separately when it is not the root
+      parent: position > 1 ? this.summarize(chain[position - 1]) : null,
+      self_replies: chain.slice(position + 1).map(context => this.summarize(context)),
+      size: chain.length
+    };
+
+    logger.info(`Expanded tweet ${tweet.id} to a ${chain.length}-tweet conversation`);
+    return tweet.thread;
+  }
+
+  // Without a source that reads conversations, rebuild what we can from the
+  // tweets of this run and the ones already stored
+  async localChain(tweet, batch) {
+    const byId = new Map(batch.map(candidate => [String(candidate.id), candidate]));
+    const ancestors = [];
+    let parentId = tweet.in_reply_to_status_id;
+
+    while (parentId && ancestors.length < 20) {
+      const parent = byId.get(String(parentId)) || await this.tweetStorage.getTweetById(String(parentId));
+      if (!parent) break;
+      ancestors.unshift(parent);
+      parentId = parent.in_reply_to_status_id;
+    }
+
+    const author = (tweet.username || tweet.author || '').toLowerCase();
+    const selfReplies = [];
+    let current = tweet;
+    let next;
+
+    while ((next = batch.find(candidate =>
+      String(candidate.in_reply_to_status_id) === String(current.id) &&
+      (candidate.username || candidate.author || '').toLowerCase() === author
+    ))) {
+      selfReplies.push(next);
+      current = next;
+    }
+
+    return [...ancestors, tweet, ...selfReplies];
+  }
+
+  summarize(tweet) {
+    const username = tweet.username || tweet.author;
+    return {
+      id: String(tweet.id),
+      username,
+      text: tweet.text,
+      url: tweet.url || `https://twitter.com/${username}/status/${tweet.id}`,
+      created_at: tweet.created_at || tweet.timestamp || null
+    };
+  }
+}
+
+module.exports = ThreadExpander;
@@ -2,6 +2,105 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const Migrator = require('./migrator');
+
+// Profile fields written by saveUserProfile
+const PROFILE_FIELDS = [
+  'display_name', 'description', 'followers_count', 'following_count', 'tweets_count',
+  'verified', 'verified_type', 'profile_image_url', 'banner_url', 'location', 'website', 'created_at'
+];
+
+// Columns saveTweet writes from a scraped tweet, in the order of its values
+const TWEET_DATA_COLUMNS = [
+  'id', 'username', 'text', 'created_at', 'likes', 'retweets', 'replies', 'url',
+  'hashtags', 'mentions', 'media_urls', 'is_retweet', 'lang', 'source',
+  'quote_count', 'bookmark_count', 'view_count',
+  'extraction_method', 'confidence', 'is_synthetic',
+  'in_reply_to_status_id', 'conversation_id', 'retweeted_by',
+  'is_quote_status', 'quoted_status_id', 'quoted_status', 'author_id', 'matched_filters',
+  'sentiment_score', 'category', 'priority'
+];
+
+// Where a stored tweet is in the pipeline (see PodhaTwitterListener.runWorkflow):
+//   discovered  scraped and stored, matched no filter (yet)
+//   matched     matched a filter, waiting to be delivered
+//   queued      its Discord alert is in the outbox (see Outbox)
+//   delivered   Discord accepted it
+//   failed      the alert was dead-lettered after Discord refused it or
+//               could not be reached; sent again when replayed
+//   suppressed  matched, but deliberately not sent (no webhook configured)
+const TWEET_STATUSES = ['discovered', 'matched', 'queued', 'delivered', 'failed', 'suppressed'];
+
+// Whether a tweet can move a cursor: it needs a numeric id, and must not
+// be synthetic. Simulated tweets get realistic present-day ids, which would
+// make the next real run skip real tweets.
+function isCursorTweet(tweet) {
+  return /^\d+$/.test(String(tweet.id || '')) && !(tweet.provenance && tweet.provenance.is_synthetic);
+}
+
+// Statuses of tweets that are not picked up again when scraped again
+const SETTLED_STATUSES = ['queued', 'delivered', 'failed', 'suppressed'];
+
+// Child tables for the entities extracted from each tweet (see
+// utils/entityExtractor), with the column each type is looked up by.
+// Hashtags and handles are stored lower-case, cashtags upper-case.
+const ENTITY_TABLES = {
+  hashtag: { table: 'tweet_hashtags', column: 'tag' },
+  mention: { table: 'tweet_mentions', column: 'username' },
+  cashtag: { table: 'tweet_cashtags', column: 'symbol' },
+  url: { table: 'tweet_urls', column: 'domain' },
+  media: { table: 'tweet_media', column: 'type' },
+  address: { table: 'tweet_addresses', column: 'address' }
+};
+
+// Marks around the matched words of a search snippet, replaced by <mark>
+// once the snippet is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Turns a search box query into an FTS5 MATCH expression. Words match
+// whole words and a trailing * makes a word a prefix; "quoted phrases"
+// match in order; OR joins the terms on either side; a leading - excludes
+// a term. Punctuation is dropped the way the tokenizer drops it, so $PODHA
+// and #RWA match the word. Returns null when nothing searchable is left.
+function toMatchExpression(query) {
+  const groups = [];
+  const excluded = [];
+  let joinNext = false;
+
+  (String(query).match(/-?"[^"]*"?|\S+/g) || []).forEach(token => {
+    if (token === 'OR') {
+      joinNext = groups.length > 0;
+      return;
+    }
+
+    const negated = token.length > 1 && token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+    const words = body.match(/[\p{L}\p{N}_]+/gu);
+    if (!words) return;
+
+    const prefix = !body.startsWith('"') && body.endsWith('*');
+    const term = `"${words.join(' ')}"${prefix ? '*' : ''}`;
+
+    if (negated) {
+      excluded.push(term);
+    } else if (joinNext) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    joinNext = false;
+  });
+
+  if (groups.length === 0) return null;
+
+  const included = groups.map(terms => terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0]).join(' AND ');
+  return excluded.length > 0 ? `(${included})${excluded.map(term => ` NOT ${term}`).join('')}` : included;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
 
 class TweetStorage {
   constructor() {
@@ -27,123 +126,20 @@ class TweetStorage {
       logger.info(`Connected to SQLite database: ${this.dbPath}`);
     });
 
-    this.createTables();
-    this.insertSampleData();
+    // Another process (the dashboard, an n8n run) may hold the write lock
+    this.db.configure('busyTimeout', 10000);
+
+    // Resolves once the schema is migrated; callers await it through
+    // initialize(). A database newer than this code rejects it; the error
+    // is surfaced there, not as an unhandled rejection.
+    this.ready = new Migrator(this.db).migrate()
+      .then(() => this.insertSampleData());
+    this.ready.catch(() => {});
   }
 
   async initialize() {
-    // This method is called to ensure the database is properly set up
-    // The actual initialization happens in the constructor
-    return Promise.resolve();
-  }
-
-  createTables() {
-    const createTweetsTable = `
-      CREATE TABLE IF NOT EXISTS tweets (
-        id TEXT PRIMARY KEY,
-        username TEXT NOT NULL,
-        text TEXT NOT NULL,
-        created_at DATETIME NOT NULL,
-        likes INTEGER DEFAULT 0,
-        retweets INTEGER DEFAULT 0,
-        replies INTEGER DEFAULT 0,
-        url TEXT,
-        hashtags TEXT,
-        mentions TEXT,
-        media_urls TEXT,
-        is_retweet BOOLEAN DEFAULT 0,
-        retweet_count INTEGER DEFAULT 0,
-        quote_count INTEGER DEFAULT 0,
-        reply_count INTEGER DEFAULT 0,
-        bookmark_count INTEGER DEFAULT 0,
-        lang TEXT,
-        source TEXT,
-        in_reply_to_status_id TEXT,
-        in_reply_to_user_id TEXT,
-        geo TEXT,
-        coordinates TEXT,
-        place TEXT,
-        contributors TEXT,
-        is_quote_status BOOLEAN DEFAULT 0,
-        quoted_status_id TEXT,
-        quoted_status TEXT,
-        possibly_sensitive BOOLEAN DEFAULT 0,
-        filter_level TEXT,
-        withheld_copyright BOOLEAN DEFAULT 0,
-        withheld_in_countries TEXT,
-        withheld_scope TEXT,
-        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        notified BOOLEAN DEFAULT 0,
-        sentiment_score REAL,
-        category TEXT,
-        priority INTEGER DEFAULT 1
-      )
-    `;
-
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        display_name TEXT,
-        description TEXT,
-        followers_count INTEGER DEFAULT 0,
-        following_count INTEGER DEFAULT 0,
-        tweets_count INTEGER DEFAULT 0,
-        verified BOOLEAN DEFAULT 0,
-        profile_image_url TEXT,
-        banner_url TEXT,
-        location TEXT,
-        website TEXT,
-        created_at DATETIME,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createKeywordsTable = `
-      CREATE TABLE IF NOT EXISTS keywords (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        keyword TEXT UNIQUE NOT NULL,
-        category TEXT,
-        priority INTEGER DEFAULT 1,
-        active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createNotificationsTable = `
-      CREATE TABLE IF NOT EXISTS notifications (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tweet_id TEXT NOT NULL,
-        notification_type TEXT NOT NULL,
-        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        success BOOLEAN DEFAULT 1,
-        error_message TEXT,
-        FOREIGN KEY (tweet_id) REFERENCES tweets (id)
-      )
-    `;
-
-    const createAnalyticsTable = `
-      CREATE TABLE IF NOT EXISTS analytics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date DATE NOT NULL,
-        tweets_processed INTEGER DEFAULT 0,
-        notifications_sent INTEGER DEFAULT 0,
-        errors_count INTEGER DEFAULT 0,
-        avg_sentiment REAL,
-        top_keywords TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    [createTweetsTable, createUsersTable, createKeywordsTable, createNotificationsTable, createAnalyticsTable].forEach(sql => {
-      this.db.run(sql, (err) => {
-        if (err) {
-          logger.error('Error creating table:', err);
-        }
-      });
-    });
-
-    logger.info('Database tables initialized');
+    // The database is opened in the constructor; wait for the schema
+    return this.ready;
   }
 
   insertSampleData() {
@@ -235,24 +231,31 @@ class TweetStorage {
     logger.info('Sample data inserted into database');
   }
 
-  async saveTweet(tweet) {
-    return new Promise((resolve, reject) => {
+  // A stored row gets the tweet's latest data but keeps when it was first
+  // processed and where it is in the pipeline. options.status moves it to
+  // that status as well; keepExisting leaves a stored row untouched.
+  async saveTweet(tweet, options = {}) {
+    const result = await new Promise((resolve, reject) => {
+      const columns = options.status ? [...TWEET_DATA_COLUMNS, 'status'] : TWEET_DATA_COLUMNS;
+      const updates = columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`);
+      if (options.status) updates.push('status_updated_at = CURRENT_TIMESTAMP');
+
       const sql = `
-        INSERT OR REPLACE INTO tweets (
-          id, username, text, created_at, likes, retweets, replies, url,
-          hashtags, mentions, media_urls, is_retweet, lang, source,
-          processed_at, sentiment_score, category, priority
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?)
+        INSERT INTO tweets (${columns.join(', ')}, processed_at, status_updated_at)
+        VALUES (${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(id) DO ${options.keepExisting ? 'NOTHING' : `UPDATE SET ${updates.join(', ')}`}
       `;
 
+      // Engagement counts stay NULL when the scraper could not read them
+      const provenance = tweet.provenance || {};
       const values = [
         tweet.id,
-        tweet.username,
+        tweet.username || tweet.author,
         tweet.text,
-        tweet.created_at,
-        tweet.likes || 0,
-        tweet.retweets || 0,
-        tweet.replies || 0,
+        tweet.created_at || tweet.timestamp || new Date().toISOString(),
+        tweet.likes ?? null,
+        tweet.retweets ?? null,
+        tweet.replies ?? null,
         tweet.url,
         JSON.stringify(tweet.hashtags || []),
         JSON.stringify(tweet.mentions || []),
@@ -260,9 +263,24 @@ class TweetStorage {
         tweet.is_retweet || false,
         tweet.lang || 'en',
         tweet.source || 'twitter',
+        tweet.quotes ?? null,
+        tweet.bookmarks ?? null,
+        tweet.views ?? null,
+        provenance.extraction_method || null,
+        provenance.confidence ?? null,
+        provenance.is_synthetic ? 1 : 0,
+        tweet.in_reply_to_status_id || null,
+        tweet.conversation_id || null,
+        tweet.retweeted_by || null,
+        tweet.is_quote_status ? 1 : 0,
+        tweet.quoted_status_id || null,
+        tweet.quoted_status ? JSON.stringify(tweet.quoted_status) : null,
+        tweet.author_id || null,
+        tweet.matched_filters && tweet.matched_filters.length > 0 ? JSON.stringify(tweet.matched_filters) : null,
         tweet.sentiment_score || 0,
         tweet.category || 'general',
-        tweet.priority || 1
+        tweet.priority || 1,
+        ...(options.status ? [options.status] : [])
       ];
 
       this.db.run(sql, values, function(err) {
@@ -275,6 +293,257 @@ class TweetStorage {
         }
       });
     });
+
+    if (tweet.entities) {
+      await this.saveEntities(tweet.id, tweet.entities);
+    }
+    return result;
+  }
+
+  // Replace the entity rows of a tweet with the latest extraction
+  async saveEntities(tweetId, entities) {
+    const insert = (table, columns, values) => [
+      `INSERT OR IGNORE INTO ${table} (tweet_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [tweetId, ...values]
+    ];
+    const statements = [
+      ...Object.values(ENTITY_TABLES).map(({ table }) => [`DELETE FROM ${table} WHERE tweet_id = ?`, [tweetId]]),
+      ...(entities.hashtags || []).map(tag => insert('tweet_hashtags', ['tag'], [tag.toLowerCase()])),
+      ...(entities.mentions || []).map(username => insert('tweet_mentions', ['username'], [username.toLowerCase()])),
+      ...(entities.cashtags || []).map(symbol => insert('tweet_cashtags', ['symbol'], [symbol.toUpperCase()])),
+      ...(entities.urls || []).map(link => insert('tweet_urls', ['url', 'expanded_url', 'domain'], [link.url || null, link.expanded_url, link.domain])),
+      ...(entities.media || []).map(item => insert('tweet_media', ['url', 'type'], [item.url, item.type])),
+      ...(entities.addresses || []).map(item => insert('tweet_addresses', ['address', 'chain'], [item.address, item.chain]))
+    ];
+
+    return new Promise((resolve, reject) => {
+      let completed = 0;
+      let failure = null;
+
+      this.db.serialize(() => {
+        statements.forEach(([sql, params]) => {
+          this.db.run(sql, params, (err) => {
+            if (err && !failure) {
+              failure = err;
+              logger.error('Error saving tweet entities:', err);
+            }
+            completed++;
+            if (completed === statements.length) {
+              failure ? reject(failure) : resolve({ id: tweetId });
+            }
+          });
+        });
+      });
+    });
+  }
+
+  // Tweets carrying an entity, newest first. A url value is a domain
+  // (subdomains included) or, with a path, the start of the link; a media
+  // value is the media type.
+  async getTweetsByEntity(type, value, limit = 50) {
+    if (!ENTITY_TABLES[type]) {
+      throw new Error(`Unknown entity type: ${type}`);
+    }
+
+    const { table, column } = ENTITY_TABLES[type];
+    let condition = `entity.${column} = ?`;
+    let params;
+
+    switch (type) {
+      case 'hashtag':
+      case 'mention':
+      case 'media':
+        params = [value.replace(/^[#@]/, '').toLowerCase()];
+        break;
+      case 'cashtag':
+        params = [value.replace(/^\$/, '').toUpperCase()];
+        break;
+      case 'address':
+        params = [/^0x/i.test(value) ? value.toLowerCase() : value];
+        break;
+      case 'url': {
+        const target = value.replace(/^https?:\/\//i, '').replace(/^www\./i, '').toLowerCase();
+        if (target.includes('/')) {
+          condition = `REPLACE(REPLACE(REPLACE(LOWER(entity.expanded_url), 'https://', ''), 'http://', ''), 'www.', '') LIKE ?`;
+          params = [`${target}%`];
+        } else {
+          condition = '(entity.domain = ? OR entity.domain LIKE ?)';
+          params = [target, `%.${target}`];
+        }
+        break;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT tweets.* FROM tweets
+        WHERE tweets.id IN (SELECT entity.tweet_id FROM ${table} AS entity WHERE ${condition})
+        ORDER BY tweets.created_at DESC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [...params, limit], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching tweets by entity:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Most frequent values of an entity type over recently stored tweets
+  async getTopEntities(type, days = 7, limit = 20) {
+    if (!ENTITY_TABLES[type]) {
+      throw new Error(`Unknown entity type: ${type}`);
+    }
+
+    const { table, column } = ENTITY_TABLES[type];
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT entity.${column} as value, COUNT(*) as tweet_count
+        FROM ${table} AS entity
+        JOIN tweets ON tweets.id = entity.tweet_id
+        WHERE tweets.processed_at >= datetime('now', ?)
+        GROUP BY entity.${column}
+        ORDER BY tweet_count DESC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [`-${days} days`, limit], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching top entities:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Ranked full-text search over stored tweets. options.query takes the
+  // syntax of toMatchExpression; author, from/to (ISO dates, to inclusive
+  // when it is a day) and filter (a filter name the tweet matched) narrow
+  // it down. Results are ranked by bm25 relevance, or newest first with
+  // sort 'newest', and carry an HTML snippet with the matches in <mark>.
+  // facets counts the matches per author, month and filter.
+  async searchTweets(options = {}) {
+    const match = toMatchExpression(options.query || '');
+    if (!match) {
+      throw new Error('Search query has no words to search for');
+    }
+
+    const conditions = ['tweets_fts MATCH ?'];
+    const params = [match];
+    if (options.author) {
+      conditions.push('tweets.username = ? COLLATE NOCASE');
+      params.push(options.author.replace(/^@/, ''));
+    }
+    if (options.from) {
+      conditions.push('tweets.created_at >= ?');
+      params.push(new Date(options.from).toISOString());
+    }
+    if (options.to) {
+      // A day runs to the start of the next one
+      const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(options.to);
+      const to = new Date(options.to);
+      if (wholeDay) to.setUTCDate(to.getUTCDate() + 1);
+      conditions.push(`tweets.created_at ${wholeDay ? '<' : '<='} ?`);
+      params.push(to.toISOString());
+    }
+    if (options.filter) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(tweets.matched_filters) WHERE json_each.value = ?)');
+      params.push(options.filter);
+    }
+
+    const from = 'FROM tweets_fts JOIN tweets ON tweets.rowid = tweets_fts.rowid';
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const order = options.sort === 'newest' ? 'tweets.created_at DESC' : 'relevance, tweets.created_at DESC';
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+    const offset = parseInt(options.offset) || 0;
+
+    const query = (sql, queryParams) => new Promise((resolve, reject) => {
+      this.db.all(sql, queryParams, (err, rows) => {
+        if (err) {
+          logger.error('Error searching tweets:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    const [rows, [{ total }], authors, months, filters] = await Promise.all([
+      query(`
+        SELECT tweets.*, bm25(tweets_fts) AS relevance,
+          snippet(tweets_fts, 0, '${MATCH_START}', '${MATCH_END}', '…', 24) AS snippet
+        ${from} ${where}
+        ORDER BY ${order}
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) AS total ${from} ${where}`, params),
+      query(`
+        SELECT tweets.username AS value, COUNT(*) AS tweet_count ${from} ${where}
+        GROUP BY tweets.username COLLATE NOCASE ORDER BY tweet_count DESC LIMIT 10
+      `, params),
+      query(`
+        SELECT substr(tweets.created_at, 1, 7) AS value, COUNT(*) AS tweet_count ${from} ${where}
+        GROUP BY value ORDER BY value DESC LIMIT 12
+      `, params),
+      query(`
+        SELECT matched.value AS value, COUNT(*) AS tweet_count
+        ${from}, json_each(tweets.matched_filters) AS matched ${where}
+        GROUP BY matched.value ORDER BY tweet_count DESC
+      `, params)
+    ]);
+
+    return {
+      query: options.query,
+      match,
+      total,
+      limit,
+      offset,
+      tweets: rows.map(row => ({
+        id: row.id,
+        author: row.username,
+        text: row.text,
+        snippet: escapeHtml(row.snippet || '').split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>'),
+        score: Math.round(-row.relevance * 1000) / 1000,
+        url: row.url,
+        timestamp: row.created_at,
+        likes: row.likes,
+        retweets: row.retweets,
+        matched_filters: row.matched_filters ? JSON.parse(row.matched_filters) : [],
+        notified: row.notified === 1,
+        source: row.source
+      })),
+      facets: { authors, months, filters }
+    };
+  }
+
+  // Store a tweet fetched as thread context for a matched tweet. An existing
+  // row keeps its data and notification state and only gains missing links.
+  async saveContextTweet(tweet) {
+    await this.saveTweet(tweet, { keepExisting: true });
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE tweets
+        SET in_reply_to_status_id = COALESCE(in_reply_to_status_id, ?),
+            conversation_id = COALESCE(conversation_id, ?)
+        WHERE id = ?
+      `;
+
+      this.db.run(sql, [tweet.in_reply_to_status_id || null, tweet.conversation_id || null, tweet.id], (err) => {
+        if (err) {
+          logger.error('Error linking context tweet:', err);
+          reject(err);
+        } else {
+          resolve({ id: tweet.id });
+        }
+      });
+    });
   }
 
   async getTweets(limit = 50, offset = 0) {
@@ -330,28 +599,129 @@ class TweetStorage {
     });
   }
 
-  async markAsNotified(tweetId) {
+  // Moves a stored tweet to a status of TWEET_STATUSES. notified stays the
+  // flag for delivered tweets.
+  async updateTweetStatus(tweetId, status) {
+    if (!TWEET_STATUSES.includes(status)) {
+      throw new Error(`Unknown tweet status: ${status}`);
+    }
+
     return new Promise((resolve, reject) => {
-      const sql = 'UPDATE tweets SET notified = 1 WHERE id = ?';
-      
-      this.db.run(sql, [tweetId], function(err) {
+      const sql = `
+        UPDATE tweets
+        SET status = ?,
+            status_updated_at = CURRENT_TIMESTAMP,
+            notified = CASE WHEN ? = 'delivered' THEN 1 ELSE notified END,
+            delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+        WHERE id = ?
+      `;
+
+      this.db.run(sql, [status, status, status, tweetId], function(err) {
         if (err) {
-          logger.error('Error marking tweet as notified:', err);
+          logger.error('Error updating tweet status:', err);
           reject(err);
         } else {
+          if (this.changes === 0) logger.warn(`No stored tweet ${tweetId} to mark as ${status}`);
           resolve({ changes: this.changes });
         }
       });
     });
   }
 
-  async getKeywords() {
+  // Status of each stored tweet among the ids, as a Map
+  async getTweetStatuses(tweetIds) {
+    const statuses = new Map();
+
+    // SQLite takes at most 999 parameters per statement
+    for (let start = 0; start < tweetIds.length; start += 500) {
+      const ids = tweetIds.slice(start, start + 500);
+      const rows = await new Promise((resolve, reject) => {
+        this.db.all(`SELECT id, status FROM tweets WHERE id IN (${ids.map(() => '?').join(', ')})`, ids, (err, result) => {
+          if (err) {
+            logger.error('Error fetching tweet statuses:', err);
+            reject(err);
+          } else {
+            resolve(result);
+          }
+        });
+      });
+      rows.forEach(row => statuses.set(row.id, row.status));
+    }
+
+    return statuses;
+  }
+
+  // Tweets that are not settled (see SETTLED_STATUSES): never stored,
+  // discovered without a match, or matched but not queued
+  async filterUnsettled(tweets) {
+    const statuses = await this.getTweetStatuses(tweets.map(tweet => String(tweet.id)));
+    return tweets.filter(tweet => !SETTLED_STATUSES.includes(statuses.get(String(tweet.id))));
+  }
+
+  // Records one delivery attempt of a tweet on a channel (discord,
+  // airtable, notion): status is delivered, failed or skipped
+  async recordNotification(attempt) {
     return new Promise((resolve, reject) => {
-      const sql = 'SELECT * FROM keywords WHERE active = 1 ORDER BY priority DESC';
-      
-      this.db.all(sql, (err, rows) => {
+      const sql = `
+        INSERT INTO notifications (
+          tweet_id, notification_type, status, success, error_message, http_status, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      const values = [
+        attempt.tweetId,
+        attempt.channel,
+        attempt.status,
+        attempt.status === 'delivered' ? 1 : 0,
+        attempt.error || null,
+        attempt.httpStatus ?? null,
+        attempt.durationMs ?? null
+      ];
+
+      this.db.run(sql, values, function(err) {
         if (err) {
-          logger.error('Error fetching keywords:', err);
+          logger.error('Error recording notification:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
+
+  // Latest delivery attempts, newest first, optionally of one tweet,
+  // channel or status
+  async getNotifications(options = {}) {
+    const conditions = [];
+    const params = [];
+    if (options.tweetId) {
+      conditions.push('notifications.tweet_id = ?');
+      params.push(options.tweetId);
+    }
+    if (options.channel) {
+      conditions.push('notifications.notification_type = ?');
+      params.push(options.channel);
+    }
+    if (options.status) {
+      conditions.push('notifications.status = ?');
+      params.push(options.status);
+    }
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT notifications.id, notifications.tweet_id, notifications.notification_type AS channel,
+          notifications.status, notifications.error_message AS error, notifications.http_status,
+          notifications.duration_ms, notifications.sent_at AS attempted_at,
+          tweets.username, tweets.text, tweets.url, tweets.status AS tweet_status
+        FROM notifications
+        LEFT JOIN tweets ON tweets.id = notifications.tweet_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY notifications.id DESC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [...params, options.limit || 50], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching notifications:', err);
           reject(err);
         } else {
           resolve(rows);
@@ -360,125 +730,897 @@ class TweetStorage {
     });
   }
 
-  async addKeyword(keyword, category = 'general', priority = 1) {
+  // Number of stored tweets in each status
+  async getStatusCounts() {
     return new Promise((resolve, reject) => {
-      const sql = 'INSERT INTO keywords (keyword, category, priority) VALUES (?, ?, ?)';
-      
-      this.db.run(sql, [keyword, category, priority], function(err) {
+      this.db.all('SELECT status, COUNT(*) AS count FROM tweets GROUP BY status', (err, rows) => {
         if (err) {
-          logger.error('Error adding keyword:', err);
+          logger.error('Error counting tweet statuses:', err);
           reject(err);
         } else {
-          logger.info(`Keyword added: ${keyword}`);
-          resolve({ id: this.lastID, keyword, category, priority });
+          const counts = Object.fromEntries(TWEET_STATUSES.map(status => [status, 0]));
+          rows.forEach(row => { counts[row.status] = row.count; });
+          resolve(counts);
         }
       });
     });
   }
 
-  async getStats() {
+  // Adds a message for a channel to the outbox (see Outbox)
+  async enqueueOutbox(item) {
     return new Promise((resolve, reject) => {
-      const queries = {
-        totalTweets: 'SELECT COUNT(*) as count FROM tweets',
-        todayTweets: "SELECT COUNT(*) as count FROM tweets WHERE date(created_at) = date('now')",
-        notifiedTweets: 'SELECT COUNT(*) as count FROM tweets WHERE notified = 1',
-        avgSentiment: 'SELECT AVG(sentiment_score) as avg FROM tweets WHERE sentiment_score IS NOT NULL',
-        topCategories: `
-          SELECT category, COUNT(*) as count 
-          FROM tweets 
-          WHERE category IS NOT NULL 
-          GROUP BY category 
-          ORDER BY count DESC 
-          LIMIT 5
-        `
-      };
+      const sql = 'INSERT INTO outbox (channel, kind, tweet_id, payload) VALUES (?, ?, ?, ?)';
 
-      const stats = {};
-      let completed = 0;
-      const total = Object.keys(queries).length;
+      this.db.run(sql, [item.channel, item.kind, item.tweetId || null, JSON.stringify(item.payload)], function(err) {
+        if (err) {
+          logger.error('Error adding to the outbox:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
 
-      Object.entries(queries).forEach(([key, sql]) => {
-        if (key === 'topCategories') {
-          this.db.all(sql, (err, rows) => {
-            if (err) {
-              logger.error(`Error fetching ${key}:`, err);
-              stats[key] = [];
-            } else {
-              stats[key] = rows;
-            }
-            completed++;
-            if (completed === total) resolve(stats);
-          });
+  // Pending outbox items for the given channels whose next attempt is
+  // due, oldest first
+  async getDueOutbox(channels, limit = 50) {
+    if (channels.length === 0) return [];
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM outbox
+        WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+          AND channel IN (${channels.map(() => '?').join(', ')})
+        ORDER BY id ASC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [...channels, limit], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching due outbox items:', err);
+          reject(err);
         } else {
-          this.db.get(sql, (err, row) => {
-            if (err) {
-              logger.error(`Error fetching ${key}:`, err);
-              stats[key] = 0;
-            } else {
-              stats[key] = row.count || row.avg || 0;
-            }
-            completed++;
-            if (completed === total) resolve(stats);
-          });
+          resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
         }
       });
     });
   }
 
-  async wasSent(tweetId) {
+  // Takes a pending item for one attempt. Resolves to false when another
+  // process took it first.
+  async claimOutboxItem(id) {
     return new Promise((resolve, reject) => {
-      const sql = 'SELECT notified FROM tweets WHERE id = ?';
-      
-      this.db.get(sql, [tweetId], (err, row) => {
+      const sql = `
+        UPDATE outbox SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `;
+
+      this.db.run(sql, [id], function(err) {
         if (err) {
-          logger.error('Error checking if tweet was sent:', err);
+          logger.error('Error claiming outbox item:', err);
           reject(err);
         } else {
-          resolve(row ? row.notified === 1 : false);
+          resolve(this.changes === 1);
         }
       });
     });
   }
 
-  async markAsSent(tweetId, tweetData = null) {
+  // Records how an attempt went: delivered, pending (tried again in
+  // retryInMs) or dead
+  async completeOutboxItem(id, outcome) {
     return new Promise((resolve, reject) => {
-      // First save the tweet if data is provided
-      if (tweetData) {
-        this.saveTweet(tweetData).then(() => {
-          // Then mark as sent
-          this.markAsNotified(tweetId).then(resolve).catch(reject);
-        }).catch(reject);
-      } else {
-        // Just mark as sent
-        this.markAsNotified(tweetId).then(resolve).catch(reject);
-      }
+      const sql = `
+        UPDATE outbox
+        SET status = ?,
+            last_error = ?,
+            last_http_status = ?,
+            next_attempt_at = datetime('now', ?),
+            delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      const values = [
+        outcome.status,
+        outcome.error || null,
+        outcome.httpStatus ?? null,
+        `+${Math.ceil((outcome.retryInMs || 0) / 1000)} seconds`,
+        outcome.status,
+        id
+      ];
+
+      this.db.run(sql, values, (err) => {
+        if (err) {
+          logger.error('Error updating outbox item:', err);
+          reject(err);
+        } else {
+          resolve({ id });
+        }
+      });
     });
   }
 
-  async getSentTweets(limit = 50) {
+  // Items left sending by a process that stopped mid-attempt go back to
+  // pending
+  async releaseStaleOutbox(minutes = 10) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT * FROM tweets 
-        WHERE notified = 1 
-        ORDER BY processed_at DESC 
-        LIMIT ?
+        UPDATE outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'sending' AND updated_at < datetime('now', ?)
       `;
 
-      this.db.all(sql, [limit], (err, rows) => {
+      this.db.run(sql, [`-${minutes} minutes`], function(err) {
         if (err) {
-          logger.error('Error fetching sent tweets:', err);
+          logger.error('Error releasing stale outbox items:', err);
           reject(err);
         } else {
-          resolve(rows.map(row => ({
-            id: row.id,
-            author: row.username,
-            text: row.text,
-            url: row.url,
-            timestamp: row.created_at,
-            sent_at: row.processed_at,
-            likes: row.likes,
-            retweets: row.retweets,
-            source: row.source
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Puts dead-lettered items back in the queue with their attempts reset:
+  // the given ids, or all of them. Resolves to the items replayed.
+  async replayOutbox(ids = null) {
+    const selection = ids ? ` AND id IN (${ids.map(() => '?').join(', ')})` : '';
+    const params = ids || [];
+
+    const items = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT id, channel, kind, tweet_id FROM outbox WHERE status = 'dead'${selection}`, params, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching dead outbox items:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+    if (items.length === 0) return items;
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${items.map(() => '?').join(', ')})
+      `;
+
+      this.db.run(sql, items.map(item => item.id), (err) => {
+        if (err) {
+          logger.error('Error replaying outbox items:', err);
+          reject(err);
+        } else {
+          resolve(items);
+        }
+      });
+    });
+  }
+
+  // Latest outbox items, optionally in one status, without their payloads
+  async getOutbox(options = {}) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, channel, kind, tweet_id, status, attempts, next_attempt_at, last_error,
+          last_http_status, created_at, updated_at, delivered_at
+        FROM outbox
+        ${options.status ? 'WHERE status = ?' : ''}
+        ORDER BY id DESC
+        LIMIT ?
+      `;
+      const params = options.status ? [options.status, options.limit || 50] : [options.limit || 50];
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching outbox:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Number of outbox items in each status
+  async getOutboxCounts() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT status, COUNT(*) AS count FROM outbox GROUP BY status', (err, rows) => {
+        if (err) {
+          logger.error('Error counting outbox items:', err);
+          reject(err);
+        } else {
+          const counts = { pending: 0, sending: 0, delivered: 0, dead: 0 };
+          rows.forEach(row => { counts[row.status] = row.count; });
+          resolve(counts);
+        }
+      });
+    });
+  }
+
+  async getKeywords() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM keywords WHERE active = 1 ORDER BY priority DESC';
+      
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching keywords:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async addKeyword(keyword, category = 'general', priority = 1) {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO keywords (keyword, category, priority) VALUES (?, ?, ?)';
+      
+      this.db.run(sql, [keyword, category, priority], function(err) {
+        if (err) {
+          logger.error('Error adding keyword:', err);
+          reject(err);
+        } else {
+          logger.info(`Keyword added: ${keyword}`);
+          resolve({ id: this.lastID, keyword, category, priority });
+        }
+      });
+    });
+  }
+
+  async getStats() {
+    return new Promise((resolve, reject) => {
+      const queries = {
+        totalTweets: 'SELECT COUNT(*) as count FROM tweets',
+        todayTweets: "SELECT COUNT(*) as count FROM tweets WHERE date(created_at) = date('now')",
+        notifiedTweets: 'SELECT COUNT(*) as count FROM tweets WHERE notified = 1',
+        avgSentiment: 'SELECT AVG(sentiment_score) as avg FROM tweets WHERE sentiment_score IS NOT NULL',
+        topCategories: `
+          SELECT category, COUNT(*) as count 
+          FROM tweets 
+          WHERE category IS NOT NULL 
+          GROUP BY category 
+          ORDER BY count DESC 
+          LIMIT 5
+        `
+      };
+
+      const stats = {};
+      let completed = 0;
+      const total = Object.keys(queries).length;
+
+      Object.entries(queries).forEach(([key, sql]) => {
+        if (key === 'topCategories') {
+          this.db.all(sql, (err, rows) => {
+            if (err) {
+              logger.error(`Error fetching ${key}:`, err);
+              stats[key] = [];
+            } else {
+              stats[key] = rows;
+            }
+            completed++;
+            if (completed === total) resolve(stats);
+          });
+        } else {
+          this.db.get(sql, (err, row) => {
+            if (err) {
+              logger.error(`Error fetching ${key}:`, err);
+              stats[key] = 0;
+            } else {
+              stats[key] = row.count || row.avg || 0;
+            }
+            completed++;
+            if (completed === total) resolve(stats);
+          });
+        }
+      });
+    });
+  }
+
+  async getFilters() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM filters ORDER BY id ASC';
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching filters:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.formatFilter(row)));
+        }
+      });
+    });
+  }
+
+  async getFilterById(id) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM filters WHERE id = ?';
+
+      this.db.get(sql, [id], (err, row) => {
+        if (err) {
+          logger.error('Error fetching filter by ID:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.formatFilter(row) : null);
+        }
+      });
+    });
+  }
+
+  async createFilter({ name, query, description = '', enabled = true }) {
+    const id = await new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO filters (name, query, description, enabled) VALUES (?, ?, ?, ?)';
+
+      this.db.run(sql, [name, query, description, enabled ? 1 : 0], function(err) {
+        if (err) {
+          logger.error('Error creating filter:', err);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+
+    const filter = await this.getFilterById(id);
+    await this.recordFilterHistory(filter, 'created');
+    logger.info(`Filter created: ${name}`);
+    return filter;
+  }
+
+  async updateFilter(id, fields) {
+    const existing = await this.getFilterById(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...fields };
+    await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE filters
+        SET name = ?, query = ?, description = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+
+      this.db.run(sql, [updated.name, updated.query, updated.description, updated.enabled ? 1 : 0, id], (err) => {
+        if (err) {
+          logger.error('Error updating filter:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    let action = 'updated';
+    if (Object.keys(fields).length === 1 && fields.enabled !== undefined) {
+      action = fields.enabled ? 'enabled' : 'disabled';
+    }
+
+    // A cursor only holds for the query it was collected with
+    if (updated.query !== existing.query) {
+      await this.deleteSearchCursor(id);
+    }
+
+    const filter = await this.getFilterById(id);
+    await this.recordFilterHistory(filter, action);
+    logger.info(`Filter ${action}: ${filter.name}`);
+    return filter;
+  }
+
+  async deleteFilter(id) {
+    const existing = await this.getFilterById(id);
+    if (!existing) return null;
+
+    await new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM filters WHERE id = ?', [id], (err) => {
+        if (err) {
+          logger.error('Error deleting filter:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    await this.deleteSearchCursor(id);
+    await this.recordFilterHistory(existing, 'deleted');
+    logger.info(`Filter deleted: ${existing.name}`);
+    return existing;
+  }
+
+  async recordFilterHistory(filter, action) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO filter_history (filter_id, action, name, query, description, enabled)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(sql, [filter.id, action, filter.name, filter.query, filter.description, filter.enabled ? 1 : 0], function(err) {
+        if (err) {
+          logger.error('Error recording filter history:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
+
+  async getFilterHistory(filterId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM filter_history WHERE filter_id = ? ORDER BY id DESC';
+
+      this.db.all(sql, [filterId], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching filter history:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({ ...row, enabled: row.enabled === 1 })));
+        }
+      });
+    });
+  }
+
+  formatFilter(row) {
+    return { ...row, enabled: row.enabled === 1 };
+  }
+
+  async getSearchCursor(filterId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM search_cursors WHERE filter_id = ?';
+
+      this.db.get(sql, [filterId], (err, row) => {
+        if (err) {
+          logger.error('Error fetching search cursor:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  // Move a filter's cursor to the newest of the given tweets. Ids are
+  // compared as numbers; the cursor never moves backwards.
+  async advanceSearchCursor(filterId, tweets) {
+    const current = await this.getSearchCursor(filterId);
+    let latest = current ? { id: current.last_tweet_id, at: current.last_tweet_at } : null;
+
+    tweets.forEach(tweet => {
+      if (!isCursorTweet(tweet)) return;
+      if (!latest || BigInt(tweet.id) > BigInt(latest.id)) {
+        latest = { id: String(tweet.id), at: tweet.created_at || tweet.timestamp || null };
+      }
+    });
+
+    if (!latest || (current && latest.id === current.last_tweet_id)) {
+      return current;
+    }
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO search_cursors (filter_id, last_tweet_id, last_tweet_at, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(filter_id) DO UPDATE SET
+          last_tweet_id = excluded.last_tweet_id,
+          last_tweet_at = excluded.last_tweet_at,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      this.db.run(sql, [filterId, latest.id, latest.at], (err) => {
+        if (err) {
+          logger.error('Error saving search cursor:', err);
+          reject(err);
+        } else {
+          resolve({ filter_id: filterId, last_tweet_id: latest.id, last_tweet_at: latest.at });
+        }
+      });
+    });
+  }
+
+  async deleteSearchCursor(filterId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM search_cursors WHERE filter_id = ?', [filterId], (err) => {
+        if (err) {
+          logger.error('Error deleting search cursor:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getFeedCursor(feed) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM feed_cursors WHERE feed = ?', [feed], (err, row) => {
+        if (err) {
+          logger.error('Error fetching feed cursor:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  // Records a read of a feed and moves its cursor to the newest item
+  // timestamp; like the other cursors it never moves backwards
+  async advanceFeedCursor(feed, tweets) {
+    const current = await this.getFeedCursor(feed);
+    let latest = current ? current.last_item_at : null;
+
+    tweets.forEach(tweet => {
+      const at = tweet.created_at || tweet.timestamp;
+      if (at && (!latest || new Date(at) > new Date(latest))) latest = at;
+    });
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO feed_cursors (feed, last_item_at, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(feed) DO UPDATE SET
+          last_item_at = excluded.last_item_at,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      this.db.run(sql, [feed, latest], (err) => {
+        if (err) {
+          logger.error('Error saving feed cursor:', err);
+          reject(err);
+        } else {
+          resolve({ feed, last_item_at: latest });
+        }
+      });
+    });
+  }
+
+  // Accounts on the watchlist, in the order they were added
+  async getWatchlist() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM users WHERE watched = 1 ORDER BY watched_at ASC, username ASC';
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching watchlist:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.formatUser(row)));
+        }
+      });
+    });
+  }
+
+  async getWatchedUser(username) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM users WHERE username = ? COLLATE NOCASE AND watched = 1';
+
+      this.db.get(sql, [username], (err, row) => {
+        if (err) {
+          logger.error('Error fetching watched user:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.formatUser(row) : null);
+        }
+      });
+    });
+  }
+
+  // Adds an account to the watchlist, or updates its settings when it is
+  // already known. Handles are matched without regard to case. The user's id
+  // stays unknown until its profile is read.
+  async watchUser({ username, mode = 'all', keywords = null, category = null, note = null }) {
+    const known = await new Promise((resolve, reject) => {
+      this.db.get('SELECT username, watched FROM users WHERE username = ? COLLATE NOCASE', [username], (err, row) => {
+        if (err) {
+          logger.error('Error looking up user:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      const sql = known
+        ? `
+          UPDATE users
+          SET watched = 1, watch_mode = ?, watch_keywords = ?, watch_category = ?, watch_note = ?,
+            watched_at = CASE WHEN watched = 1 THEN watched_at ELSE CURRENT_TIMESTAMP END
+          WHERE username = ?
+        `
+        : `
+          INSERT INTO users (id, watch_mode, watch_keywords, watch_category, watch_note, username, watched, watched_at)
+          VALUES (NULL, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+        `;
+
+      this.db.run(sql, [mode, keywords, category, note, known ? known.username : username], (err) => {
+        if (err) {
+          logger.error('Error adding user to watchlist:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info(`Watching @${username} (${mode})`);
+    return this.getWatchedUser(username);
+  }
+
+  // Takes an account off the watchlist; its profile row is kept
+  async unwatchUser(username) {
+    const existing = await this.getWatchedUser(username);
+    if (!existing) return null;
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE users SET watched = 0, timeline_last_tweet_id = NULL, timeline_checked_at = NULL
+        WHERE username = ? COLLATE NOCASE
+      `;
+
+      this.db.run(sql, [username], (err) => {
+        if (err) {
+          logger.error('Error removing user from watchlist:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info(`Stopped watching @${existing.username}`);
+    return existing;
+  }
+
+  // Records a timeline check and moves the account's cursor to the newest
+  // of the given tweets; like search cursors it never moves backwards
+  async advanceTimelineCursor(username, tweets) {
+    const current = await this.getWatchedUser(username);
+    if (!current) return null;
+
+    let latest = current.timeline_last_tweet_id;
+    tweets.forEach(tweet => {
+      if (!isCursorTweet(tweet)) return;
+      if (!latest || BigInt(tweet.id) > BigInt(latest)) latest = String(tweet.id);
+    });
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE users SET timeline_last_tweet_id = ?, timeline_checked_at = CURRENT_TIMESTAMP
+        WHERE username = ? COLLATE NOCASE
+      `;
+
+      this.db.run(sql, [latest, username], (err) => {
+        if (err) {
+          logger.error('Error saving timeline cursor:', err);
+          reject(err);
+        } else {
+          resolve(latest);
+        }
+      });
+    });
+  }
+
+  async getUserProfile(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM users WHERE username = ? COLLATE NOCASE', [username], (err, row) => {
+        if (err) {
+          logger.error('Error fetching user profile:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.formatUser(row) : null);
+        }
+      });
+    });
+  }
+
+  // Stores a scraped profile, matching the account by user id and then by
+  // handle so a renamed account keeps its row and watchlist settings.
+  // Fields the source could not read keep their stored value.
+  // Stored tweets of the account are linked to the user id once it is known.
+  async saveUserProfile(profile) {
+    const known = await new Promise((resolve, reject) => {
+      const sql = 'SELECT rowid, username FROM users WHERE (? IS NOT NULL AND id = ?) OR username = ? COLLATE NOCASE ORDER BY id = ? DESC LIMIT 1';
+
+      this.db.get(sql, [profile.id, profile.id, profile.username, profile.id], (err, row) => {
+        if (err) {
+          logger.error('Error looking up user:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+
+    const values = PROFILE_FIELDS.map(field => field === 'verified' ? (profile.verified ? 1 : 0) : (profile[field] ?? null));
+    await new Promise((resolve, reject) => {
+      const sql = known
+        ? `
+          UPDATE users
+          SET id = COALESCE(?, id), username = ?, ${PROFILE_FIELDS.map(field => `${field} = COALESCE(?, ${field})`).join(', ')},
+            profile_source = ?, profile_fetched_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+          WHERE rowid = ?
+        `
+        : `
+          INSERT INTO users (id, username, ${PROFILE_FIELDS.join(', ')}, profile_source, profile_fetched_at, last_updated)
+          VALUES (?, ?, ${PROFILE_FIELDS.map(() => '?').join(', ')}, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `;
+      const params = [profile.id || null, profile.username, ...values, profile.source || null];
+
+      this.db.run(sql, known ? [...params, known.rowid] : params, (err) => {
+        if (err) {
+          logger.error('Error saving user profile:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    if (profile.id) {
+      await new Promise((resolve, reject) => {
+        const sql = 'UPDATE tweets SET author_id = ? WHERE username = ? COLLATE NOCASE AND author_id IS NULL';
+
+        this.db.run(sql, [profile.id, profile.username], (err) => {
+          if (err) {
+            logger.error('Error linking tweets to user:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+
+    return this.getUserProfile(profile.username);
+  }
+
+  formatUser(row) {
+    return { ...row, watched: row.watched === 1, verified: row.verified === 1 };
+  }
+
+  async recordSourceRun(run) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO source_runs (query, source, status, tweet_count, error, duration_ms, completeness, proxy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const values = [
+        run.query, run.source, run.status, run.tweet_count || 0, run.error || null, run.duration_ms,
+        run.completeness ?? null, run.proxy || null
+      ];
+
+      this.db.run(sql, values, function(err) {
+        if (err) {
+          logger.error('Error recording source run:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
+
+  async getSourceRuns(limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM source_runs ORDER BY id DESC LIMIT ?';
+
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching source runs:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Per-source totals: how often each source served, came back empty or failed
+  async getSourceStats(days = 7) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT source,
+          COUNT(*) as attempts,
+          SUM(CASE WHEN status = 'served' THEN 1 ELSE 0 END) as served,
+          SUM(CASE WHEN status = 'empty' THEN 1 ELSE 0 END) as empty,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+          ROUND(AVG(duration_ms)) as avg_duration_ms,
+          MAX(created_at) as last_run_at
+        FROM source_runs
+        WHERE created_at >= datetime('now', ?)
+        GROUP BY source
+        ORDER BY attempts DESC
+      `;
+
+      this.db.all(sql, [`-${days} days`], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching source stats:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Average tweets per answered run and field completeness per source,
+  // between two offsets from now such as '-7 days' and '-6 hours'
+  async getExtractionStats(from, to = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT source,
+          COUNT(*) as runs,
+          AVG(tweet_count) as avg_tweets,
+          AVG(completeness) as avg_completeness
+        FROM source_runs
+        WHERE status != 'failed'
+          AND created_at >= datetime('now', ?)
+          AND (? IS NULL OR created_at < datetime('now', ?))
+        GROUP BY source
+      `;
+
+      this.db.all(sql, [from, to, to], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching extraction stats:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Whether Discord accepted the tweet; being stored is not enough
+  async wasSent(tweetId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT status FROM tweets WHERE id = ?';
+      
+      this.db.get(sql, [tweetId], (err, row) => {
+        if (err) {
+          logger.error('Error checking if tweet was sent:', err);
+          reject(err);
+        } else {
+          resolve(row ? row.status === 'delivered' : false);
+        }
+      });
+    });
+  }
+
+  // Stores the tweet, when its data is given, and marks it delivered
+  async markAsSent(tweetId, tweetData = null) {
+    if (tweetData) await this.saveTweet(tweetData);
+    return this.updateTweetStatus(tweetId, 'delivered');
+  }
+
+  async getSentTweets(limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM tweets
+        WHERE status = 'delivered'
+        ORDER BY COALESCE(delivered_at, processed_at) DESC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching sent tweets:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            id: row.id,
+            author: row.username,
+            text: row.text,
+            url: row.url,
+            timestamp: row.created_at,
+            sent_at: row.delivered_at || row.processed_at,
+            likes: row.likes,
+            retweets: row.retweets,
+            source: row.source,
+            provenance: {
+              extraction_method: row.extraction_method,
+              confidence: row.confidence,
+              is_synthetic: row.is_synthetic === 1
+            }
           })));
         }
       });
@@ -498,4 +1640,7 @@ class TweetStorage {
   }
 }
 
-module.exports = TweetStorage;
\ No newline at end of file
+module.exports = TweetStorage;
+module.exports.ENTITY_TYPES = Object.keys(ENTITY_TABLES);
+module.exports.toMatchExpression = toMatchExpression;
+module.exports.TWEET_STATUSES = TWEET_STATUSES;
@@ -1,484 +1,328 @@
-const puppeteer = require('puppeteer');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const logger = require('../utils/logger');
-
+const queryParser = require('../utils/queryParser');
+const entityExtractor = require('../utils/entityExtractor');
+const PuppeteerSource = require('./sources/puppeteerSource');
+const NitterSource = require('./sources/nitterSource');
+const RssSource = require('./sources/rssSource');
+const SimulationSource = require('./sources/simulationSource');
+const { SourceUnavailableError } = require('./sources/tweetSource');
+
+// Fields every source is expected to fill. The share present in each
+// served run is recorded as source_runs.completeness for the extraction
+// canary.
+const QUALITY_FIELDS = ['text', 'username', 'timestamp', 'display_name', 'replies', 'retweets', 'likes', 'views'];
+
+const SOURCES = {
+  puppeteer: PuppeteerSource,
+  nitter: NitterSource,
+  rss: RssSource
+};
+
+// Runs each search through an ordered chain of tweet sources (see
+// sources/tweetSource.js). The first source that returns tweets serves the
+// query; sources that fail or come back empty hand over to the next one.
+// Every attempt is recorded in source_runs when storage is available, with
+// the proxy it went out through, and the entities of every tweet returned
+// are extracted before it is used.
 class TwitterScraper {
-  constructor() {
-    this.browser = null;
-    this.page = null;
-    this.useNitter = process.env.USE_NITTER === 'true';
-    this.nitterInstance = process.env.NITTER_INSTANCE || 'https://nitter.net';
+  constructor(options = {}) {
+    this.tweetStorage = options.tweetStorage || null;
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
+    this.maxPages = parseInt(process.env.SEARCH_MAX_PAGES) || 3;
+    this.sources = this.createSources();
   }
 
-  async initialize() {
-    if (this.useNitter) {
-      logger.info('Using Nitter proxy for Twitter scraping');
-      return;
+  // SCRAPER_SOURCES sets the chain, e.g. "nitter,rss". USE_NITTER=true keeps
+  // its old meaning of skipping the browser. Simulation replaces the chain.
+  createSources() {
+    if (SimulationSource.isEnabled()) {
+      return [new SimulationSource()];
     }
 
-    try {
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-zygote',
-          '--no-first-run',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor'
-        ]
-      });
+    const names = process.env.SCRAPER_SOURCES
+      ? process.env.SCRAPER_SOURCES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : (process.env.USE_NITTER === 'true' ? ['nitter', 'rss'] : ['puppeteer', 'nitter', 'rss']);
 
-      this.page = await this.browser.newPage();
-      
-      // Wait for page to be ready
-      await this.page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, 'webdriver', {
-          get: () => undefined,
-        });
-      });
-      
-      await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
-      // Set viewport
-      await this.page.setViewport({ width: 1280, height: 720 });
-      
-      // Add extra wait to ensure page is fully ready
-      await this.delay(1000);
-
-      // Authenticate if credentials provided
-      await this.authenticate();
-      
-      logger.info('Twitter scraper initialized with Puppeteer');
-    } catch (error) {
-      logger.error('Failed to initialize Twitter scraper:', error);
-      throw error;
+    const unknown = names.filter(name => !SOURCES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tweet source(s) in SCRAPER_SOURCES: ${unknown.join(', ')}`);
     }
+
+    return names.map(name => new SOURCES[name]());
   }
 
-  async authenticate() {
-    if (process.env.TWITTER_COOKIE) {
-      await this.authenticateWithCookie();
-    } else if (process.env.TWITTER_USERNAME && process.env.TWITTER_PASSWORD) {
-      await this.authenticateWithCredentials();
-    } else {
-      logger.warn('No authentication method provided - some features may be limited');
+  async initialize() {
+    if (this.sources[0] instanceof SimulationSource) {
+      logger.warn(`Simulation mode: generating synthetic tweets (seed ${this.sources[0].seed}), nothing is scraped`);
     }
-  }
 
-  async authenticateWithCookie() {
-    try {
-      // Navigate to Twitter first to set domain context
-      await this.page.goto('https://twitter.com', { waitUntil: 'domcontentloaded' });
-      await this.delay(2000);
-      
-      const cookies = [
-        {
-          name: 'auth_token',
-          value: process.env.TWITTER_COOKIE,
-          domain: '.twitter.com',
-          path: '/',
-          httpOnly: true,
-          secure: true
-        }
-      ];
+    for (const source of this.sources) {
+      try {
+        await source.initialize();
+      } catch (error) {
+        logger.warn(`Tweet source ${source.name} could not be initialized: ${error.message}`);
+      }
+    }
 
-      await this.page.setCookie(...cookies);
-      await this.delay(1000);
-      logger.info('Authenticated with Twitter cookie');
-    } catch (error) {
-      logger.error('Failed to authenticate with cookie:', error);
-      throw error;
+    const ready = this.sources.filter(source => source.initialized).map(source => source.name);
+    if (ready.length === 0) {
+      throw new SourceUnavailableError('No tweet source could be initialized');
     }
+
+    logger.info(`Tweet source chain: ${ready.join(' -> ')}`);
   }
 
-  async authenticateWithCredentials() {
-    try {
-      await this.page.goto('https://twitter.com/login', { waitUntil: 'networkidle2' });
-      
-      // Wait for username input
-      await this.page.waitForSelector('input[name="text"]', { timeout: 10000 });
-      await this.page.type('input[name="text"]', process.env.TWITTER_USERNAME);
-      await this.page.click('span:contains("Next")');
-      
-      // Wait for password input
-      await this.page.waitForSelector('input[name="password"]', { timeout: 10000 });
-      await this.page.type('input[name="password"]', process.env.TWITTER_PASSWORD);
-      await this.page.click('span:contains("Log in")');
-      
-      // Wait for login to complete
-      await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
-      
-      logger.info('Authenticated with Twitter credentials');
-    } catch (error) {
-      logger.error('Failed to authenticate with credentials:', error);
-      throw error;
+  // Search a query, optionally only for tweets newer than a stored cursor
+  // ({ last_tweet_id, last_tweet_at }). With a cursor, further pages are
+  // fetched from the serving source until the cursor is reached, up to
+  // maxPages. Without one only the first page is read, so a new filter does
+  // not pull in its whole backlog. Resolves to { tweets, complete }:
+  // complete is false when the pages stopped short of the cursor.
+  async searchTweets(query, since = null) {
+    let queryAst = queryParser.withoutLocalOperators(queryParser.parse(query));
+    if (!queryAst) {
+      logger.warn(`Nothing to search for in query: ${query}`);
+      return { tweets: [], complete: false };
+    }
+    const sinceId = since ? since.last_tweet_id : null;
+    if (sinceId) {
+      queryAst = queryParser.withLowerBound(queryAst, sinceId, since.last_tweet_at);
     }
-  }
 
-  async searchTweets(query) {
-    let retries = 0;
-    
-    while (retries < this.maxRetries) {
+    const tweets = [];
+    let result = await this.search(queryAst);
+
+    for (let page = 1; ; page++) {
+      const fresh = result.tweets.filter(tweet => !sinceId || this.isNewer(tweet.id, sinceId));
+      tweets.push(...fresh);
+
+      const reachedCursor = !sinceId || fresh.length < result.tweets.length;
+      if (reachedCursor || !result.cursor || result.tweets.length === 0) break;
+
+      if (page >= this.maxPages) {
+        logger.warn(`Stopped after ${page} pages before reaching the cursor for query: ${query}`);
+        return { tweets, complete: false };
+      }
+
       try {
-        if (this.useNitter) {
-          return await this.searchWithNitter(query);
-        } else {
-          return await this.searchWithPuppeteer(query);
-        }
+        result = await this.searchPage(queryAst, result.source, result.cursor);
       } catch (error) {
-        retries++;
-        logger.warn(`Search attempt ${retries} failed: ${error.message}`);
-        
-        if (retries >= this.maxRetries) {
-          logger.error(`Max retries reached for query: ${query}`);
-          throw error;
-        }
-        
-        await this.delay(2000 * retries); // Exponential backoff
+        logger.warn(`Could not fetch page ${page + 1} for query ${query}: ${error.message}`);
+        return { tweets, complete: false };
       }
     }
+
+    return { tweets, complete: true };
   }
 
-  async searchWithPuppeteer(query) {
-    // Simplify the query for better results
-    const simplifiedQuery = this.simplifyQuery(query);
-    const url = `https://twitter.com/search?q=${encodeURIComponent(simplifiedQuery)}&src=typed_query&f=live`;
-    
-    try {
-      // Ensure page is ready before navigation
-      if (!this.page || this.page.isClosed()) {
-        throw new Error('Page is not available or closed');
-      }
-      
-      // Navigate with longer timeout and better error handling
-      await this.page.goto(url, { 
-        waitUntil: 'networkidle0',
-        timeout: 30000 
-      });
-      
-      // Wait for page to stabilize
-      await this.delay(5000);
-      
-      // Check if we're on the search results page
-      const currentUrl = this.page.url();
-      if (!currentUrl.includes('/search')) {
-        logger.warn('Not on search results page, might be redirected');
-      }
-      
-      // Check for login requirement
-      const needsLogin = await this.page.$('a[href="/login"]');
-      if (needsLogin) {
-        logger.warn('Twitter requires login, switching to Nitter');
-        return await this.searchWithNitter(query);
+  isNewer(tweetId, sinceId) {
+    if (!/^\d+$/.test(String(tweetId || ''))) return true;
+    return BigInt(tweetId) > BigInt(sinceId);
+  }
+
+  // Resolves to { tweets, cursor, source } from the first source that
+  // returned tweets, or the first empty answer if none did
+  async search(queryAst) {
+    const query = queryParser.serialize(queryAst);
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      let emptyResult = null;
+
+      for (const source of this.sources) {
+        if (!source.initialized) continue;
+
+        try {
+          const result = await this.searchSource(source, queryAst);
+          if (result.tweets.length > 0) {
+            logger.info(`Query served by ${source.name}${result.proxy ? ` via ${result.proxy}` : ''}: ${query}`);
+            return result;
+          }
+          emptyResult = emptyResult || result;
+        } catch (error) {
+          logger.warn(`Source ${source.name} failed for query ${query}: ${error.message}`);
+        }
       }
-      
-      // Wait for any content to load
-      await this.page.waitForTimeout(3000);
-      
-      // Try multiple approaches to find tweets
-      let tweets = [];
-      
-      // Approach 1: Look for standard tweet articles
-      tweets = await this.extractTweetsMethod1();
-      if (tweets.length > 0) {
-        logger.info(`Found ${tweets.length} tweets using method 1`);
-        return tweets;
+
+      if (emptyResult) {
+        return emptyResult;
       }
-      
-      // Approach 2: Look for any text content that might be tweets
-      tweets = await this.extractTweetsMethod2();
-      if (tweets.length > 0) {
-        logger.info(`Found ${tweets.length} tweets using method 2`);
-        return tweets;
+
+      if (attempt < this.maxRetries) {
+        logger.warn(`Search attempt ${attempt} failed on every source`);
+        await this.delay(2000 * attempt); // Exponential backoff
       }
-      
-      // Approach 3: Fallback to Nitter
-      logger.warn('No tweets found with Puppeteer, falling back to Nitter');
-      return await this.searchWithNitter(query);
-      
-    } catch (error) {
-      logger.error(`Puppeteer search failed: ${error.message}`);
-      // Fallback to Nitter on any error
-      logger.info('Falling back to Nitter due to Puppeteer error');
-      return await this.searchWithNitter(query);
     }
+
+    logger.error(`Max retries reached for query: ${query}`);
+    throw new SourceUnavailableError(`No tweet source available for query: ${query}`);
   }
 
-  // Simplify complex queries for better results
-  simplifyQuery(query) {
-    // Extract main keywords from complex Twitter search syntax
-    const keywords = [];
-    
-    // Extract quoted terms
-    const quotedTerms = query.match(/"([^"]+)"/g);
-    if (quotedTerms) {
-      quotedTerms.forEach(term => {
-        keywords.push(term.replace(/"/g, ''));
-      });
+  // Continue a search on the source that returned the cursor; cursors are
+  // not portable between sources
+  async searchPage(queryAst, sourceName, cursor) {
+    const source = this.sources.find(candidate => candidate.name === sourceName);
+    if (!source || !source.initialized) {
+      throw new SourceUnavailableError(`Source ${sourceName} is not available`);
     }
-    
-    // Extract main terms (non-filter words)
-    const words = query.split(/\s+/);
-    words.forEach(word => {
-      if (!word.includes('filter:') && 
-          !word.includes('min_faves:') && 
-          !['AND', 'OR', '(', ')'].includes(word) &&
-          !word.startsWith('"')) {
-        keywords.push(word);
-      }
-    });
-    
-    // Return simplified query with main keywords
-    return keywords.slice(0, 3).join(' '); // Limit to 3 main keywords
+    return this.searchSource(source, queryAst, cursor);
   }
 
-  async extractTweetsMethod1() {
+  async searchSource(source, queryAst, cursor = null) {
+    const query = queryParser.serialize(queryAst);
+    const startedAt = Date.now();
+
     try {
-      // Scroll first to load content
-      await this.autoScroll();
-      
-      return await this.page.evaluate(() => {
-        const tweetElements = document.querySelectorAll('article');
-        const extracted = [];
-        
-        tweetElements.forEach((el, index) => {
-          if (index > 20) return; // Limit processing
-          
-          try {
-            const textEl = el.querySelector('div[data-testid="tweetText"]') || 
-                          el.querySelector('[data-testid="tweetText"]') ||
-                          el.querySelector('.tweet-text') ||
-                          el.querySelector('div[lang]');
-            
-            const authorEl = el.querySelector('[data-testid="User-Name"]') ||
-                            el.querySelector('.username') ||
-                            el.querySelector('a[role="link"]');
-            
-            const timeEl = el.querySelector('time');
-            
-            if (textEl && textEl.textContent.trim().length > 10) {
-              const text = textEl.textContent.trim();
-              let author = 'unknown_user';
-              let tweetId = 'tweet_' + Date.now() + '_' + index;
-              let url = '#';
-              
-              if (authorEl) {
-                author = authorEl.textContent.trim().replace('@', '').split('\n')[0];
-              }
-              
-              if (timeEl) {
-                const link = timeEl.closest('a')?.getAttribute('href');
-                if (link) {
-                  url = 'https://twitter.com' + link;
-                  tweetId = link.split('/').pop() || tweetId;
-                }
-              }
-              
-              extracted.push({
-                id: tweetId,
-                text: text,
-                author: author,
-                url: url,
-                timestamp: timeEl?.getAttribute('datetime') || new Date().toISOString(),
-                source: 'puppeteer',
-                likes: Math.floor(Math.random() * 50) + 3, // Mock engagement for demo
-                retweets: Math.floor(Math.random() * 20)
-              });
-            }
-          } catch (err) {
-            console.warn('Error processing tweet element:', err);
-          }
-        });
-        
-        return extracted;
+      const result = await source.search(queryAst, cursor);
+      result.tweets.forEach(tweet => entityExtractor.extract(tweet));
+      const status = result.tweets.length > 0 ? 'served' : 'empty';
+      await this.recordRun(query, source.name, status, startedAt, {
+        tweet_count: result.tweets.length,
+        completeness: this.completeness(result.tweets),
+        proxy: result.proxy || null
       });
+      return { ...result, source: source.name };
     } catch (error) {
-      logger.warn('Method 1 extraction failed:', error.message);
-      return [];
+      await this.recordRun(query, source.name, 'failed', startedAt, { error: error.message, proxy: error.proxy || null });
+      throw error;
     }
   }
 
-  async extractTweetsMethod2() {
-    try {
-      return await this.page.evaluate(() => {
-        // Look for any text content that might be tweets
-        const textElements = document.querySelectorAll('div[lang], span[lang], p');
-        const extracted = [];
-        
-        textElements.forEach((el, index) => {
-          if (index > 50) return; // Limit processing
-          
-          const text = el.textContent.trim();
-          if (text.length > 20 && text.length < 280 && 
-              !text.includes('Search') && 
-              !text.includes('Sign up') &&
-              !text.includes('Log in')) {
-            
-            extracted.push({
-              id: 'extracted_' + Date.now() + '_' + index,
-              text: text,
-              author: 'twitter_user_' + (index % 10),
-              url: 'https://twitter.com/status/demo_' + index,
-              timestamp: new Date().toISOString(),
-              source: 'puppeteer_fallback',
-              likes: Math.floor(Math.random() * 20) + 3,
-              retweets: Math.floor(Math.random() * 10)
-            });
-          }
-        });
-        
-        return extracted.slice(0, 5); // Return max 5 tweets
-      });
-    } catch (error) {
-      logger.warn('Method 2 extraction failed:', error.message);
-      return [];
+  // Thread around a tweet from the first source that can read conversations,
+  // or null when none can
+  async fetchConversation(tweet) {
+    for (const source of this.sources) {
+      if (!source.initialized) continue;
+
+      try {
+        const tweets = await source.conversation(tweet);
+        if (tweets && tweets.length > 0) {
+          tweets.forEach(context => entityExtractor.extract(context));
+          return tweets;
+        }
+      } catch (error) {
+        logger.warn(`Source ${source.name} could not load conversation ${tweet.id}: ${error.message}`);
+      }
     }
+
+    return null;
   }
 
-  async searchWithNitter(query) {
-    // Simplify query for Nitter as well
-    const simplifiedQuery = this.simplifyQuery(query);
-    const encodedQuery = encodeURIComponent(simplifiedQuery);
-    const url = `${this.nitterInstance}/search?q=${encodedQuery}`;
-    
-    try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        },
-        timeout: 10000
-      });
+  // Profile of an account from the first source that can read profiles:
+  // the profile, or null when the account does not exist. Like conversations
+  // these lookups return no tweets, so they are not recorded as runs.
+  async fetchProfile(username) {
+    let answered = false;
 
-      const $ = cheerio.load(response.data);
-      const tweets = [];
+    for (const source of this.sources) {
+      if (!source.initialized) continue;
 
-      $('.timeline-item').each((index, element) => {
-        if (index > 10) return; // Limit processing
-        
-        const tweetElement = $(element);
-        const text = tweetElement.find('.tweet-content').text().trim();
-        const author = tweetElement.find('.username').text().trim();
-        const tweetLink = tweetElement.find('.tweet-link').attr('href');
-        const stats = tweetElement.find('.tweet-stats');
-        
-        if (text && author && tweetLink) {
-          const tweet = {
-            id: this.extractTweetId(tweetLink),
-            text,
-            author,
-            url: `https://twitter.com${tweetLink}`,
-            timestamp: new Date().toISOString(),
-            source: 'nitter'
-          };
-
-          // Extract engagement metrics
-          const likes = this.extractNumber(stats.find('.icon-heart').parent().text());
-          const retweets = this.extractNumber(stats.find('.icon-retweet').parent().text());
-          
-          tweet.likes = likes;
-          tweet.retweets = retweets;
-          
-          tweets.push(tweet);
+      try {
+        const result = await source.profile(username);
+        if (!result) continue;
+        if (result.profile) {
+          return { ...result.profile, username: result.profile.username || username, source: source.name };
         }
-      });
-
-      // If no tweets found, create some demo tweets for testing
-      if (tweets.length === 0) {
-        logger.info('No tweets found via Nitter, creating demo tweets for testing');
-        return this.createDemoTweets(simplifiedQuery);
+        answered = true;
+      } catch (error) {
+        logger.warn(`Source ${source.name} could not load the profile of @${username}: ${error.message}`);
       }
-
-      logger.info(`Found ${tweets.length} tweets via Nitter for query: ${query}`);
-      return tweets;
-    } catch (error) {
-      logger.error(`Nitter search failed for query ${query}:`, error);
-      // Create demo tweets if Nitter fails
-      logger.info('Creating demo tweets due to Nitter failure');
-      return this.createDemoTweets(this.simplifyQuery(query));
     }
+
+    if (answered) return null;
+    throw new SourceUnavailableError(`No tweet source could read the profile of @${username}`);
   }
 
-  // Create demo tweets for testing when real scraping fails
-  createDemoTweets(query) {
-    const demoTweets = [
-      {
-        id: 'demo_' + Date.now() + '_1',
-        text: `Just discovered some amazing insights about ${query}! This could be a game-changer for the industry. #Innovation #Tech`,
-        author: 'tech_enthusiast',
-        url: 'https://twitter.com/tech_enthusiast/status/demo_1',
-        timestamp: new Date(Date.now() - 3600000).toISOString(),
-        source: 'demo',
-        likes: 15,
-        retweets: 8
-      },
-      {
-        id: 'demo_' + Date.now() + '_2',
-        text: `Breaking: Major developments in ${query} space. Industry experts are calling this revolutionary! 🚀`,
-        author: 'crypto_news',
-        url: 'https://twitter.com/crypto_news/status/demo_2',
-        timestamp: new Date(Date.now() - 7200000).toISOString(),
-        source: 'demo',
-        likes: 42,
-        retweets: 23
-      },
-      {
-        id: 'demo_' + Date.now() + '_3',
-        text: `Interesting analysis on ${query} trends. The data shows significant growth potential in this sector.`,
-        author: 'market_analyst',
-        url: 'https://twitter.com/market_analyst/status/demo_3',
-        timestamp: new Date(Date.now() - 10800000).toISOString(),
-        source: 'demo',
-        likes: 28,
-        retweets: 12
+  // Recent posts of an account from the first source that can read its
+  // timeline. Attempts are recorded in source_runs as "timeline @<handle>".
+  async fetchTimeline(username) {
+    const query = `timeline @${username}`;
+    let emptyResult = null;
+
+    for (const source of this.sources) {
+      if (!source.initialized) continue;
+      const startedAt = Date.now();
+
+      try {
+        const result = await source.timeline(username);
+        if (!result) continue;
+
+        result.tweets.forEach(tweet => entityExtractor.extract(tweet));
+        await this.recordRun(query, source.name, result.tweets.length > 0 ? 'served' : 'empty', startedAt, {
+          tweet_count: result.tweets.length,
+          completeness: this.completeness(result.tweets),
+          proxy: result.proxy || null
+        });
+        if (result.tweets.length > 0) {
+          return { ...result, source: source.name };
+        }
+        emptyResult = emptyResult || { ...result, source: source.name };
+      } catch (error) {
+        await this.recordRun(query, source.name, 'failed', startedAt, { error: error.message, proxy: error.proxy || null });
+        logger.warn(`Source ${source.name} could not load the timeline of @${username}: ${error.message}`);
       }
-    ];
+    }
+
+    if (emptyResult) {
+      return emptyResult;
+    }
+    throw new SourceUnavailableError(`No tweet source could read the timeline of @${username}`);
+  }
 
-    logger.info(`Created ${demoTweets.length} demo tweets for query: ${query}`);
-    return demoTweets;
+  // Standing feeds of the sources in the chain, as [{ url, name, source }]
+  listFeeds() {
+    return this.sources
+      .filter(source => source.initialized)
+      .flatMap(source => source.feeds().map(feed => ({ ...feed, source })));
   }
 
-  async autoScroll() {
+  // Items of one standing feed, recorded in source_runs as "feed <name>"
+  async fetchFeed(feed) {
+    const query = `feed ${feed.name}`;
+    const startedAt = Date.now();
+
     try {
-      await this.page.evaluate(async () => {
-        await new Promise(resolve => {
-          let totalHeight = 0;
-          const distance = 100;
-          const maxHeight = 2000; // Limit scrolling
-          
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-            
-            if (totalHeight >= scrollHeight || totalHeight >= maxHeight) {
-              clearInterval(timer);
-              resolve();
-            }
-          }, 200); // Slower scrolling
-        });
+      const result = await feed.source.readFeed(feed);
+      result.tweets.forEach(tweet => entityExtractor.extract(tweet));
+      await this.recordRun(query, feed.source.name, result.tweets.length > 0 ? 'served' : 'empty', startedAt, {
+        tweet_count: result.tweets.length,
+        completeness: this.completeness(result.tweets),
+        proxy: result.proxy || null
       });
-      
-      // Wait for content to load after scrolling
-      await this.delay(2000);
+      return result;
     } catch (error) {
-      logger.warn('Auto-scroll failed:', error.message);
+      await this.recordRun(query, feed.source.name, 'failed', startedAt, { error: error.message, proxy: error.proxy || null });
+      throw error;
     }
   }
 
-  extractTweetId(tweetLink) {
-    const match = tweetLink.match(/\/status\/(\d+)/);
-    return match ? match[1] : null;
+  // Share of QUALITY_FIELDS present across the tweets, or null without tweets
+  completeness(tweets) {
+    if (tweets.length === 0) return null;
+
+    const present = tweets.reduce((sum, tweet) => sum + QUALITY_FIELDS.filter(field =>
+      tweet[field] !== null && tweet[field] !== undefined && tweet[field] !== ''
+    ).length, 0);
+    return present / (tweets.length * QUALITY_FIELDS.length);
+  }
+
+  async recordRun(query, source, status, startedAt, details = {}) {
+    if (!this.tweetStorage) return;
+
+    try {
+      await this.tweetStorage.recordSourceRun({
+        query,
+        source,
+        status,
+        duration_ms: Date.now() - startedAt,
+        ...details
+      });
+    } catch (error) {
+      logger.warn(`Could not record source run: ${error.message}`);
+    }
   }
 
-  extractNumber(text) {
-    const match = text.match(/[\d,]+/);
-    return match ? parseInt(match[0].replace(/,/g, '')) : 0;
+  async health() {
+    return Promise.all(this.sources.map(source => source.health()));
   }
 
   delay(ms) {
@@ -486,21 +330,15 @@ class TwitterScraper {
   }
 
   async cleanup() {
-    try {
-      if (this.page && !this.page.isClosed()) {
-        await this.page.close();
-      }
-      if (this.browser) {
-        await this.browser.close();
-      }
-      logger.info('Twitter scraper browser closed');
-    } catch (error) {
-      logger.warn('Error during cleanup:', error.message);
+    for (const source of this.sources) {
+      await source.cleanup();
     }
+    logger.info('Tweet sources cleaned up');
   }
 }
 
 module.exports = TwitterScraper;
+module.exports.SourceUnavailableError = SourceUnavailableError;
 
 
 // const puppeteer = require('puppeteer');
@@ -1,8 +1,22 @@
 require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const cheerio = require('cheerio');
+const sqlite3 = require('sqlite3').verbose();
 const PodhaTwitterListener = require('./index');
 const DiscordNotifier = require('./services/discordNotifier');
 const FilterEngine = require('./services/filterEngine');
 const TweetStorage = require('./services/tweetStorage');
+const SimulationSource = require('./services/sources/simulationSource');
+const NitterSource = require('./services/sources/nitterSource');
+const ParserConformance = require('./services/parserConformance');
+const Outbox = require('./services/outbox');
+const Migrator = require('./services/migrator');
+const rateLimiter = require('./services/rateLimiter');
+const queryParser = require('./utils/queryParser');
+const queryMatcher = require('./utils/queryMatcher');
+const entityExtractor = require('./utils/entityExtractor');
 const logger = require('./utils/logger');
 
 async function runTests() {
@@ -38,7 +52,8 @@ async function runTests() {
 
     // Test 3: Filter engine
     logger.info('Test 3: Testing filter engine...');
-    const filterEngine = new FilterEngine();
+    const filterEngine = new FilterEngine(tweetStorage);
+    await filterEngine.loadFilters();
     const queries = filterEngine.getSearchQueries();
     logger.info(`Filter engine test: ${queries.length > 0 ? 'PASSED' : 'FAILED'} (${queries.length} queries)`);
 
@@ -51,13 +66,263 @@ async function runTests() {
     // Test 5: Tweet matching
     logger.info('Test 5: Testing tweet matching...');
     const matchResult = filterEngine.matchesCriteria(testTweet);
-    logger.info(`Tweet matching test: ${matchResult ? 'PASSED' : 'FAILED'}`);
+    const retweet = { ...testTweet, is_retweet: true };
+    const quote = { ...testTweet, is_quote_status: true, quoted_status_id: '1' };
+    const kindsPassed = !queryMatcher.matches(queryParser.parse('Podha'), retweet) &&
+      queryMatcher.matches(queryParser.parse('Podha include:nativeretweets'), retweet) &&
+      !queryMatcher.matches(queryParser.parse('Podha -filter:quote'), quote) &&
+      queryMatcher.matches(queryParser.parse('Podha filter:quote'), quote);
+    // min_followers: is checked against the author's profile, never sent to X
+    const reachQuery = queryParser.parse('Podha min_followers:1000');
+    const reachPassed = queryMatcher.matches(reachQuery, { ...testTweet, author_profile: { followers_count: 5000 } }) &&
+      !queryMatcher.matches(reachQuery, { ...testTweet, author_profile: { followers_count: 10 } }) &&
+      queryParser.serialize(queryParser.withoutLocalOperators(reachQuery)) === 'Podha' &&
+      queryParser.withoutLocalOperators(queryParser.parse('min_followers:1000')) === null;
+    logger.info(`Tweet matching test: ${matchResult && kindsPassed && reachPassed ? 'PASSED' : 'FAILED'}`);
 
     // Test 6: Storage stats
     logger.info('Test 6: Testing storage stats...');
     const stats = await tweetStorage.getStats();
     logger.info(`Storage stats: ${stats.total_tweets} total tweets, ${stats.unique_authors} unique authors`);
 
+    // Test 7: Query parser round-trip
+    logger.info('Test 7: Testing query parser...');
+    const ast = queryParser.parse(validQuery);
+    const roundTrip = queryParser.serialize(queryParser.parse(queryParser.serialize(ast)));
+    const syntaxCheck = filterEngine.validateQuery('filter:blue_verified min_faves:3 Podha AND ("RWA" OR');
+    const colonWord = queryParser.parse('note: vaults');
+    const impossibleDate = filterEngine.validateQuery('Podha since:2025-13-45');
+    const emptyNegation = filterEngine.validateQuery('Podha -');
+    const parserPassed = roundTrip === queryParser.serialize(ast) && syntaxCheck.position === 52 &&
+      !impossibleDate.valid && impossibleDate.position === 12 && !emptyNegation.valid && emptyNegation.position === 6 &&
+      colonWord.type === 'and' && colonWord.children[0].type === 'term' && colonWord.children[0].value === 'note:';
+    logger.info(`Query parser test: ${parserPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 8: Filter persistence
+    logger.info('Test 8: Testing filter persistence...');
+    const created = await filterEngine.addCustomFilter(`Test filter ${Date.now()}`, validQuery, 'Temporary test filter');
+    await filterEngine.updateFilter(created.id, { enabled: false });
+    const disabled = !filterEngine.getActiveFilters().some(filter => filter.id === created.id);
+    await filterEngine.deleteFilter(created.id);
+    const history = await filterEngine.getFilterHistory(created.id);
+    const persistencePassed = disabled && history.map(entry => entry.action).join(',') === 'deleted,disabled,created';
+    logger.info(`Filter persistence test: ${persistencePassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 9: Simulation source
+    logger.info('Test 9: Testing simulation source...');
+    const simulation = new SimulationSource({ seed: 7, referenceTime: Date.parse('2025-01-01T00:00:00Z') });
+    const { tweets: simulated } = await simulation.search(ast);
+    const { tweets: repeated } = await simulation.search(ast);
+    const reproducible = JSON.stringify(simulated) === JSON.stringify(repeated);
+    const simulationPassed = reproducible &&
+      simulated.every(tweet => tweet.provenance.is_synthetic) &&
+      filterEngine.applyFilters(simulated).length === simulated.length;
+    logger.info(`Simulation source test: ${simulationPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 10: Entity extraction
+    logger.info('Test 10: Testing entity extraction...');
+    const entityTweet = {
+      ...testTweet,
+      id: 'test_entities_123',
+      text: 'Vaults for $PODHA are live on #Solana: https://t.co/abc123',
+      urls: [{ url: 'https://t.co/abc123', expanded_url: 'https://docs.podha.xyz/vaults' }]
+    };
+    entityExtractor.extract(entityTweet);
+    await tweetStorage.saveTweet(entityTweet);
+    const byCashtag = await tweetStorage.getTweetsByEntity('cashtag', 'PODHA');
+    const byDomain = await tweetStorage.getTweetsByEntity('url', 'podha.xyz');
+    const entitiesPassed = [byCashtag, byDomain].every(rows => rows.some(row => row.id === entityTweet.id));
+    logger.info(`Entity extraction test: ${entitiesPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 11: Parsers against saved page snapshots
+    logger.info('Test 11: Testing parser conformance...');
+    const conformance = await new ParserConformance().run();
+    const skippedParsers = conformance.fixtures.filter(fixture => fixture.status === 'skipped').length;
+    const skippedNote = skippedParsers > 0 ? ` (${skippedParsers} skipped, no browser configured)` : '';
+    logger.info(`Parser conformance test (${Math.round(conformance.score * 100)}%): ${conformance.passed ? 'PASSED' : 'FAILED'}${skippedNote}`);
+
+    // Test 12: Full-text search over stored tweets
+    logger.info('Test 12: Testing tweet search...');
+    const search = await tweetStorage.searchTweets({ query: '"test tweet" podh*', author: 'testuser' });
+    const searchPassed = search.tweets.some(tweet => tweet.id === testTweet.id && tweet.snippet.includes('<mark>'));
+    logger.info(`Tweet search test: ${searchPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 13: Outbox back-off, dead-lettering, replay and claims, through
+    // a stub channel that answers with the queued results. The channel name
+    // is new on each run so items left by earlier runs stay out of it.
+    logger.info('Test 13: Testing outbox delivery...');
+    const outbox = new Outbox(tweetStorage);
+    Object.assign(outbox, { baseDelayMs: 60 * 1000, maxDelayMs: 4 * 60 * 1000, maxAttempts: 2 });
+    const outboxChannel = `test_${Date.now()}`;
+    const outboxResults = [];
+    outbox.register(outboxChannel, async () => outboxResults.shift() || { success: true });
+    const outboxItem = async id => (await tweetStorage.getOutbox({ limit: 20 })).find(item => item.id === id);
+    const outboxChecks = {};
+
+    outboxChecks.backoff = [1, 2, 3, 4].map(attempts => outbox.backoff(attempts)).join() === '60000,120000,240000,240000';
+
+    // A 503 is retried after the back-off and is not due before
+    const retried = await outbox.enqueue(outboxChannel, 'test', { n: 1 });
+    outboxResults.push({ success: false, error: 'Service Unavailable', httpStatus: 503 });
+    const firstRun = await outbox.deliverDue();
+    const retriedItem = await outboxItem(retried.id);
+    const secondRun = await outbox.deliverDue();
+    outboxChecks.retry = firstRun.retried === 1 && retriedItem.status === 'pending' && retriedItem.attempts === 1 &&
+      Date.parse(`${retriedItem.next_attempt_at}Z`) - Date.parse(`${retriedItem.updated_at}Z`) === 60 * 1000 &&
+      secondRun.retried + secondRun.delivered + secondRun.dead === 0;
+
+    // Dead after maxAttempts, or at once when refused with a 4xx
+    const exhausted = await outbox.enqueue(outboxChannel, 'test', { n: 2 });
+    outboxResults.push({ success: false, error: 'Bad Gateway', httpStatus: 502, retryAfterMs: 0 });
+    await outbox.deliverDue();
+    outboxResults.push({ success: false, error: 'Bad Gateway', httpStatus: 502 });
+    await outbox.deliverDue();
+    const refused = await outbox.enqueue(outboxChannel, 'test', { n: 3 });
+    outboxResults.push({ success: false, error: 'Bad Request', httpStatus: 400 });
+    await outbox.deliverDue();
+    const exhaustedItem = await outboxItem(exhausted.id);
+    const refusedItem = await outboxItem(refused.id);
+    outboxChecks.deadLetters = exhaustedItem.status === 'dead' && exhaustedItem.attempts === 2 &&
+      refusedItem.status === 'dead' && refusedItem.attempts === 1 && refusedItem.last_http_status === 400;
+
+    // Replay queues a dead item again with its attempts reset
+    const replayed = await outbox.replay([exhausted.id]);
+    const replayedItem = await outboxItem(exhausted.id);
+    const replayRun = await outbox.deliverDue();
+    outboxChecks.replay = replayed.length === 1 && replayedItem.status === 'pending' && replayedItem.attempts === 0 &&
+      replayRun.delivered === 1 && (await outboxItem(exhausted.id)).status === 'delivered';
+
+    // An item is claimed once; one left sending for too long is released
+    const claimed = await outbox.enqueue(outboxChannel, 'test', { n: 4 });
+    const claims = [await tweetStorage.claimOutboxItem(claimed.id), await tweetStorage.claimOutboxItem(claimed.id)];
+    await new Promise((resolve, reject) => {
+      tweetStorage.db.run("UPDATE outbox SET updated_at = datetime('now', '-11 minutes') WHERE id = ?", [claimed.id], err => err ? reject(err) : resolve());
+    });
+    const released = await tweetStorage.releaseStaleOutbox();
+    outboxChecks.claims = claims[0] === true && claims[1] === false && released >= 1 &&
+      (await outboxItem(claimed.id)).status === 'pending';
+    await outbox.deliverDue();
+
+    const outboxFailures = Object.keys(outboxChecks).filter(check => !outboxChecks[check]);
+    logger.info(`Outbox test: ${outboxFailures.length === 0 ? 'PASSED' : `FAILED (${outboxFailures.join(', ')})`}`);
+
+    // Test 14: Discord rate limits, against a local webhook that answers
+    // each request with the next queued response
+    logger.info('Test 14: Testing Discord rate limits...');
+    const webhookResponses = [];
+    const webhookRequests = [];
+    const webhook = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        webhookRequests.push(Date.now());
+        const { status = 204, headers = {}, body } = webhookResponses.shift() || {};
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(body ? JSON.stringify(body) : undefined);
+      });
+    });
+    await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+
+    const rateLimitNotifier = new DiscordNotifier();
+    Object.assign(rateLimitNotifier, {
+      webhookUrl: `http://127.0.0.1:${webhook.address().port}/api/webhooks/42/test`,
+      webhookId: '42',
+      maxWaitMs: 1000
+    });
+    const rateLimitChecks = {};
+    const bucketHeaders = { 'X-RateLimit-Bucket': 'test', 'X-RateLimit-Limit': '5', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.3' };
+
+    // An exhausted bucket in the headers holds the next message back
+    webhookResponses.push({ headers: bucketHeaders });
+    const bucketSent = await rateLimitNotifier.deliver({ content: 'bucket' });
+    const bucket = rateLimiter.getStatus('discord', '42').reported[0];
+    const heldBack = rateLimiter.getWaitTime('discord', '42');
+    rateLimitChecks.buckets = bucketSent.success && bucket && bucket.bucket === 'test' && bucket.remaining === 0 && heldBack > 0 && heldBack <= 300;
+
+    // A 429 is retried after its retry_after
+    webhookResponses.push({ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.3, global: false } });
+    const retrySent = await rateLimitNotifier.deliver({ content: 'retry' });
+    const retryGap = webhookRequests[2] - webhookRequests[1];
+    rateLimitChecks.retryAfter = retrySent.success && webhookRequests.length === 3 && retryGap >= 250;
+
+    // A global 429 longer than maxWaitMs is handed back to the outbox and
+    // holds back every webhook
+    webhookResponses.push({ status: 429, headers: { 'X-RateLimit-Scope': 'global' }, body: { message: 'You are being rate limited.', retry_after: 2, global: true } });
+    const globalSent = await rateLimitNotifier.deliver({ content: 'global' });
+    rateLimitChecks.global = !globalSent.success && globalSent.httpStatus === 429 && globalSent.retryAfterMs === 2000 &&
+      webhookRequests.length === 4 && rateLimiter.getWaitTime('discord', 'another_webhook') > 1000;
+
+    await new Promise(resolve => webhook.close(resolve));
+    const rateLimitFailures = Object.keys(rateLimitChecks).filter(check => !rateLimitChecks[check]);
+    logger.info(`Discord rate limit test: ${rateLimitFailures.length === 0 ? 'PASSED' : `FAILED (${rateLimitFailures.join(', ')})`}`);
+
+    // Test 15: A database migrated by a newer version is refused
+    logger.info('Test 15: Testing schema migrations...');
+    const migrationDb = new sqlite3.Database(':memory:');
+    const migrator = new Migrator(migrationDb);
+    const appliedVersions = await migrator.migrate();
+    const upToDate = (await migrator.migrate()).length === 0;
+    await migrator.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_a_newer_version')");
+    const refusal = await migrator.migrate().then(() => null, error => error);
+    await new Promise(resolve => migrationDb.close(resolve));
+    const migrationsPassed = appliedVersions.length > 0 && upToDate && refusal !== null && /newer than this code/.test(refusal.message);
+    logger.info(`Schema migration test: ${migrationsPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 16: A watched account's retweets, read from its Nitter timeline,
+    // match the watchlist by handle
+    logger.info('Test 16: Testing watchlist retweets...');
+    const nitterPage = cheerio.load(fs.readFileSync(path.join(__dirname, '../fixtures/parsers/nitter-search.html'), 'utf8'));
+    const timelineRetweet = new NitterSource().parseTweets(nitterPage, nitterPage('.timeline-item'), 'solana_daily')
+      .find(tweet => tweet.is_retweet);
+    await filterEngine.watchAccount({ username: 'solana_daily' });
+    const watchedBy = filterEngine.matchWatchlist(timelineRetweet);
+    await filterEngine.unwatchAccount('solana_daily');
+    const watchlistPassed = timelineRetweet.retweeted_by === 'solana_daily' && watchedBy && watchedBy.username === 'solana_daily';
+    logger.info(`Watchlist retweet test: ${watchlistPassed ? 'PASSED' : 'FAILED'}`);
+
+    // Test 17: Tweets whose webhook fails are never marked delivered, and
+    // every attempt is recorded in notifications
+    logger.info('Test 17: Testing delivery to a failing webhook...');
+    const failingWebhook = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Internal Server Error' }));
+      });
+    });
+    await new Promise(resolve => failingWebhook.listen(0, '127.0.0.1', resolve));
+
+    const listener = new PodhaTwitterListener();
+    await listener.tweetStorage.initialize();
+    listener.discordNotifier.webhookUrl = `http://127.0.0.1:${failingWebhook.address().port}/api/webhooks/43/test`;
+    const deliveryTweet = id => ({ ...testTweet, id, url: `https://twitter.com/test_user/status/${id}` });
+    const deliveryChecks = {};
+
+    // Sent straight away: failed after one attempt
+    const direct = deliveryTweet(`test_direct_${Date.now()}`);
+    const directCounts = await listener.deliverTweets([direct]);
+    const directAttempts = await listener.tweetStorage.getNotifications({ tweetId: direct.id });
+    deliveryChecks.direct = directCounts.failed === 1 && directCounts.delivered === 0 &&
+      (await listener.tweetStorage.getTweetStatuses([direct.id])).get(direct.id) === 'failed' &&
+      directAttempts.length === 1 && directAttempts[0].status === 'failed' && directAttempts[0].http_status === 500 && !!directAttempts[0].error;
+
+    // Through the outbox: queued while it is retried, failed once
+    // dead-lettered, with a row for each attempt
+    listener.discordNotifier.attachOutbox(listener.outbox);
+    Object.assign(listener.outbox, { baseDelayMs: 0, maxAttempts: 2 });
+    const queued = deliveryTweet(`test_queued_${Date.now()}`);
+    const queuedCounts = await listener.deliverTweets([queued]);
+    const statusAfterRetry = (await listener.tweetStorage.getTweetStatuses([queued.id])).get(queued.id);
+    await listener.outbox.deliverDue();
+    const queuedAttempts = await listener.tweetStorage.getNotifications({ tweetId: queued.id });
+    deliveryChecks.outbox = queuedCounts.queued === 1 && queuedCounts.delivered === 0 && statusAfterRetry === 'queued' &&
+      (await listener.tweetStorage.getTweetStatuses([queued.id])).get(queued.id) === 'failed' &&
+      queuedAttempts.length === 2 && queuedAttempts.every(attempt => attempt.channel === 'discord' && attempt.status === 'failed' && attempt.http_status === 500 && attempt.error);
+
+    await new Promise(resolve => failingWebhook.close(resolve));
+    await listener.tweetStorage.close();
+    const deliveryFailures = Object.keys(deliveryChecks).filter(check => !deliveryChecks[check]);
+    logger.info(`Failed delivery test: ${deliveryFailures.length === 0 ? 'PASSED' : `FAILED (${deliveryFailures.join(', ')})`}`);
+
     // Cleanup
     await tweetStorage.close();
     
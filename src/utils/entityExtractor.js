@@ -0,0 +1,142 @@
+// Extracts the entities of a scraped tweet: hashtags, @mentions, $cashtags,
+// links, media and Solana/EVM addresses.
+//
+// Text is parsed directly. Links and media come from what the source found
+// in the page (tweet.urls as { url, expanded_url } and tweet.media as
+// { url, type }), because the text alone only holds t.co or shortened
+// display links. The result is kept as tweet.entities, and the flat
+// hashtags, mentions, urls and media_urls fields that storage and the query
+// matcher read are filled from it.
+
+const WORD_CHAR = '\\p{L}\\p{N}_';
+const HASHTAG = new RegExp(`(?:^|[^${WORD_CHAR}&#])#([${WORD_CHAR}]*\\p{L}[${WORD_CHAR}]*)`, 'gu');
+const MENTION = new RegExp(`(?:^|[^${WORD_CHAR}@.])@([A-Za-z0-9_]{1,15})(?![${WORD_CHAR}@])`, 'gu');
+// X cashtags: up to six letters, optionally with a short suffix ($BRK.B)
+const CASHTAG = new RegExp(`(?:^|[^${WORD_CHAR}$])\\$([A-Za-z]{1,6}(?:[._][A-Za-z]{1,2})?)(?![${WORD_CHAR}])`, 'gu');
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/g;
+const EVM_ADDRESS = /(?:^|[^A-Za-z0-9_])(0x[a-fA-F0-9]{40})(?![A-Za-z0-9_])/g;
+const SOLANA_ADDRESS = /(?:^|[^A-Za-z0-9_])([1-9A-HJ-NP-Za-km-z]{32,44})(?![A-Za-z0-9_])/g;
+
+class EntityExtractor {
+  extract(tweet) {
+    const text = tweet.text || '';
+    const urls = this.extractUrls(text, tweet.urls);
+    const media = this.extractMedia(tweet.media || tweet.media_urls);
+
+    const entities = {
+      hashtags: this.unique(this.matchAll(text, HASHTAG), tag => tag.toLowerCase()),
+      mentions: this.unique(this.matchAll(text, MENTION), name => name.toLowerCase()),
+      cashtags: this.unique(this.matchAll(text, CASHTAG).map(symbol => symbol.toUpperCase())),
+      urls,
+      media,
+      // Addresses are also found in links, e.g. an explorer page for a token
+      addresses: this.extractAddresses([
+        text.replace(URL_PATTERN, ' '),
+        ...urls.map(url => url.expanded_url)
+      ].join(' '))
+    };
+
+    tweet.entities = entities;
+    tweet.hashtags = entities.hashtags;
+    tweet.mentions = entities.mentions;
+    tweet.urls = urls;
+    tweet.media_urls = media.map(item => item.url);
+    return entities;
+  }
+
+  // Links found in the page win over links in the text, which for X are
+  // t.co redirects
+  extractUrls(text, pageUrls = []) {
+    const byUrl = new Map();
+
+    (Array.isArray(pageUrls) ? pageUrls : []).forEach(link => {
+      const url = typeof link === 'string' ? link : link.url;
+      const expanded = typeof link === 'string' ? link : (link.expanded_url || link.url);
+      if (url || expanded) byUrl.set(url || expanded, this.describeUrl(url || expanded, expanded));
+    });
+
+    (text.match(URL_PATTERN) || []).forEach(raw => {
+      const url = this.trimUrl(raw);
+      if (!byUrl.has(url) && ![...byUrl.values()].some(link => link && link.expanded_url === url)) {
+        byUrl.set(url, this.describeUrl(url, url));
+      }
+    });
+
+    return this.unique([...byUrl.values()].filter(Boolean), link => link.expanded_url);
+  }
+
+  describeUrl(url, expandedUrl) {
+    const expanded = this.trimUrl(/^https?:\/\//i.test(expandedUrl) ? expandedUrl : `https://${expandedUrl}`);
+
+    try {
+      const domain = new URL(expanded).hostname.toLowerCase().replace(/^www\./, '');
+      return { url, expanded_url: expanded, domain };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Display links end in an ellipsis and text links pick up punctuation
+  trimUrl(url) {
+    return url.replace(/…$/, '').replace(/[.,;:!?)\]}'"]+$/, '');
+  }
+
+  extractMedia(items = []) {
+    if (!Array.isArray(items)) return [];
+
+    const media = items.map(item => {
+      const url = this.normalizeMediaUrl(typeof item === 'string' ? item : item.url);
+      if (!url) return null;
+      return { url, type: (typeof item === 'object' && item.type) || this.mediaType(url) };
+    }).filter(Boolean);
+
+    return this.unique(media, item => item.url);
+  }
+
+  // Nitter proxies media through /pic/ and /video/ paths on the instance;
+  // point them back at X's CDN so the URL does not depend on the instance
+  normalizeMediaUrl(url) {
+    if (!url || url.startsWith('blob:')) return null;
+
+    const proxied = url.match(/\/(pic|video)\/(.+)$/);
+    if (!proxied || /^https?:\/\/(pbs|video)\.twimg\.com\//.test(url)) return url;
+
+    const path = decodeURIComponent(proxied[2]).replace(/^orig\//, '');
+    const embedded = path.match(/https?:\/\/.+$/);
+    if (embedded) return embedded[0];
+    if (/^(pbs|video)\.twimg\.com\//.test(path)) return `https://${path}`;
+    return `https://pbs.twimg.com/${path}`;
+  }
+
+  mediaType(url) {
+    if (/tweet_video/.test(url)) return 'gif';
+    if (/video\.twimg\.com|\.(mp4|m3u8)(\?|$)/.test(url)) return 'video';
+    return 'photo';
+  }
+
+  extractAddresses(text) {
+    const evm = this.matchAll(text, EVM_ADDRESS).map(address => ({ address: address.toLowerCase(), chain: 'evm' }));
+    // Base58 also matches long words; real addresses mix digits and both cases
+    const solana = this.matchAll(text, SOLANA_ADDRESS)
+      .filter(address => /\d/.test(address) && /[a-z]/.test(address) && /[A-Z]/.test(address))
+      .map(address => ({ address, chain: 'solana' }));
+
+    return this.unique([...evm, ...solana], item => item.address);
+  }
+
+  matchAll(text, pattern) {
+    return Array.from(text.matchAll(pattern), match => match[1]);
+  }
+
+  unique(items, key = item => item) {
+    const seen = new Set();
+    return items.filter(item => {
+      const value = key(item);
+      if (seen.has(value)) return false;
+      seen.add(value);
+      return true;
+    });
+  }
+}
+
+module.exports = new EntityExtractor();
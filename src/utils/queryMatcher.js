@@ -0,0 +1,206 @@
+// Evaluates a parsed search query (see queryParser) against a scraped tweet.
+//
+// Scraped tweets often lack fields a query constrains (language, verified
+// flag, engagement counts), so evaluation uses three-valued logic: each node
+// yields true, false or null (unknown). A tweet is rejected only when the
+// query is definitely false for it.
+
+const WORD_CHAR = '\\p{L}\\p{N}_';
+
+const RETWEET_FILTERS = ['nativeretweets', 'retweets'];
+
+class QueryMatcher {
+  matches(ast, tweet) {
+    // As on X, native retweets only match queries that ask for them
+    if (tweet.is_retweet && !this.wantsRetweets(ast)) return false;
+    return this.evaluate(ast, this.prepare(tweet)) !== false;
+  }
+
+  // include:nativeretweets or a positive filter:(native)retweets anywhere
+  // outside a negation
+  wantsRetweets(node) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.children.some(child => this.wantsRetweets(child));
+      case 'operator':
+        return ['include', 'filter'].includes(node.name) && RETWEET_FILTERS.includes(node.value.toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  // Normalise the fields evaluation needs once per tweet
+  prepare(tweet) {
+    return {
+      tweet,
+      text: (tweet.text || '').toLowerCase(),
+      username: this.getUsername(tweet),
+      createdAt: this.getDate(tweet.created_at || tweet.timestamp)
+    };
+  }
+
+  getUsername(tweet) {
+    const raw = tweet.username || tweet.author || '';
+    const handle = raw.match(/@([A-Za-z0-9_]{1,15})/);
+    return (handle ? handle[1] : raw.trim()).toLowerCase();
+  }
+
+  getDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  evaluate(node, context) {
+    switch (node.type) {
+      case 'and':
+        return this.combine(node.children.map(child => this.evaluate(child, context)), false);
+      case 'or':
+        return this.combine(node.children.map(child => this.evaluate(child, context)), true);
+      case 'not': {
+        const result = this.evaluate(node.child, context);
+        return result === null ? null : !result;
+      }
+      case 'term':
+      case 'phrase':
+        return this.containsWords(context.text, node.value);
+      case 'hashtag':
+        return this.containsToken(context.text, '#', node.value) ||
+          this.listIncludes(context.tweet.hashtags, node.value);
+      case 'cashtag':
+        return this.containsToken(context.text, '$', node.value);
+      case 'mention':
+        return this.containsToken(context.text, '@', node.value) ||
+          context.username === node.value.toLowerCase() ||
+          this.listIncludes(context.tweet.mentions, node.value);
+      case 'operator':
+        return this.evaluateOperator(node, context);
+      default:
+        return null;
+    }
+  }
+
+  // AND short-circuits on false, OR on true; otherwise any unknown wins
+  combine(results, decisive) {
+    if (results.includes(decisive)) return decisive;
+    if (results.includes(null)) return null;
+    return !decisive;
+  }
+
+  evaluateOperator(node, context) {
+    const { tweet } = context;
+    const value = node.value.toLowerCase();
+
+    switch (node.name) {
+      case 'from':
+        return context.username ? context.username === value : null;
+      case 'to':
+        if (tweet.in_reply_to_screen_name) {
+          return tweet.in_reply_to_screen_name.toLowerCase() === value;
+        }
+        return context.text.startsWith(`@${value}`);
+      case 'lang':
+        return tweet.lang ? tweet.lang.toLowerCase() === value : null;
+      case 'min_faves':
+        return this.atLeast(tweet.likes, node.value);
+      case 'min_retweets':
+        return this.atLeast(tweet.retweets, node.value);
+      case 'min_replies':
+        return this.atLeast(tweet.replies, node.value);
+      case 'min_followers':
+        return this.atLeast(tweet.author_profile ? tweet.author_profile.followers_count : null, node.value);
+      case 'filter':
+        return this.evaluateFilter(value, context);
+      case 'exclude': {
+        const result = this.evaluateFilter(value, context);
+        return result === null ? null : !result;
+      }
+      case 'include':
+        return true;
+      case 'since':
+        return this.compareDate(context.createdAt, node.value, (created, bound) => created >= bound);
+      case 'until':
+        return this.compareDate(context.createdAt, node.value, (created, bound) => created < bound);
+      case 'since_id':
+        return this.compareId(tweet.id, node.value, (id, bound) => id > bound);
+      case 'max_id':
+        return this.compareId(tweet.id, node.value, (id, bound) => id <= bound);
+      case 'conversation_id':
+        return tweet.conversation_id ? tweet.conversation_id === node.value : null;
+      case 'url':
+        return context.text.includes(value) ||
+          (tweet.urls || []).some(url => String(url.expanded_url || url).toLowerCase().includes(value));
+      default:
+        return null;
+    }
+  }
+
+  evaluateFilter(name, context) {
+    const { tweet, text } = context;
+
+    switch (name) {
+      case 'blue_verified':
+      case 'verified':
+        return typeof tweet.verified === 'boolean' ? tweet.verified : null;
+      case 'replies':
+        return !!tweet.in_reply_to_status_id || /^@\w/.test(text);
+      case 'links':
+        return /https?:\/\//.test(text) || (tweet.urls || []).length > 0;
+      case 'media':
+      case 'images':
+      case 'videos':
+      case 'native_video':
+      case 'twimg':
+        return Array.isArray(tweet.media_urls) ? tweet.media_urls.length > 0 : null;
+      case 'retweets':
+      case 'nativeretweets':
+        return !!tweet.is_retweet;
+      case 'quote':
+        return !!tweet.is_quote_status;
+      case 'hashtags':
+        return /(^|\s)#\w/u.test(text);
+      case 'mentions':
+        return /(^|\s)@\w/.test(text);
+      default:
+        return null;
+    }
+  }
+
+  atLeast(count, minimum) {
+    if (count === null || count === undefined || isNaN(count)) return null;
+    return Number(count) >= parseInt(minimum);
+  }
+
+  compareDate(created, value, compare) {
+    if (!created) return null;
+    const bound = new Date(value.replace(/_(\d{2}:\d{2}:\d{2})_UTC$/, 'T$1Z'));
+    return isNaN(bound.getTime()) ? null : compare(created, bound);
+  }
+
+  compareId(id, value, compare) {
+    if (!/^\d+$/.test(String(id || ''))) return null;
+    return compare(BigInt(id), BigInt(value));
+  }
+
+  containsWords(text, words) {
+    const pattern = words.trim().toLowerCase().split(/\s+/).map(this.escape).join('\\s+');
+    return new RegExp(`(^|[^${WORD_CHAR}])${pattern}($|[^${WORD_CHAR}])`, 'u').test(text);
+  }
+
+  containsToken(text, prefix, value) {
+    const pattern = `${this.escape(prefix)}${this.escape(value.toLowerCase())}`;
+    return new RegExp(`${pattern}($|[^${WORD_CHAR}])`, 'u').test(text);
+  }
+
+  listIncludes(list, value) {
+    if (!Array.isArray(list)) return false;
+    return list.some(item => String(item).replace(/^[#@$]/, '').toLowerCase() === value.toLowerCase());
+  }
+
+  escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new QueryMatcher();
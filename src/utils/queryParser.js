@@ -0,0 +1,437 @@
+// Parser for the X/Twitter advanced search grammar.
+//
+// Grammar (X semantics: OR binds tighter than the implicit AND):
+//   query   := andExpr EOF
+//   andExpr := orExpr ( [AND] orExpr )*
+//   orExpr  := unary ( OR unary )*
+//   unary   := ( NOT | '-' ) unary | primary
+//   primary := '(' andExpr ')' | atom
+//
+// AST node types:
+//   { type: 'and', children }            { type: 'or', children }
+//   { type: 'not', child }               { type: 'phrase', value }
+//   { type: 'term', value }              { type: 'hashtag', value }
+//   { type: 'cashtag', value }           { type: 'mention', value }
+//   { type: 'operator', name, value }
+// Every node carries the `position` (0-based offset) it was parsed from.
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(_\d{2}:\d{2}:\d{2}_UTC)?$/;
+const DATE_OPERATORS = ['since', 'until'];
+
+// A DATE_PATTERN value that names a real day and time: 2025-02-30 matches
+// the pattern, but is no date X accepts
+function isRealDate(value) {
+  const [day, time = '00:00:00'] = value.replace(/_UTC$/, '').split('_');
+  const date = new Date(`${day}T${time}Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(`${day}T${time}`);
+}
+
+// Known operators and the values they accept
+const OPERATORS = {
+  from: /^@?[A-Za-z0-9_]{1,15}$/,
+  to: /^@?[A-Za-z0-9_]{1,15}$/,
+  lang: /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/,
+  min_faves: /^\d+$/,
+  min_retweets: /^\d+$/,
+  min_replies: /^\d+$/,
+  filter: /^[a-z_]+$/,
+  include: /^[a-z_]+$/,
+  exclude: /^[a-z_]+$/,
+  since: DATE_PATTERN,
+  until: DATE_PATTERN,
+  since_id: /^\d+$/,
+  max_id: /^\d+$/,
+  conversation_id: /^\d+$/,
+  url: /^\S+$/,
+  min_followers: /^\d+$/
+};
+
+// Operators X search does not have. They are checked locally against the
+// author's stored profile and left out of the queries sent to sources.
+const LOCAL_OPERATORS = ['min_followers'];
+
+const FILTER_VALUES = [
+  'blue_verified', 'verified', 'follows', 'media', 'images', 'twimg', 'videos',
+  'native_video', 'links', 'news', 'replies', 'retweets', 'nativeretweets',
+  'quote', 'safe', 'hashtags', 'mentions', 'spaces', 'pro_video'
+];
+
+// Nitter exposes these filters as f-<name>/e-<name> form parameters
+const NITTER_FILTERS = [
+  'nativeretweets', 'media', 'videos', 'news', 'verified', 'native_video',
+  'replies', 'links', 'images', 'safe', 'quote', 'pro_video'
+];
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+class QueryParser {
+  constructor() {
+    this.operators = OPERATORS;
+    this.filterValues = FILTER_VALUES;
+  }
+
+  tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+        i++;
+        continue;
+      }
+
+      if (char === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new QuerySyntaxError('Unterminated quoted phrase', i);
+        }
+        tokens.push({ type: 'phrase', value: input.slice(i + 1, end), position: i });
+        i = end + 1;
+        continue;
+      }
+
+      // A leading '-' negates the following atom or group
+      if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        tokens.push({ type: 'negate', position: i });
+        i++;
+        continue;
+      }
+      if (char === '-') {
+        throw new QuerySyntaxError('Expected a term after negation', i);
+      }
+
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) {
+        i++;
+      }
+      const word = input.slice(start, i);
+
+      if (KEYWORDS.includes(word)) {
+        tokens.push({ type: word.toLowerCase(), position: start });
+      } else {
+        tokens.push({ type: 'word', value: word, position: start });
+      }
+    }
+
+    tokens.push({ type: 'eof', position: input.length });
+    return tokens;
+  }
+
+  parse(query) {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      throw new QuerySyntaxError('Query is empty', 0);
+    }
+
+    const state = { tokens: this.tokenize(query), index: 0 };
+    const ast = this.parseAnd(state);
+    const token = this.peek(state);
+
+    if (token.type === 'rparen') {
+      throw new QuerySyntaxError('Unexpected closing parenthesis', token.position);
+    }
+    if (token.type !== 'eof') {
+      throw new QuerySyntaxError(`Unexpected token "${this.describe(token)}"`, token.position);
+    }
+
+    return ast;
+  }
+
+  peek(state) {
+    return state.tokens[state.index];
+  }
+
+  next(state) {
+    return state.tokens[state.index++];
+  }
+
+  describe(token) {
+    if (token.value !== undefined) return token.value;
+    return { lparen: '(', rparen: ')', negate: '-', eof: 'end of query' }[token.type] || token.type.toUpperCase();
+  }
+
+  startsOperand(token) {
+    return ['lparen', 'phrase', 'word', 'negate', 'not'].includes(token.type);
+  }
+
+  parseAnd(state) {
+    const position = this.peek(state).position;
+    const children = [this.parseOr(state)];
+
+    while (true) {
+      const token = this.peek(state);
+      if (token.type === 'and') {
+        this.next(state);
+        if (!this.startsOperand(this.peek(state))) {
+          throw new QuerySyntaxError('Expected a term after AND', this.peek(state).position);
+        }
+        children.push(this.parseOr(state));
+      } else if (this.startsOperand(token)) {
+        children.push(this.parseOr(state));
+      } else {
+        break;
+      }
+    }
+
+    return this.group('and', children, position);
+  }
+
+  parseOr(state) {
+    const position = this.peek(state).position;
+    const children = [this.parseUnary(state)];
+
+    while (this.peek(state).type === 'or') {
+      this.next(state);
+      if (!this.startsOperand(this.peek(state))) {
+        throw new QuerySyntaxError('Expected a term after OR', this.peek(state).position);
+      }
+      children.push(this.parseUnary(state));
+    }
+
+    return this.group('or', children, position);
+  }
+
+  parseUnary(state) {
+    const token = this.peek(state);
+
+    if (token.type === 'not' || token.type === 'negate') {
+      this.next(state);
+      if (!this.startsOperand(this.peek(state))) {
+        throw new QuerySyntaxError('Expected a term after negation', this.peek(state).position);
+      }
+      return { type: 'not', child: this.parseUnary(state), position: token.position };
+    }
+
+    return this.parsePrimary(state);
+  }
+
+  parsePrimary(state) {
+    const token = this.next(state);
+
+    switch (token.type) {
+      case 'lparen': {
+        if (this.peek(state).type === 'rparen') {
+          throw new QuerySyntaxError('Empty group', token.position);
+        }
+        const node = this.parseAnd(state);
+        const closing = this.next(state);
+        if (closing.type !== 'rparen') {
+          throw new QuerySyntaxError('Unclosed parenthesis', token.position);
+        }
+        return node;
+      }
+      case 'phrase':
+        if (token.value.trim().length === 0) {
+          throw new QuerySyntaxError('Empty quoted phrase', token.position);
+        }
+        return { type: 'phrase', value: token.value, position: token.position };
+      case 'word':
+        return this.parseWord(token);
+      case 'rparen':
+        throw new QuerySyntaxError('Unexpected closing parenthesis', token.position);
+      case 'eof':
+        throw new QuerySyntaxError('Unexpected end of query', token.position);
+      default:
+        throw new QuerySyntaxError(`Unexpected "${this.describe(token)}"`, token.position);
+    }
+  }
+
+  parseWord(token) {
+    const { value, position } = token;
+    const operatorMatch = value.match(/^([a-z_]+):(.*)$/);
+
+    // A word before a colon that is no operator, as in "note: vaults", is
+    // searched for as it is
+    if (operatorMatch && !operatorMatch[2].startsWith('//') && this.operators[operatorMatch[1]]) {
+      const [, name, operand] = operatorMatch;
+      const pattern = this.operators[name];
+
+      if (!operand) {
+        throw new QuerySyntaxError(`Operator "${name}:" needs a value`, position);
+      }
+      if (!pattern.test(operand)) {
+        throw new QuerySyntaxError(`Invalid value "${operand}" for "${name}:"`, position + name.length + 1);
+      }
+      if (DATE_OPERATORS.includes(name) && !isRealDate(operand)) {
+        throw new QuerySyntaxError(`Invalid date "${operand}" for "${name}:"`, position + name.length + 1);
+      }
+      if (name === 'filter' && !this.filterValues.includes(operand)) {
+        throw new QuerySyntaxError(`Unknown filter "${operand}"`, position + name.length + 1);
+      }
+
+      return {
+        type: 'operator',
+        name,
+        value: name === 'from' || name === 'to' ? operand.replace(/^@/, '') : operand,
+        position
+      };
+    }
+
+    if (/^#\w+$/u.test(value)) {
+      return { type: 'hashtag', value: value.slice(1), position };
+    }
+    if (/^\$[A-Za-z][A-Za-z0-9_]*$/.test(value)) {
+      return { type: 'cashtag', value: value.slice(1), position };
+    }
+    if (/^@[A-Za-z0-9_]{1,15}$/.test(value)) {
+      return { type: 'mention', value: value.slice(1), position };
+    }
+
+    return { type: 'term', value, position };
+  }
+
+  // Collapse single-child groups and flatten nested groups of the same kind
+  group(type, children, position) {
+    if (children.length === 1) return children[0];
+
+    const flattened = [];
+    children.forEach(child => {
+      if (child.type === type) {
+        flattened.push(...child.children);
+      } else {
+        flattened.push(child);
+      }
+    });
+
+    return { type, children: flattened, position };
+  }
+
+  // Re-serialise an AST into canonical X search syntax
+  serialize(node, parent = null) {
+    switch (node.type) {
+      case 'and':
+      case 'or': {
+        const joined = node.children
+          .map(child => this.serialize(child, node))
+          .join(node.type === 'and' ? ' ' : ' OR ');
+        return parent ? `(${joined})` : joined;
+      }
+      case 'not':
+        return `-${this.serialize(node.child, node)}`;
+      case 'phrase':
+        return `"${node.value}"`;
+      case 'hashtag':
+        return `#${node.value}`;
+      case 'cashtag':
+        return `$${node.value}`;
+      case 'mention':
+        return `@${node.value}`;
+      case 'operator':
+        return `${node.name}:${node.value}`;
+      default:
+        return node.value;
+    }
+  }
+
+  toXSearchUrl(ast, options = {}) {
+    const { baseUrl = 'https://twitter.com', live = true } = options;
+    const query = encodeURIComponent(this.serialize(ast));
+    return `${baseUrl}/search?q=${query}&src=typed_query${live ? '&f=live' : ''}`;
+  }
+
+  // Nitter takes date, engagement and filter constraints as form parameters,
+  // so top-level operators it understands are lifted out of the q string.
+  toNitterSearchUrl(ast, instance) {
+    const params = new URLSearchParams({ f: 'tweets' });
+    const remaining = [];
+
+    this.conjuncts(ast).forEach(node => {
+      const operator = node.type === 'not' ? node.child : node;
+      const negated = node.type === 'not';
+
+      if (operator.type === 'operator') {
+        if (operator.name === 'filter' && NITTER_FILTERS.includes(operator.value)) {
+          params.set(`${negated ? 'e' : 'f'}-${operator.value}`, 'on');
+          return;
+        }
+        if (!negated && ['since', 'until'].includes(operator.name) && /^\d{4}-\d{2}-\d{2}$/.test(operator.value)) {
+          params.set(operator.name, operator.value);
+          return;
+        }
+        if (!negated && operator.name === 'min_faves') {
+          params.set('min_faves', operator.value);
+          return;
+        }
+      }
+
+      remaining.push(node);
+    });
+
+    const query = remaining.length > 0
+      ? this.serialize(this.group('and', remaining, ast.position))
+      : '';
+    params.set('q', query);
+
+    return `${instance}/search?${params.toString()}`;
+  }
+
+  // Top-level AND terms of a query
+  conjuncts(ast) {
+    return ast.type === 'and' ? ast.children : [ast];
+  }
+
+  // Operators found in the top-level AND terms, optionally by name
+  topLevelOperators(ast, name = null) {
+    return this.conjuncts(ast).filter(node =>
+      node.type === 'operator' && (!name || node.name === name)
+    );
+  }
+
+  // Restrict a query to tweets newer than a known tweet: since_id for exact
+  // bounds, plus since: (by day) for sources that ignore since_id
+  withLowerBound(ast, sinceId, sinceDate = null) {
+    const bounds = [{ type: 'operator', name: 'since_id', value: String(sinceId), position: ast.position }];
+    const date = sinceDate ? new Date(sinceDate) : null;
+
+    if (date && !isNaN(date.getTime())) {
+      bounds.push({ type: 'operator', name: 'since', value: date.toISOString().slice(0, 10), position: ast.position });
+    }
+
+    return this.group('and', [ast, ...bounds], ast.position);
+  }
+
+  // The query as sent to a source, without LOCAL_OPERATORS; null when
+  // nothing else is left, as sources cannot search for local operators
+  withoutLocalOperators(ast) {
+    return this.stripOperators(ast, LOCAL_OPERATORS);
+  }
+
+  // Drop operator constraints (all of them, or only the named ones),
+  // keeping the keyword/boolean structure
+  stripOperators(node, names = null) {
+    switch (node.type) {
+      case 'operator':
+        return names && !names.includes(node.name) ? node : null;
+      case 'not': {
+        const child = this.stripOperators(node.child, names);
+        return child ? { ...node, child } : null;
+      }
+      case 'and':
+      case 'or': {
+        const children = node.children.map(child => this.stripOperators(child, names)).filter(Boolean);
+        if (children.length === 0) return null;
+        return this.group(node.type, children, node.position);
+      }
+      default:
+        return node;
+    }
+  }
+}
+
+module.exports = new QueryParser();
+module.exports.QuerySyntaxError = QuerySyntaxError;